@@ -12,6 +12,7 @@ async function main() {
     
     // Supprimer les tables de liaison en premier
     await prisma.$executeRaw`DELETE FROM cercle.post_tags;`;
+    await prisma.$executeRaw`DELETE FROM cercle.post_revisions;`;
     await prisma.$executeRaw`DELETE FROM cercle.img_vid_post;`;
     await prisma.$executeRaw`DELETE FROM cercle.img_vid_msg;`;
     await prisma.$executeRaw`DELETE FROM cercle.likes;`;
@@ -20,6 +21,11 @@ async function main() {
     await prisma.$executeRaw`DELETE FROM cercle.follow;`;
     await prisma.$executeRaw`DELETE FROM cercle.user_bannissements;`;
     await prisma.$executeRaw`DELETE FROM cercle.messages_prives;`;
+    await prisma.$executeRaw`DELETE FROM cercle.refresh_tokens;`;
+    await prisma.$executeRaw`DELETE FROM cercle.password_reset_tokens;`;
+    await prisma.$executeRaw`DELETE FROM cercle.email_verification_tokens;`;
+    await prisma.$executeRaw`DELETE FROM cercle.mfa_recovery_codes;`;
+    await prisma.$executeRaw`DELETE FROM cercle.login_attempts;`;
     
     // Ensuite les tables principales
     await prisma.$executeRaw`DELETE FROM cercle.post;`;
@@ -69,6 +75,7 @@ async function main() {
           certified: true,
           private: false,
           is_active: true,
+          mail_verified_at: currentDate,
           created_at: currentDate,
           updated_at: currentDate,
           id_role: roles[0].id_role // ADMIN
@@ -86,6 +93,7 @@ async function main() {
           certified: true,
           private: false,
           is_active: true,
+          mail_verified_at: currentDate,
           created_at: currentDate,
           updated_at: currentDate,
           id_role: roles[1].id_role // MODERATOR
@@ -103,6 +111,7 @@ async function main() {
           certified: true,
           private: false,
           is_active: true,
+          mail_verified_at: currentDate,
           created_at: currentDate,
           updated_at: currentDate,
           id_role: roles[2].id_role // USER
@@ -119,6 +128,7 @@ async function main() {
           private: false,
           certified: false,
           is_active: true,
+          mail_verified_at: currentDate,
           created_at: currentDate,
           updated_at: currentDate,
           id_role: roles[2].id_role // USER
@@ -135,6 +145,7 @@ async function main() {
           private: true,
           certified: false,
           is_active: true,
+          mail_verified_at: currentDate,
           created_at: currentDate,
           updated_at: currentDate,
           id_role: roles[2].id_role // USER
@@ -15,12 +15,21 @@ const followRoutes = require('./src/routes/followRoutes');
 const messageRoutes = require('./src/routes/messageRoutes');
 const adminRoutes = require('./src/routes/adminRoutes');
 const notificationRoutes = require('./src/routes/notificationRoutes'); // ✅ AJOUT
+const tagRoutes = require('./src/routes/tagRoutes');
+const mediaRoutes = require('./src/routes/mediaRoutes');
+const mentionRoutes = require('./src/routes/mentionRoutes');
+const reportRoutes = require('./src/routes/reportRoutes');
 
 // Import des middlewares
 const { authenticateToken } = require('./src/middleware/auth');
 const errorHandler = require('./src/middleware/errorHandler');
 const logger = require('./src/utils/logger');
 
+// Import des services
+const VideoProcessingService = require('./src/services/videoProcessingService');
+const StorageReconciliationService = require('./src/services/storageReconciliationService');
+const PostSearchService = require('./src/services/postSearchService');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -42,7 +51,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Name'],
   exposedHeaders: ['X-Total-Count']
 };
 
@@ -124,6 +133,12 @@ app.use('/api/v1/messages', authenticateToken, messageRoutes);
 // ✅ AJOUT: Routes notifications (protégées)
 app.use('/api/v1/notifications', notificationRoutes);
 
+// Tags, médias, mentions, signalements : authentification gérée route par route
+app.use('/api/v1/tags', tagRoutes);
+app.use('/api/v1/media', mediaRoutes);
+app.use('/api/v1/mentions', mentionRoutes);
+app.use('/api/v1/reports', reportRoutes);
+
 // 3. ✅ CORRECTION ADMIN : Pas de double authentification
 // adminRoutes.js contient déjà router.use(authenticateToken)
 app.use('/api/v1/admin', adminRoutes);
@@ -177,6 +192,10 @@ app.get('/', (req, res) => {
       follow: '/api/v1/follow',
       messages: '/api/v1/messages',
       notifications: '/api/v1/notifications', // ✅ AJOUT
+      tags: '/api/v1/tags',
+      media: '/api/v1/media',
+      mentions: '/api/v1/mentions',
+      reports: '/api/v1/reports',
       admin: '/api/v1/admin'
     }
   });
@@ -261,6 +280,17 @@ app.listen(PORT, async () => {
   logger.info(`   - Intelligent rate limiting`);
   
   await testDatabaseConnection();
+
+  // Analyse et transcodage des vidéos en arrière-plan
+  VideoProcessingService.startWorker();
+
+  // Rapprochement stockage / base (fichiers orphelins, médias sans fichier)
+  StorageReconciliationService.startScheduler();
+
+  // Index de recherche plein texte des posts (configurations, triggers, rattrapage des posts non indexés)
+  PostSearchService.ensureSearchIndex().catch(error => {
+    logger.error('Post search index setup error (full-text search disabled):', error);
+  });
 });
 
 module.exports = app;
\ No newline at end of file
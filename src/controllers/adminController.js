@@ -2,6 +2,9 @@
 const prisma = require('../utils/database');
 const logger = require('../utils/logger');
 const bcrypt = require('bcrypt');
+const PostDeletionService = require('../services/postDeletionService');
+const BanService = require('../services/banService');
+const HomeTimelineService = require('../services/homeTimelineService');
 
 class AdminController {
   /**
@@ -766,6 +769,9 @@ class AdminController {
           }
         });
 
+        // ✅ Sessions en cours révoquées immédiatement
+        await BanService.onBanIssued(targetUser.id_user);
+
         logger.warn(`User banned: ${targetUser.username} by ${req.user.username}. Reason: ${raison}`);
 
         res.json({
@@ -859,6 +865,9 @@ class AdminController {
         }
       });
 
+      // Ses posts quittent les timelines d'accueil, la sienne n'est plus entretenue
+      await HomeTimelineService.removeUser(targetUser.id_user);
+
       logger.warn(`User deleted: ${targetUser.username} by ${req.user.username}. Reason: ${reason || 'No reason provided'}`);
 
       res.json({
@@ -909,15 +918,19 @@ class AdminController {
         });
       }
 
-      // Soft delete : désactiver le post au lieu de le supprimer complètement
-      await prisma.post.update({
-        where: targetPostWhere,
-        data: {
-          active: false,
-          updated_at: new Date()
-        }
+      // Soft delete : même sémantique que la suppression par l'auteur (cascade comprise)
+      const deleted = await PostDeletionService.deletePost(targetPost.id_post, {
+        deletedBy: req.user.id_user,
+        reason: reason || null
       });
 
+      if (!deleted) {
+        return res.status(409).json({
+          error: 'Post already deleted',
+          message: 'Ce post a déjà été supprimé'
+        });
+      }
+
       logger.warn(`Post deleted: ID ${postId} by admin ${req.user.username}. Reason: ${reason || 'No reason provided'}`);
 
       res.json({
@@ -927,7 +940,7 @@ class AdminController {
           author: targetPost.user?.username,
           deletion_reason: reason || 'No reason provided',
           deleted_by: req.user.username,
-          deleted_at: new Date()
+          deleted_at: deleted.deleted_at
         }
       });
 
@@ -1039,6 +1052,127 @@ class AdminController {
     }
   }
 
+  /**
+   * Imposer (ou non) la double authentification à un utilisateur
+   */
+  static async setMfaRequirement(req, res) {
+    try {
+      const { userId } = req.params;
+      const { required } = req.body;
+
+      if (typeof required !== 'boolean') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Le champ "required" doit être un booléen'
+        });
+      }
+
+      const targetUser = await prisma.user.findUnique({
+        where: { id_user: parseInt(userId) },
+        include: { role: true }
+      });
+
+      if (!targetUser) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'Utilisateur non trouvé'
+        });
+      }
+
+      await prisma.user.update({
+        where: { id_user: targetUser.id_user },
+        data: {
+          mfa_required: required,
+          updated_at: new Date()
+        }
+      });
+
+      logger.info(`MFA requirement ${required ? 'enabled' : 'disabled'} for ${targetUser.username} by ${req.user.username}`);
+
+      res.json({
+        message: required ? 'Double authentification imposée' : 'Double authentification facultative',
+        user: {
+          id_user: targetUser.id_user,
+          username: targetUser.username,
+          role: targetUser.role?.role,
+          mfa_required: required,
+          mfa_enabled: targetUser.mfa_enabled
+        }
+      });
+
+    } catch (error) {
+      logger.error('Set MFA requirement error:', error);
+      res.status(500).json({ error: 'Erreur lors de la mise à jour de la double authentification' });
+    }
+  }
+
+  /**
+   * Reconstruire la timeline d'accueil d'un utilisateur à partir de ses abonnements
+   */
+  static async rebuildUserTimeline(req, res) {
+    try {
+      const userId = parseInt(req.params.userId);
+      if (isNaN(userId)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Identifiant utilisateur invalide'
+        });
+      }
+
+      const targetUser = await prisma.user.findUnique({
+        where: { id_user: userId },
+        select: { id_user: true, username: true, is_active: true }
+      });
+
+      if (!targetUser || !targetUser.is_active) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'Utilisateur non trouvé'
+        });
+      }
+
+      const { timeline, entries } = await HomeTimelineService.rebuild(targetUser.id_user);
+
+      logger.info(`Home timeline of ${targetUser.username} rebuilt by ${req.user.username}`);
+
+      res.json({
+        message: 'Timeline reconstruite',
+        timeline: {
+          id_user: targetUser.id_user,
+          username: targetUser.username,
+          entries,
+          built_at: timeline.built_at,
+          backfilled_until: timeline.backfilled_until
+        }
+      });
+
+    } catch (error) {
+      logger.error('Rebuild timeline error:', error);
+      res.status(500).json({ error: 'Erreur lors de la reconstruction de la timeline' });
+    }
+  }
+
+  /**
+   * Effacer toutes les timelines d'accueil : chacune est reconstruite à sa prochaine lecture
+   */
+  static async resetTimelines(req, res) {
+    try {
+      const { timelines, entries } = await HomeTimelineService.resetAll();
+
+      logger.warn(`Home timelines reset by ${req.user.username}`);
+
+      res.json({
+        message: 'Timelines réinitialisées, reconstruction à la prochaine lecture',
+        timelines_reset: timelines,
+        entries_removed: entries
+      });
+
+    } catch (error) {
+      logger.error('Reset timelines error:', error);
+      res.status(500).json({ error: 'Erreur lors de la réinitialisation des timelines' });
+    }
+  }
+
   /**
    * ✅ NOUVELLE MÉTHODE : Obtenir les statistiques détaillées d'un utilisateur
    */
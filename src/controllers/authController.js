@@ -1,7 +1,25 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const prisma = require('../utils/database');
 const TokenService = require('../services/tokenService');
-const { registerSchema, loginSchema, refreshSchema, changePasswordSchema } = require('../validators/authValidator');
+const MailService = require('../services/mailService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const TotpService = require('../services/totpService');
+const LoginSecurityService = require('../services/loginSecurityService');
+const BanService = require('../services/banService');
+const { 
+  registerSchema, 
+  loginSchema, 
+  refreshSchema, 
+  changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  sessionParamsSchema,
+  mfaLoginSchema,
+  mfaCodeSchema,
+  mfaDisableSchema
+} = require('../validators/authValidator');
 const logger = require('../utils/logger');
 
 class AuthController {
@@ -125,12 +143,22 @@ class AuthController {
       });
 
       // Générer les tokens
-      const { accessToken, refreshToken } = TokenService.generateTokens(result.id_user);
+      const { accessToken, refreshToken } = await TokenService.generateTokens(
+        result.id_user,
+        TokenService.getRequestContext(req)
+      );
 
       logger.info(`New user registered: ${result.username} (${result.mail})`);
 
+      // L'échec d'envoi ne bloque pas l'inscription : le mail peut être renvoyé
+      try {
+        await EmailVerificationService.issue(result, result.mail);
+      } catch (mailError) {
+        logger.error('Verification mail error:', mailError);
+      }
+
       // Retourner les informations sans le hash du mot de passe
-      const { password_hash: _, ...userResponse } = result;
+      const { password_hash: _, mfa_secret: __, ...userResponse } = result;
 
       res.status(201).json({
         message: 'User created successfully',
@@ -168,16 +196,28 @@ class AuthController {
       });
 
       if (!user) {
+        await LoginSecurityService.recordAttempt(req, { mail, success: false, failureReason: 'unknown_account' });
         return res.status(401).json({ 
           error: 'Invalid credentials',
           message: 'Email or password is incorrect'
         });
       }
 
+      // Compte verrouillé après trop d'échecs : le mot de passe n'est même pas vérifié
+      const lockedUntil = LoginSecurityService.getLockedUntil(user);
+      if (lockedUntil) {
+        await LoginSecurityService.recordAttempt(req, { user, success: false, failureReason: 'account_locked' });
+        return AuthController.sendAccountLocked(res, lockedUntil);
+      }
+
       // Vérifier le mot de passe
       const isValidPassword = await bcrypt.compare(password, user.password_hash);
       if (!isValidPassword) {
         logger.warn(`Failed login attempt for user: ${mail}`);
+        const newLock = await LoginSecurityService.registerFailure(req, user, 'invalid_password');
+        if (newLock) {
+          return AuthController.sendAccountLocked(res, newLock);
+        }
         return res.status(401).json({ 
           error: 'Invalid credentials',
           message: 'Email or password is incorrect'
@@ -185,69 +225,431 @@ class AuthController {
       }
 
       // ✅ AJOUT: Vérifier si l'utilisateur est banni
-      const currentDate = new Date();
-      const activeBan = await prisma.userBannissement.findFirst({
+      const activeBan = await BanService.getActiveBan(user.id_user);
+      if (activeBan) {
+        return res.status(403).json(BanService.toPayload(activeBan));
+      }
+
+      // Double authentification : le mot de passe seul ne suffit pas
+      if (user.mfa_enabled) {
+        logger.info(`MFA challenge issued for user: ${user.username}`);
+        return res.json({
+          message: 'MFA verification required',
+          mfa_required: true,
+          mfaToken: TokenService.generateMfaPendingToken(user.id_user),
+          expiresIn: 300
+        });
+      }
+
+      return AuthController.completeLogin(req, res, user);
+    } catch (error) {
+      logger.error('Login error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Deuxième étape de connexion : token "MFA en attente" + code TOTP ou code de récupération
+   */
+  static async loginMfa(req, res) {
+    try {
+      const { error, value } = mfaLoginSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      let userId;
+      try {
+        userId = TokenService.verifyMfaPendingToken(value.mfaToken);
+      } catch (tokenError) {
+        return res.status(401).json({ 
+          error: 'Invalid token',
+          message: 'MFA token is invalid or expired, please log in again'
+        });
+      }
+
+      const user = await prisma.user.findFirst({
         where: {
-          user_banni: user.id_user,
-          debut_ban: { lte: currentDate },
-          fin_ban: { gte: currentDate }
+          id_user: userId,
+          is_active: true
+        },
+        include: {
+          role: true
         }
       });
 
-      if (activeBan) {
-        return res.status(403).json({
-          error: 'Account banned',
-          message: 'Your account is temporarily banned',
-          ban_info: {
-            reason: activeBan.raison,
-            end_date: activeBan.fin_ban
-          }
+      if (!user || !user.mfa_enabled) {
+        return res.status(401).json({ 
+          error: 'Invalid token',
+          message: 'MFA token is invalid or expired, please log in again'
         });
       }
 
-      // Générer les tokens
-      const { accessToken, refreshToken } = TokenService.generateTokens(user.id_user);
+      const lockedUntil = LoginSecurityService.getLockedUntil(user);
+      if (lockedUntil) {
+        return AuthController.sendAccountLocked(res, lockedUntil);
+      }
+
+      const verified = value.code
+        ? await AuthController.consumeTotpCode(user, value.code)
+        : await AuthController.consumeRecoveryCode(user.id_user, value.recovery_code);
+
+      if (!verified) {
+        logger.warn(`Failed MFA attempt for user: ${user.username}`);
+        const newLock = await LoginSecurityService.registerFailure(req, user, 'invalid_mfa_code');
+        if (newLock) {
+          return AuthController.sendAccountLocked(res, newLock);
+        }
+        return res.status(401).json({ 
+          error: 'Invalid code',
+          message: 'The verification code is incorrect'
+        });
+      }
+
+      return AuthController.completeLogin(req, res, user);
+    } catch (error) {
+      logger.error('MFA login error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Réponse pour un compte temporairement verrouillé
+   */
+  static sendAccountLocked(res, lockedUntil) {
+    res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+    return res.status(423).json({
+      error: 'Account locked',
+      message: 'Too many failed login attempts, please try again later',
+      locked_until: lockedUntil
+    });
+  }
+
+  /**
+   * Émet les tokens et construit la réponse de connexion
+   */
+  static async completeLogin(req, res, user) {
+    const { newDevice } = await LoginSecurityService.registerSuccess(req, user);
+
+    // Générer les tokens
+    const { accessToken, refreshToken } = await TokenService.generateTokens(
+      user.id_user,
+      TokenService.getRequestContext(req)
+    );
+
+    // Mettre à jour la dernière connexion
+    await prisma.user.update({
+      where: { id_user: user.id_user },
+      data: { last_login: new Date() }
+    });
+
+    logger.info(`User logged in: ${user.username} (${user.role.role})`);
+
+    // ✅ AJOUT: Déterminer la redirection basée sur le rôle
+    let redirectTo = '/feed'; // Page par défaut pour les utilisateurs normaux
+    const isAdminOrModerator = ['ADMIN', 'MODERATOR'].includes(user.role.role);
+    
+    if (isAdminOrModerator) {
+      redirectTo = '/admin/dashboard'; // Redirection vers le backoffice
+    }
+
+    // Retourner les informations sans le hash du mot de passe ni le secret 2FA
+    const { password_hash: _, mfa_secret: __, ...userResponse } = user;
+
+    res.json({
+      message: 'Login successful',
+      user: userResponse,
+      accessToken,
+      refreshToken,
+      new_device: newDevice,
+      // 2FA imposée mais pas encore activée : le backoffice reste fermé en attendant
+      mfa_setup_required: TotpService.isRequiredFor(user, user.role.role) && !user.mfa_enabled,
+      // ✅ AJOUT: Informations de redirection
+      redirect: {
+        should_redirect: isAdminOrModerator,
+        redirect_to: redirectTo,
+        is_admin: user.role.role === 'ADMIN',
+        is_moderator: user.role.role === 'MODERATOR'
+      }
+    });
+  }
+
+  /**
+   * Vérifie un code TOTP et enregistre son pas de temps (anti-rejeu)
+   */
+  static async consumeTotpCode(user, code) {
+    if (!user.mfa_secret) {
+      return false;
+    }
+
+    const step = TotpService.verifyCode(
+      TotpService.decryptSecret(user.mfa_secret),
+      code,
+      user.mfa_last_used_step
+    );
+
+    if (step === null) {
+      return false;
+    }
+
+    // Condition sur le dernier pas utilisé : un même code ne peut servir deux fois
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id_user: user.id_user,
+        OR: [
+          { mfa_last_used_step: null },
+          { mfa_last_used_step: { lt: step } }
+        ]
+      },
+      data: { mfa_last_used_step: step }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Consomme un code de récupération à usage unique
+   */
+  static async consumeRecoveryCode(userId, recoveryCode) {
+    const { count } = await prisma.mfaRecoveryCode.updateMany({
+      where: {
+        id_user: userId,
+        code_hash: TotpService.hashRecoveryCode(recoveryCode),
+        used_at: null
+      },
+      data: { used_at: new Date() }
+    });
+
+    if (count > 0) {
+      logger.warn(`Recovery code used by user ${userId}`);
+    }
+
+    return count > 0;
+  }
+
+  /**
+   * Remplace les codes de récupération d'un utilisateur et renvoie les nouveaux codes en clair
+   */
+  static async replaceRecoveryCodes(userId, tx = prisma) {
+    const codes = TotpService.generateRecoveryCodes();
+    const now = new Date();
+
+    await tx.mfaRecoveryCode.deleteMany({ where: { id_user: userId } });
+    await tx.mfaRecoveryCode.createMany({
+      data: codes.map(code => ({
+        id_user: userId,
+        code_hash: TotpService.hashRecoveryCode(code),
+        created_at: now
+      }))
+    });
+
+    return codes;
+  }
+
+  /**
+   * Démarrer l'activation de la 2FA : génère un secret et l'URI otpauth
+   */
+  static async setupMfa(req, res) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id_user: req.user.id_user },
+        select: { id_user: true, mail: true, mfa_enabled: true }
+      });
+
+      if (user.mfa_enabled) {
+        return res.status(409).json({ 
+          error: 'MFA already enabled',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = TotpService.generateSecret();
 
-      // Mettre à jour la dernière connexion
+      // Le secret reste inactif tant que le premier code n'est pas confirmé
       await prisma.user.update({
         where: { id_user: user.id_user },
-        data: { last_login: new Date() }
+        data: {
+          mfa_secret: TotpService.encryptSecret(secret),
+          mfa_last_used_step: null
+        }
       });
 
-      logger.info(`User logged in: ${user.username} (${user.role.role})`);
+      res.json({
+        message: 'Scan the QR code then confirm with a first code',
+        secret,
+        otpauth_url: TotpService.buildOtpauthUri(secret, user.mail)
+      });
+    } catch (error) {
+      logger.error('MFA setup error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
 
-      // ✅ AJOUT: Déterminer la redirection basée sur le rôle
-      let redirectTo = '/feed'; // Page par défaut pour les utilisateurs normaux
-      const isAdminOrModerator = ['ADMIN', 'MODERATOR'].includes(user.role.role);
-      
-      if (isAdminOrModerator) {
-        redirectTo = '/admin/dashboard'; // Redirection vers le backoffice
+  /**
+   * Confirmer l'activation de la 2FA avec un premier code, renvoie les codes de récupération
+   */
+  static async confirmMfa(req, res) {
+    try {
+      const { error, value } = mfaCodeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
       }
 
-      // Retourner les informations sans le hash du mot de passe
-      const { password_hash: _, ...userResponse } = user;
+      const user = await prisma.user.findUnique({
+        where: { id_user: req.user.id_user }
+      });
+
+      if (user.mfa_enabled) {
+        return res.status(409).json({ 
+          error: 'MFA already enabled',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.mfa_secret) {
+        return res.status(400).json({ 
+          error: 'MFA setup required',
+          message: 'Start the two-factor setup first'
+        });
+      }
+
+      if (!(await AuthController.consumeTotpCode(user, value.code))) {
+        return res.status(400).json({ 
+          error: 'Invalid code',
+          message: 'The verification code is incorrect'
+        });
+      }
+
+      const recoveryCodes = await prisma.$transaction(async (tx) => {
+        await tx.user.update({
+          where: { id_user: user.id_user },
+          data: {
+            mfa_enabled: true,
+            mfa_enabled_at: new Date(),
+            updated_at: new Date()
+          }
+        });
+
+        return AuthController.replaceRecoveryCodes(user.id_user, tx);
+      });
+
+      logger.info(`MFA enabled for user: ${user.username}`);
 
       res.json({
-        message: 'Login successful',
-        user: userResponse,
-        accessToken,
-        refreshToken,
-        // ✅ AJOUT: Informations de redirection
-        redirect: {
-          should_redirect: isAdminOrModerator,
-          redirect_to: redirectTo,
-          is_admin: user.role.role === 'ADMIN',
-          is_moderator: user.role.role === 'MODERATOR'
-        }
+        message: 'Two-factor authentication enabled',
+        recovery_codes: recoveryCodes
       });
     } catch (error) {
-      logger.error('Login error:', error);
+      logger.error('MFA confirm error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Désactiver la 2FA (mot de passe + code requis, impossible si elle est imposée)
+   */
+  static async disableMfa(req, res) {
+    try {
+      const { error, value } = mfaDisableSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id_user: req.user.id_user },
+        include: { role: true }
+      });
+
+      if (!user.mfa_enabled) {
+        return res.status(400).json({ 
+          error: 'MFA not enabled',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (TotpService.isRequiredFor(user, user.role.role)) {
+        return res.status(403).json({ 
+          error: 'MFA enforced',
+          message: 'Two-factor authentication is mandatory for your account'
+        });
+      }
+
+      const isValidPassword = await bcrypt.compare(value.password, user.password_hash);
+      const verified = isValidPassword && (value.code
+        ? await AuthController.consumeTotpCode(user, value.code)
+        : await AuthController.consumeRecoveryCode(user.id_user, value.recovery_code));
+
+      if (!verified) {
+        return res.status(401).json({ 
+          error: 'Invalid credentials',
+          message: 'Password or verification code is incorrect'
+        });
+      }
+
+      await prisma.$transaction([
+        prisma.user.update({
+          where: { id_user: user.id_user },
+          data: {
+            mfa_enabled: false,
+            mfa_secret: null,
+            mfa_enabled_at: null,
+            mfa_last_used_step: null,
+            updated_at: new Date()
+          }
+        }),
+        prisma.mfaRecoveryCode.deleteMany({ where: { id_user: user.id_user } })
+      ]);
+
+      logger.info(`MFA disabled for user: ${user.username}`);
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      logger.error('MFA disable error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 
   /**
-   * Rafraîchir le token d'accès
+   * Régénérer les codes de récupération (les anciens sont invalidés)
+   */
+  static async regenerateRecoveryCodes(req, res) {
+    try {
+      const { error, value } = mfaCodeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id_user: req.user.id_user }
+      });
+
+      if (!user.mfa_enabled) {
+        return res.status(400).json({ 
+          error: 'MFA not enabled',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await AuthController.consumeTotpCode(user, value.code))) {
+        return res.status(400).json({ 
+          error: 'Invalid code',
+          message: 'The verification code is incorrect'
+        });
+      }
+
+      const recoveryCodes = await AuthController.replaceRecoveryCodes(user.id_user);
+
+      logger.info(`Recovery codes regenerated for user: ${user.username}`);
+
+      res.json({ recovery_codes: recoveryCodes });
+    } catch (error) {
+      logger.error('Regenerate recovery codes error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Rafraîchir le token d'accès (rotation du refresh token)
    */
   static async refresh(req, res) {
     try {
@@ -258,40 +660,50 @@ class AuthController {
 
       const { refreshToken } = value;
 
+      let tokens;
       try {
-        const decoded = TokenService.verifyRefreshToken(refreshToken);
-        
-        const user = await prisma.user.findFirst({
-          where: { 
-            id_user: decoded.id_user,
-            is_active: true 
-          }
-        });
-
-        if (!user) {
-          return res.status(401).json({ 
-            error: 'Invalid token',
-            message: 'User not found or inactive'
+        tokens = await TokenService.rotateRefreshToken(refreshToken, TokenService.getRequestContext(req));
+      } catch (tokenError) {
+        if (tokenError.code === 'REFRESH_TOKEN_REUSED') {
+          return res.status(401).json({
+            error: 'Token reuse detected',
+            message: 'This refresh token was already used, the session has been revoked'
           });
         }
 
-        const newAccessToken = TokenService.generateAccessToken({
-          id_user: user.id_user,
-          username: user.username,
-          mail: user.mail
+        return res.status(401).json({ 
+          error: 'Invalid token',
+          message: 'Refresh token is invalid or expired'
         });
+      }
 
-        res.json({
-          accessToken: newAccessToken,
-          expiresIn: 3600
-        });
+      const user = await prisma.user.findFirst({
+        where: { 
+          id_user: tokens.userId,
+          is_active: true 
+        }
+      });
 
-      } catch (tokenError) {
+      if (!user) {
+        await TokenService.revokeFamily(tokens.sessionId);
         return res.status(401).json({ 
           error: 'Invalid token',
-          message: 'Refresh token is invalid or expired'
+          message: 'User not found or inactive'
         });
       }
+
+      // Pas de nouveau token d'accès pendant un ban
+      const activeBan = await BanService.getActiveBan(user.id_user);
+      if (activeBan) {
+        await TokenService.revokeFamily(tokens.sessionId);
+        return res.status(403).json(BanService.toPayload(activeBan));
+      }
+
+      res.json({
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: 3600
+      });
     } catch (error) {
       logger.error('Refresh token error:', error);
       res.status(500).json({ error: 'Internal server error' });
@@ -350,15 +762,259 @@ class AuthController {
   }
 
   /**
-   * Déconnexion (invalidation du token côté client)
+   * Demande de réinitialisation du mot de passe
+   * Réponse identique que le compte existe ou non (pas d'énumération des emails)
+   */
+  static async forgotPassword(req, res) {
+    try {
+      const { error, value } = forgotPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const genericResponse = {
+        message: 'If an account exists for this email, a reset link has been sent'
+      };
+
+      const user = await prisma.user.findFirst({
+        where: {
+          mail: value.mail,
+          is_active: true
+        },
+        select: { id_user: true, username: true, prenom: true, mail: true }
+      });
+
+      if (!user) {
+        return res.json(genericResponse);
+      }
+
+      const now = new Date();
+      const maxRequestsPerHour = parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR) || 3;
+      const recentRequests = await prisma.passwordResetToken.count({
+        where: {
+          id_user: user.id_user,
+          created_at: { gte: new Date(now.getTime() - 60 * 60 * 1000) }
+        }
+      });
+
+      if (recentRequests >= maxRequestsPerHour) {
+        logger.warn(`Password reset throttled for user: ${user.username}`);
+        return res.json(genericResponse);
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+      const expiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000);
+
+      await prisma.$transaction([
+        // Un seul lien valide à la fois : les demandes précédentes sont invalidées
+        prisma.passwordResetToken.updateMany({
+          where: { id_user: user.id_user, used_at: null },
+          data: { used_at: now }
+        }),
+        prisma.passwordResetToken.create({
+          data: {
+            id_user: user.id_user,
+            token_hash: TokenService.hashToken(token),
+            ip_address: req.ip || null,
+            created_at: now,
+            expires_at: expiresAt
+          }
+        })
+      ]);
+
+      // Même réponse si l'envoi échoue : une erreur ne doit pas révéler que le compte existe
+      try {
+        await MailService.sendPasswordResetMail(user, token, expiresAt);
+        logger.info(`Password reset requested for user: ${user.username}`);
+      } catch (mailError) {
+        logger.error(`Password reset mail could not be sent to user: ${user.username}`, mailError);
+      }
+
+      res.json(genericResponse);
+    } catch (error) {
+      logger.error('Forgot password error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Réinitialiser le mot de passe avec un token reçu par email
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { error, value } = resetPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { token, newPassword } = value;
+      const now = new Date();
+
+      const resetToken = await prisma.passwordResetToken.findUnique({
+        where: { token_hash: TokenService.hashToken(token) },
+        include: {
+          user: { select: { id_user: true, username: true, is_active: true } }
+        }
+      });
+
+      if (!resetToken || resetToken.used_at || resetToken.expires_at <= now || !resetToken.user.is_active) {
+        return res.status(400).json({ 
+          error: 'Invalid token',
+          message: 'Reset token is invalid or expired'
+        });
+      }
+
+      const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+      const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+      const updated = await prisma.$transaction(async (tx) => {
+        // Usage unique : seul le premier appel peut consommer le token
+        const { count } = await tx.passwordResetToken.updateMany({
+          where: { id_reset_token: resetToken.id_reset_token, used_at: null },
+          data: { used_at: now }
+        });
+
+        if (count === 0) {
+          return false;
+        }
+
+        await tx.user.update({
+          where: { id_user: resetToken.id_user },
+          data: {
+            password_hash: passwordHash,
+            failed_login_count: 0,
+            locked_until: null,
+            updated_at: now
+          }
+        });
+
+        // Toutes les sessions existantes sont fermées
+        await TokenService.revokeAllUserTokens(resetToken.id_user, tx);
+
+        return true;
+      });
+
+      if (!updated) {
+        return res.status(400).json({ 
+          error: 'Invalid token',
+          message: 'Reset token is invalid or expired'
+        });
+      }
+
+      logger.info(`Password reset completed for user: ${resetToken.user.username}`);
+
+      res.json({ 
+        message: 'Password reset successfully',
+        timestamp: now.toISOString()
+      });
+    } catch (error) {
+      logger.error('Reset password error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Confirmer une adresse email avec le token reçu par mail
+   */
+  static async verifyEmail(req, res) {
+    try {
+      const { error, value } = verifyEmailSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await EmailVerificationService.consume(value.token);
+
+      if (result.status === 'conflict') {
+        return res.status(409).json({ 
+          error: 'User already exists',
+          message: 'This email is already taken by another account'
+        });
+      }
+
+      if (result.status !== 'verified') {
+        return res.status(400).json({ 
+          error: 'Invalid token',
+          message: 'Verification token is invalid or expired'
+        });
+      }
+
+      res.json({ 
+        message: 'Email verified successfully',
+        mail: result.user.mail,
+        mail_verified_at: result.user.mail_verified_at,
+        mail_changed: result.mailChanged
+      });
+    } catch (error) {
+      logger.error('Verify email error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Renvoyer le mail de vérification (adresse en attente ou non vérifiée)
+   */
+  static async resendVerification(req, res) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id_user: req.user.id_user },
+        select: { id_user: true, username: true, prenom: true, mail: true, mail_verified_at: true, pending_mail: true }
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const targetMail = user.pending_mail || (user.mail_verified_at ? null : user.mail);
+
+      if (!targetMail) {
+        return res.status(400).json({ 
+          error: 'Already verified',
+          message: 'Your email address is already verified'
+        });
+      }
+
+      const maxPerHour = parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR) || 3;
+      if (await EmailVerificationService.countRecent(user.id_user) >= maxPerHour) {
+        return res.status(429).json({ 
+          error: 'Too many verification requests',
+          message: 'Please wait before requesting another verification email'
+        });
+      }
+
+      await EmailVerificationService.issue(user, targetMail);
+
+      res.json({ 
+        message: 'Verification email sent',
+        mail: targetMail
+      });
+    } catch (error) {
+      logger.error('Resend verification error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Déconnexion : révoque la session courante côté serveur
    */
   static async logout(req, res) {
     try {
-      logger.info(`User logged out: ${req.user.username}`);
+      const { refreshToken } = req.body || {};
+      let revoked = 0;
+
+      if (refreshToken) {
+        const stored = await TokenService.revokeRefreshToken(refreshToken, req.user.id_user);
+        revoked = stored ? 1 : 0;
+      } else if (req.sessionId) {
+        revoked = await TokenService.revokeFamily(req.sessionId) > 0 ? 1 : 0;
+      }
+
+      logger.info(`User logged out: ${req.user.username} (${revoked} session revoked)`);
       
       res.json({ 
         message: 'Logged out successfully',
-        note: 'Please remove tokens from client storage'
+        session_revoked: revoked > 0
       });
     } catch (error) {
       logger.error('Logout error:', error);
@@ -366,6 +1022,105 @@ class AuthController {
     }
   }
 
+  /**
+   * Historique des tentatives de connexion sur son compte
+   */
+  static async getLoginAttempts(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const attempts = await prisma.loginAttempt.findMany({
+        where: { id_user: req.user.id_user },
+        select: {
+          id_login_attempt: true,
+          ip_address: true,
+          user_agent: true,
+          success: true,
+          failure_reason: true,
+          new_device: true,
+          created_at: true
+        },
+        orderBy: { created_at: 'desc' },
+        take: limit
+      });
+
+      res.json({ attempts });
+    } catch (error) {
+      logger.error('Get login attempts error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Lister les sessions actives (appareils connectés)
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await TokenService.getActiveSessions(req.user.id_user);
+
+      res.json({
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.sessionId
+        })),
+        total: sessions.length
+      });
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Révoquer une session (déconnecter un appareil)
+   */
+  static async revokeSession(req, res) {
+    try {
+      const { error, value } = sessionParamsSchema.validate(req.params);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const revoked = await TokenService.revokeUserSession(req.user.id_user, value.id);
+
+      if (revoked === 0) {
+        return res.status(404).json({ 
+          error: 'Session not found',
+          message: 'No active session with this ID'
+        });
+      }
+
+      logger.info(`Session ${value.id} revoked by ${req.user.username}`);
+
+      res.json({ 
+        message: 'Session revoked successfully',
+        current: value.id === req.sessionId
+      });
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Déconnecter tous les autres appareils
+   */
+  static async revokeOtherSessions(req, res) {
+    try {
+      const revokedCount = await TokenService.revokeOtherSessions(req.user.id_user, req.sessionId);
+
+      logger.info(`${revokedCount} other sessions revoked by ${req.user.username}`);
+
+      res.json({ 
+        message: 'Other sessions revoked successfully',
+        revoked_sessions: revokedCount
+      });
+    } catch (error) {
+      logger.error('Revoke other sessions error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
   /**
    * Obtenir toutes les informations de l'utilisateur connecté
    */
@@ -399,7 +1154,7 @@ class AuthController {
       }
 
       // Retourner toutes les informations sans le hash du mot de passe
-      const { password_hash: ___, ...userInfo } = user;
+      const { password_hash: ___, mfa_secret: ____, ...userInfo } = user;
 
       res.json({
         ...userInfo,
@@ -1,6 +1,7 @@
 const prisma = require('../utils/database');
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const BanService = require('../services/banService');
 const { userParamsSchema, paginationSchema } = require('../validators/userValidator');
 
 // Schémas de validation pour les bans
@@ -73,7 +74,7 @@ class BanController {
       }
 
       // Vérifier que l'utilisateur connecté a les permissions (modérateur ou admin)
-      if (!['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can ban users'
@@ -99,7 +100,7 @@ class BanController {
       }
 
       // Vérifier la hiérarchie des rôles (un modérateur ne peut pas bannir un admin)
-      const roleHierarchy = { 'user': 1, 'moderator': 2, 'administrator': 3 };
+      const roleHierarchy = { 'USER': 1, 'MODERATOR': 2, 'ADMIN': 3 };
       if (roleHierarchy[targetUser.role.role] >= roleHierarchy[currentUser.role.role]) {
         return res.status(403).json({ 
           error: 'Access denied',
@@ -150,6 +151,9 @@ class BanController {
         }
       });
 
+      // Sessions en cours révoquées immédiatement
+      await BanService.onBanIssued(user_banni);
+
       logger.info(`User ${targetUser.username} banned by ${currentUser.username} for: ${raison}`);
 
       res.status(201).json({
@@ -234,7 +238,7 @@ class BanController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can unban users'
@@ -270,6 +274,7 @@ class BanController {
         where: { id_bannissement: activeBan.id_bannissement },
         data: { fin_ban: currentDate }
       });
+      BanService.invalidate(userId);
 
       logger.info(`User ${targetUser.username} unbanned by ${currentUser.username}`);
 
@@ -310,7 +315,7 @@ class BanController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can modify bans'
@@ -335,7 +340,7 @@ class BanController {
       }
 
       // Vérifier la hiérarchie (seul un admin peut modifier le ban d'un autre admin)
-      const roleHierarchy = { 'user': 1, 'moderator': 2, 'administrator': 3 };
+      const roleHierarchy = { 'USER': 1, 'MODERATOR': 2, 'ADMIN': 3 };
       if (ban.banni_by !== req.user.id_user && 
           roleHierarchy[ban.banni_by_rel.role.role] >= roleHierarchy[currentUser.role.role]) {
         return res.status(403).json({ 
@@ -350,6 +355,8 @@ class BanController {
         data: { raison }
       });
 
+      BanService.invalidate(ban.user_banni);
+
       logger.info(`Ban reason updated by ${currentUser.username} for user ${ban.user_banni_rel.username}`);
 
       res.json({
@@ -392,7 +399,7 @@ class BanController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can modify bans'
@@ -417,7 +424,7 @@ class BanController {
       }
 
       // Vérifier la hiérarchie
-      const roleHierarchy = { 'user': 1, 'moderator': 2, 'administrator': 3 };
+      const roleHierarchy = { 'USER': 1, 'MODERATOR': 2, 'ADMIN': 3 };
       if (ban.banni_by !== req.user.id_user && 
           roleHierarchy[ban.banni_by_rel.role.role] >= roleHierarchy[currentUser.role.role]) {
         return res.status(403).json({ 
@@ -440,6 +447,8 @@ class BanController {
         data: { fin_ban: new Date(fin_ban) }
       });
 
+      BanService.invalidate(ban.user_banni);
+
       logger.info(`Ban duration updated by ${currentUser.username} for user ${ban.user_banni_rel.username}`);
 
       res.json({
@@ -474,7 +483,7 @@ class BanController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view bans'
@@ -563,7 +572,7 @@ class BanController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view ban history'
@@ -648,7 +657,7 @@ class BanController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view ban details'
@@ -1,7 +1,9 @@
 // src/controllers/followController.js - Version complète CORRIGÉE avec la vraie syntaxe
 const prisma = require('../utils/database');
 const logger = require('../utils/logger');
-const { userParamsSchema, paginationSchema } = require('../validators/userValidator');
+const { userParamsSchema, paginationSchema, cursorPaginationSchema } = require('../validators/userValidator');
+const { usesPageMode, buildCursorQuery, buildCursorPage } = require('../utils/cursor');
+const HomeTimelineService = require('../services/homeTimelineService');
 
 class FollowController {
   /**
@@ -94,6 +96,11 @@ class FollowController {
         }
       });
 
+      // Abonnement immédiat : posts récents ajoutés à la timeline d'accueil
+      if (!follow.pending) {
+        await HomeTimelineService.addAuthor(followerId, followedIdInt);
+      }
+
       const message = targetUser.private ? 'Follow request sent' : 'User followed successfully';
       const action = targetUser.private ? 'requested to follow' : 'started following';
 
@@ -177,6 +184,8 @@ class FollowController {
         }
       });
 
+      await HomeTimelineService.removeAuthor(followerId, userId);
+
       console.log(`✅ Unfollowed: ${followerId} -> ${userId}`);
       logger.info(`${req.user.username} unfollowed ${targetUser?.username || `user ${userId}`}`);
 
@@ -309,6 +318,8 @@ class FollowController {
         }
       });
 
+      await HomeTimelineService.addAuthor(followerId, req.user.id_user);
+
       logger.info(`Follow request accepted: ${followRequest.follower_user.username} -> ${req.user.username}`);
 
       res.json({ message: 'Follow request accepted' });
@@ -429,14 +440,13 @@ class FollowController {
         return res.status(400).json({ error: paramsError.details[0].message });
       }
 
-      const { error: queryError, value } = paginationSchema.validate(req.query);
+      const { error: queryError, value } = cursorPaginationSchema.validate(req.query);
       if (queryError) {
         return res.status(400).json({ error: queryError.details[0].message });
       }
 
       const { id } = req.params;
-      const { page, limit } = value;
-      const skip = (page - 1) * limit;
+      const { page, limit, cursor } = value;
 
       // Convertir l'ID string en nombre
       const userId = parseInt(id, 10);
@@ -474,51 +484,74 @@ class FollowController {
         }
       }
 
+      const where = {
+        account: userId,
+        pending: false,
+        active: true,
+        follower_user: { is_active: true }
+      };
+
+      const select = {
+        follower: true,
+        created_at: true,
+        follower_user: {
+          select: {
+            id_user: true,
+            username: true,
+            nom: true,
+            prenom: true,
+            bio: true,
+            photo_profil: true,
+            certified: true,
+            private: true
+          }
+        }
+      };
+
+      const formatFollower = (follow) => ({
+        ...follow.follower_user,
+        followDate: follow.created_at
+      });
+
+      // Par défaut : curseur (date de suivi + abonné), stable quand de nouveaux abonnés arrivent
+      if (!usesPageMode(req.query)) {
+        const { position, where: cursorWhere, orderBy } = buildCursorQuery(cursor, { idField: 'follower' });
+        const rows = await prisma.follow.findMany({
+          where: cursorWhere ? { AND: [where, cursorWhere] } : where,
+          select,
+          orderBy,
+          take: limit + 1
+        });
+
+        const { items, pagination } = buildCursorPage(rows, {
+          position,
+          limit,
+          getDate: follow => follow.created_at,
+          getId: follow => follow.follower
+        });
+
+        return res.json({
+          followers: items.map(formatFollower),
+          pagination
+        });
+      }
+
+      const skip = (page - 1) * limit;
       const [followers, total] = await Promise.all([
         prisma.follow.findMany({
-          where: {
-            account: userId,
-            pending: false,
-            active: true,
-            follower_user: { is_active: true }
-          },
-          select: {
-            follower: true,
-            created_at: true,
-            follower_user: {
-              select: {
-                id_user: true,
-                username: true,
-                nom: true,
-                prenom: true,
-                bio: true,
-                photo_profil: true,
-                certified: true,
-                private: true
-              }
-            }
-          },
+          where,
+          select,
           skip,
           take: limit,
-          orderBy: { created_at: 'desc' }
+          orderBy: [{ created_at: 'desc' }, { follower: 'desc' }]
         }),
-        prisma.follow.count({
-          where: {
-            account: userId,
-            pending: false,
-            active: true,
-            follower_user: { is_active: true }
-          }
-        })
+        prisma.follow.count({ where })
       ]);
 
       const totalPages = Math.ceil(total / limit);
 
       res.json({
-        followers: followers.map(follow => ({
-          ...follow.follower_user,
-          followDate: follow.created_at
-        })),
+        followers: followers.map(formatFollower),
         pagination: {
           page,
           limit,
@@ -529,6 +562,9 @@ class FollowController {
         }
       });
     } catch (error) {
+      if (error.name === 'CursorError') {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Get followers error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -920,6 +920,7 @@ class LikeController {
         prisma.like.count({
           where: {
             active: true,
+            post: { active: true },
             created_at: {
               gte: new Date(Date.now() - 24 * 60 * 60 * 1000)
             }
@@ -5,6 +5,19 @@ const path = require('path');
 const fs = require('fs').promises;
 const { postParamsSchema } = require('../validators/postValidator');
 const { paginationSchema } = require('../validators/userValidator');
+const ImageProcessingService = require('../services/imageProcessingService');
+const MediaValidationService = require('../services/mediaValidationService');
+const StorageService = require('../services/storageService');
+const MediaAccessService = require('../services/mediaAccessService');
+const UploadSessionService = require('../services/uploadSessionService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const StorageQuotaService = require('../services/storageQuotaService');
+const StorageReconciliationService = require('../services/storageReconciliationService');
+const MediaBlocklistService = require('../services/mediaBlocklistService');
+const { altTextField, captionField, mediaDescriptionSchema } = require('../validators/mediaValidator');
+
+// Rappel renvoyé quand un média est publié sans texte alternatif (préférence "remind")
+const ALT_TEXT_REMINDER = 'Add alt text so people using screen readers know what this media shows';
 
 // Schémas de validation pour les médias
 const addMediaSchema = Joi.object({
@@ -15,7 +28,9 @@ const addMediaSchema = Joi.object({
   file_path: Joi.string().required().messages({
     'any.required': 'File path is required',
     'string.base': 'File path must be a string'
-  })
+  }),
+  alt_text: altTextField,
+  caption: captionField
 });
 
 const uploadSchema = Joi.object({
@@ -27,6 +42,119 @@ const uploadSchema = Joi.object({
   })
 });
 
+const uploadSessionSchema = Joi.object({
+  file_name: Joi.string().max(255).required().messages({
+    'any.required': 'File name is required',
+    'string.max': 'File name must not exceed 255 characters'
+  }),
+  file_size: Joi.number().integer().min(1).required().messages({
+    'any.required': 'File size is required',
+    'number.min': 'File size must be positive'
+  }),
+  chunk_size: Joi.number().integer()
+    .min(UploadSessionService.MIN_CHUNK_SIZE)
+    .max(UploadSessionService.MAX_CHUNK_SIZE)
+    .default(UploadSessionService.DEFAULT_CHUNK_SIZE)
+    .messages({
+      'number.min': `Chunk size must be at least ${UploadSessionService.MIN_CHUNK_SIZE} bytes`,
+      'number.max': `Chunk size must not exceed ${UploadSessionService.MAX_CHUNK_SIZE} bytes`
+    })
+});
+
+const uploadSessionParamsSchema = Joi.object({
+  uploadId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Upload ID must be a number'
+  })
+});
+
+const uploadChunkParamsSchema = uploadSessionParamsSchema.keys({
+  index: Joi.number().integer().min(0).required().messages({
+    'number.base': 'Chunk index must be a number'
+  })
+});
+
+const completeUploadSchema = uploadSchema.keys({
+  checksum: Joi.string().hex().length(64).required().messages({
+    'any.required': 'Checksum (SHA-256) is required',
+    'string.hex': 'Checksum must be a SHA-256 hex digest',
+    'string.length': 'Checksum must be a SHA-256 hex digest'
+  })
+});
+
+const quotaParamsSchema = Joi.object({
+  userId: Joi.number().integer().positive().required().messages({
+    'any.required': 'User ID is required',
+    'number.base': 'User ID must be a number'
+  })
+});
+
+const quotaOverrideSchema = Joi.object({
+  // null : illimité, 0 : plus aucun upload
+  quota_mb: Joi.number().integer().min(0).max(10 * 1024 * 1024).allow(null).required().messages({
+    'any.required': 'Quota (quota_mb) is required, null for unlimited',
+    'number.min': 'Quota must be positive'
+  }),
+  reason: Joi.string().max(255).allow('').messages({
+    'string.max': 'Reason must not exceed 255 characters'
+  })
+});
+
+const reconciliationParamsSchema = Joi.object({
+  reconciliationId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Reconciliation ID must be a number'
+  })
+});
+
+const applyReconciliationSchema = Joi.object({
+  // Médias dont le fichier d'origine manque supprimés, miniatures et variantes absentes retirées
+  repair_missing: Joi.boolean().default(false)
+});
+
+const blocklistParamsSchema = Joi.object({
+  hashId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Blocklist entry ID must be a number'
+  })
+});
+
+const blocklistActionField = Joi.string().valid(...MediaBlocklistService.BLOCK_ACTIONS).messages({
+  'any.only': 'Action must be one of: reject, flag'
+});
+
+const blocklistReasonField = Joi.string().max(500).allow('', null).messages({
+  'string.max': 'Reason must not exceed 500 characters'
+});
+
+// Empreinte d'une image d'un post (media_id) ou calculée ailleurs (phash)
+const blocklistEntrySchema = Joi.object({
+  media_id: Joi.number().integer().positive(),
+  phash: Joi.string().hex().length(16).lowercase().messages({
+    'string.hex': 'Perceptual hash must be 16 hexadecimal characters',
+    'string.length': 'Perceptual hash must be 16 hexadecimal characters'
+  }),
+  action: blocklistActionField.default('reject'),
+  reason: blocklistReasonField
+}).xor('media_id', 'phash').messages({
+  'object.missing': 'media_id or phash is required',
+  'object.xor': 'Provide either media_id or phash, not both'
+});
+
+const blocklistUpdateSchema = Joi.object({
+  action: blocklistActionField,
+  reason: blocklistReasonField,
+  active: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Nothing to update'
+});
+
+const blocklistMatchesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  action: Joi.string().valid('rejected', 'flagged').messages({
+    'any.only': 'Action must be one of: rejected, flagged'
+  }),
+  hash_id: Joi.number().integer().positive()
+});
+
 const mediaParamsSchema = Joi.object({
   mediaId: Joi.string().required().messages({
     'any.required': 'Media ID is required',
@@ -44,6 +172,8 @@ const resizeImageSchema = Joi.object({
     'number.max': 'Height must not exceed 4096px'
   }),
   quality: Joi.number().min(1).max(100).default(80)
+}).or('width', 'height').messages({
+  'object.missing': 'Width or height is required'
 });
 
 class MediaController {
@@ -61,6 +191,7 @@ class MediaController {
       image: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
       video: ['.mp4', '.webm', '.mov', '.avi']
     },
+    // Dossier local des fichiers temporaires (multer) ; le stockage final passe par StorageService
     uploadPath: process.env.UPLOAD_PATH || './uploads'
   };
 
@@ -83,6 +214,49 @@ class MediaController {
     return true;
   }
 
+  /**
+   * Préférence d'accessibilité de l'utilisateur (rappel par défaut)
+   */
+  static async getAltTextPolicy(userId) {
+    const preferences = await prisma.userPreferences.findUnique({
+      where: { id_user: userId },
+      select: { alt_text_policy: true }
+    });
+    return preferences ? preferences.alt_text_policy : 'remind';
+  }
+
+  /**
+   * Refus (400) si les préférences de l'auteur exigent un texte alternatif absent
+   */
+  static rejectMissingAltText(res, altText, policy) {
+    if (altText || policy !== 'require') return false;
+
+    res.status(400).json({
+      error: 'Alt text required',
+      message: 'Your preferences require alt text on every image and video'
+    });
+    return true;
+  }
+
+  /**
+   * État du traitement d'une vidéo ; lecture via le rendu MP4/H.264 une fois prêt, l'original sinon
+   */
+  static describeVideoProcessing(media, urls) {
+    const rendition = urls.variants && urls.variants.mp4;
+    const playable = media.processing_status !== 'rejected';
+
+    return {
+      processing: {
+        status: media.processing_status,
+        error: media.processing_error,
+        processed_at: media.processed_at
+      },
+      duration: media.duration,
+      poster_url: urls.thumbnail_url,
+      playback_url: playable ? (rendition ? rendition.url : urls.url) : null
+    };
+  }
+
   /**
    * Ajouter une image à un post
    */
@@ -98,8 +272,10 @@ class MediaController {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { id: postId } = req.params;
+      const postId = parseInt(req.params.id);
       const { file_path } = value;
+      const altText = value.alt_text || null;
+      const caption = value.caption || null;
 
       // Vérifier que l'utilisateur connecté existe et est actif
       const currentUser = await prisma.user.findFirst({
@@ -114,6 +290,9 @@ class MediaController {
         return res.status(404).json({ error: 'Current user not found or inactive' });
       }
 
+      const altTextPolicy = await this.getAltTextPolicy(currentUser.id_user);
+      if (this.rejectMissingAltText(res, altText, altTextPolicy)) return;
+
       // Vérifier que le post existe, est actif et appartient à l'utilisateur
       const post = await prisma.post.findFirst({
         where: { 
@@ -131,6 +310,18 @@ class MediaController {
       // Valider le format de l'image
       this.validateMediaFormat(file_path, 'image');
 
+      // Seules les images passées par /upload (ré-encodées, sans EXIF) peuvent être attachées
+      if (!ImageProcessingService.isOwnProcessedImage(file_path, currentUser.id_user)) {
+        return res.status(400).json({ error: 'Invalid file path: upload the image first' });
+      }
+
+      let imageInfo;
+      try {
+        imageInfo = await ImageProcessingService.describeStoredImage(file_path);
+      } catch (error) {
+        return res.status(400).json({ error: 'Uploaded image not found' });
+      }
+
       // Vérifier le nombre d'images déjà associées au post
       const imageType = await prisma.typeMedia.findFirst({
         where: { media: 'image' }
@@ -163,7 +354,13 @@ class MediaController {
           data: {
             id_post: postId,
             id_media: imageType.id_media,
-            lien_media: file_path
+            lien_media: file_path,
+            width: imageInfo.width,
+            height: imageInfo.height,
+            thumbnail: imageInfo.thumbnail,
+            variants: imageInfo.variants,
+            alt_text: altText,
+            caption
           },
           include: {
             type_media: true
@@ -187,8 +384,15 @@ class MediaController {
           id_img_vid_post: result.id_img_vid_post,
           type: result.type_media.media,
           url: result.lien_media,
+          width: result.width,
+          height: result.height,
+          thumbnail: result.thumbnail,
+          variants: result.variants,
+          alt_text: result.alt_text,
+          caption: result.caption,
           added_at: now
-        }
+        },
+        ...(!altText && altTextPolicy === 'remind' && { alt_text_reminder: ALT_TEXT_REMINDER })
       });
     } catch (error) {
       if (error.message.includes('Invalid') || error.message.includes('File too large')) {
@@ -214,8 +418,10 @@ class MediaController {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { id: postId } = req.params;
+      const postId = parseInt(req.params.id);
       const { file_path } = value;
+      const altText = value.alt_text || null;
+      const caption = value.caption || null;
 
       // Vérifier que l'utilisateur connecté existe et est actif
       const currentUser = await prisma.user.findFirst({
@@ -230,6 +436,9 @@ class MediaController {
         return res.status(404).json({ error: 'Current user not found or inactive' });
       }
 
+      const altTextPolicy = await this.getAltTextPolicy(currentUser.id_user);
+      if (this.rejectMissingAltText(res, altText, altTextPolicy)) return;
+
       // Vérifier que le post existe, est actif et appartient à l'utilisateur
       const post = await prisma.post.findFirst({
         where: { 
@@ -247,6 +456,15 @@ class MediaController {
       // Valider le format de la vidéo
       this.validateMediaFormat(file_path, 'video');
 
+      // Seules les vidéos passées par /upload (contenu vérifié) peuvent être attachées
+      if (!VideoProcessingService.isOwnUploadedVideo(file_path, currentUser.id_user)) {
+        return res.status(400).json({ error: 'Invalid file path: upload the video first' });
+      }
+
+      if (!(await StorageService.stat(file_path))) {
+        return res.status(400).json({ error: 'Uploaded video not found' });
+      }
+
       // Vérifier le nombre de vidéos déjà associées au post
       const videoType = await prisma.typeMedia.findFirst({
         where: { media: 'video' }
@@ -279,7 +497,11 @@ class MediaController {
           data: {
             id_post: postId,
             id_media: videoType.id_media,
-            lien_media: file_path
+            lien_media: file_path,
+            alt_text: altText,
+            caption,
+            // Analyse, poster et rendu web faits en arrière-plan
+            processing_status: 'pending'
           },
           include: {
             type_media: true
@@ -295,6 +517,8 @@ class MediaController {
         return media;
       });
 
+      VideoProcessingService.wake();
+
       logger.info(`Video added to post ${postId} by ${currentUser.username}: ${file_path}`);
 
       res.status(201).json({
@@ -303,8 +527,12 @@ class MediaController {
           id_img_vid_post: result.id_img_vid_post,
           type: result.type_media.media,
           url: result.lien_media,
+          processing_status: result.processing_status,
+          alt_text: result.alt_text,
+          caption: result.caption,
           added_at: now
-        }
+        },
+        ...(!altText && altTextPolicy === 'remind' && { alt_text_reminder: ALT_TEXT_REMINDER })
       });
     } catch (error) {
       if (error.message.includes('Invalid') || error.message.includes('File too large')) {
@@ -383,8 +611,8 @@ class MediaController {
         });
       });
 
-      // Supprimer le fichier physique (en arrière-plan)
-      this.deleteFileAsync(filePath);
+      // Supprimer les fichiers physiques, variantes comprises (en arrière-plan)
+      ImageProcessingService.removeFiles(ImageProcessingService.listFiles(media));
 
       logger.info(`Image removed from post ${media.post.id_post} by ${currentUser.username}: ${filePath}`);
 
@@ -463,8 +691,8 @@ class MediaController {
         });
       });
 
-      // Supprimer le fichier physique (en arrière-plan)
-      this.deleteFileAsync(filePath);
+      // Supprimer les fichiers physiques, variantes comprises (en arrière-plan)
+      ImageProcessingService.removeFiles(ImageProcessingService.listFiles(media));
 
       logger.info(`Video removed from post ${media.post.id_post} by ${currentUser.username}: ${filePath}`);
 
@@ -485,7 +713,7 @@ class MediaController {
         return res.status(400).json({ error: paramsError.details[0].message });
       }
 
-      const { id: postId } = req.params;
+      const postId = parseInt(req.params.id);
 
       // Vérifier que le post existe et est actif
       const post = await prisma.post.findFirst({
@@ -495,7 +723,7 @@ class MediaController {
         },
         select: { 
           id_post: true,
-          author: {
+          user: {
             select: { 
               id_user: true, 
               private: true,
@@ -505,27 +733,18 @@ class MediaController {
         }
       });
 
-      if (!post || !post.author.is_active) {
+      if (!post || !post.user.is_active) {
         return res.status(404).json({ error: 'Post not found or author inactive' });
       }
 
-      // Vérifier permissions pour comptes privés
-      if (post.author.private && req.user && post.author.id_user !== req.user.id_user) {
-        const isFollowing = await prisma.follow.findUnique({
-          where: {
-            follower_account: {
-              follower: req.user.id_user,
-              account: post.author.id_user
-            }
-          },
-          select: { active: true, pending: true }
-        });
-
-        if (!isFollowing || !isFollowing.active || isFollowing.pending) {
-          return res.status(403).json({ error: 'Access denied' });
-        }
+      // Comptes privés : propriétaire et abonnés approuvés uniquement (visiteurs anonymes exclus)
+      if (!(await MediaAccessService.canViewAccount(req.user?.id_user, post.user))) {
+        return res.status(403).json({ error: 'Access denied' });
       }
 
+      // Médias publics : URLs stables et cacheables, sinon URLs signées temporaires
+      const isPublic = !post.user.private;
+
       // Récupérer tous les médias du post
       const media = await prisma.imgVidPost.findMany({
         where: { id_post: postId },
@@ -541,11 +760,26 @@ class MediaController {
         videos: []
       };
 
-      media.forEach(item => {
+      const isOwner = req.user?.id_user === post.user.id_user;
+
+      for (const item of media) {
+        const isVideo = item.type_media.media === 'video';
+
+        // Vidéo refusée au traitement (trop longue, illisible) : visible par son auteur uniquement
+        if (isVideo && item.processing_status === 'rejected' && !isOwner) continue;
+
+        const urls = await MediaAccessService.buildUrls(item, { isPublic });
         const mediaInfo = {
           id: item.id_img_vid_post,
-          url: item.lien_media,
-          type: item.type_media.media
+          path: item.lien_media,
+          type: item.type_media.media,
+          width: item.width,
+          height: item.height,
+          thumbnail: item.thumbnail,
+          alt_text: item.alt_text,
+          caption: item.caption,
+          ...urls,
+          ...(isVideo && this.describeVideoProcessing(item, urls))
         };
 
         if (item.type_media.media === 'image') {
@@ -553,7 +787,7 @@ class MediaController {
         } else if (item.type_media.media === 'video') {
           groupedMedia.videos.push(mediaInfo);
         }
-      });
+      }
 
       res.json({
         post_id: postId,
@@ -561,7 +795,7 @@ class MediaController {
         counts: {
           images: groupedMedia.images.length,
           videos: groupedMedia.videos.length,
-          total: media.length
+          total: groupedMedia.images.length + groupedMedia.videos.length
         }
       });
     } catch (error) {
@@ -597,51 +831,25 @@ class MediaController {
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
-      const file = req.file;
-      const fileExt = path.extname(file.originalname).toLowerCase();
-      
-      // Déterminer le type de média
-      let mediaType;
-      if (this.config.allowedFormats.image.includes(fileExt)) {
-        mediaType = 'image';
-      } else if (this.config.allowedFormats.video.includes(fileExt)) {
-        mediaType = 'video';
-      } else {
-        return res.status(400).json({ 
-          error: 'Unsupported file format',
-          allowedFormats: this.config.allowedFormats
-        });
-      }
-
-      // Valider la taille
-      this.validateMediaFormat(file.originalname, mediaType, file.size);
-
-      // Générer nom unique
-      const timestamp = Date.now();
-      const randomStr = Math.random().toString(36).substring(7);
-      const fileName = `${currentUser.id_user}_${timestamp}_${randomStr}${fileExt}`;
-      const relativePath = `${mediaType}s/${fileName}`;
-      const fullPath = path.join(this.config.uploadPath, relativePath);
-
-      // Créer le dossier si nécessaire
-      await fs.mkdir(path.dirname(fullPath), { recursive: true });
-
-      // Déplacer le fichier uploadé
-      await fs.rename(file.path, fullPath);
+      await StorageQuotaService.assertCanStore(currentUser.id_user, req.file.size);
 
-      logger.info(`Media uploaded by ${currentUser.username}: ${fileName} (${mediaType})`);
+      const result = await this.storeUploadedFile(currentUser, req.file, value);
+      if (result.error) {
+        return res.status(400).json(result.error);
+      }
 
       res.status(201).json({
         message: 'File uploaded successfully',
-        file: {
-          filename: fileName,
-          path: relativePath,
-          type: mediaType,
-          size: file.size,
-          originalName: file.originalname
-        }
+        file: result.file
       });
     } catch (error) {
+      // Ne pas laisser le fichier temporaire de multer derrière nous
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+      if (error.name === 'StorageQuotaError') {
+        return res.status(error.status).json(StorageQuotaService.toPayload(error));
+      }
       if (error.message.includes('Invalid') || error.message.includes('File too large')) {
         return res.status(400).json({ error: error.message });
       }
@@ -651,182 +859,1162 @@ class MediaController {
   }
 
   /**
-   * Obtenir les statistiques médias d'un utilisateur
+   * Valide et enregistre un fichier local reçu (upload direct ou session fractionnée).
+   * Le fichier temporaire est consommé : stocké, mis en quarantaine ou supprimé.
+   * @param {{ path: string, originalname: string, size: number }} file
+   * @returns {Promise<{ file?: object, error?: object, rejected?: boolean }>}
    */
-  static async getMediaStats(req, res) {
+  static async storeUploadedFile(currentUser, file, options) {
+    const fileExt = path.extname(file.originalname).toLowerCase();
+    
+    if (![...this.config.allowedFormats.image, ...this.config.allowedFormats.video].includes(fileExt)) {
+      await fs.unlink(file.path).catch(() => {});
+      return {
+        error: { 
+          error: 'Unsupported file format',
+          allowedFormats: this.config.allowedFormats
+        }
+      };
+    }
+
+    // Type réel déterminé par le contenu (magic bytes), pas par l'extension
+    let inspection;
     try {
-      // Vérifier que l'utilisateur connecté existe et est actif
-      const currentUser = await prisma.user.findFirst({
-        where: { 
-          id_user: req.user.id_user,
-          is_active: true
-        },
-        select: { id_user: true, username: true }
+      inspection = await MediaValidationService.inspect(file.path, file.originalname);
+    } catch (rejection) {
+      if (rejection.name !== 'MediaRejectedError') throw rejection;
+
+      await MediaValidationService.quarantine(file.path, {
+        userId: currentUser.id_user,
+        originalName: file.originalname,
+        rejection
       });
 
-      if (!currentUser) {
-        return res.status(404).json({ error: 'Current user not found or inactive' });
+      return {
+        rejected: true,
+        error: {
+          error: 'File rejected',
+          code: rejection.code,
+          message: rejection.message
+        }
+      };
+    }
+
+    const { mediaType } = inspection;
+
+    // Valider la taille
+    this.validateMediaFormat(file.originalname, mediaType, file.size);
+
+    // Image proche d'une image retirée par la modération : refusée ou signalée
+    const blocklistMatch = mediaType === 'image' ? await MediaBlocklistService.screen(file.path) : null;
+
+    if (blocklistMatch && blocklistMatch.action === 'rejected') {
+      const rejection = MediaValidationService.createRejection(
+        'BLOCKED_CONTENT',
+        'This image was removed by moderators and cannot be uploaded again',
+        inspection.mime
+      );
+      const quarantineKey = await MediaValidationService.quarantine(file.path, {
+        userId: currentUser.id_user,
+        originalName: file.originalname,
+        rejection
+      });
+      await MediaBlocklistService.recordMatch(blocklistMatch, {
+        userId: currentUser.id_user,
+        storageKey: quarantineKey,
+        originalName: file.originalname
+      });
+
+      return {
+        rejected: true,
+        error: {
+          error: 'File rejected',
+          code: rejection.code,
+          message: rejection.message
+        }
+      };
+    }
+
+    // Générer nom unique
+    const timestamp = Date.now();
+    const randomStr = Math.random().toString(36).substring(7);
+    const baseName = `${currentUser.id_user}_${timestamp}_${randomStr}`;
+
+    if (mediaType === 'image') {
+      // Décodage, ré-encodage WebP sans métadonnées EXIF/GPS, variantes et miniature
+      const processed = await ImageProcessingService.processUpload(
+        file.path,
+        `images/${baseName}`,
+        {
+          quality: options.quality,
+          compress: options.compress,
+          generateThumbnails: options.generate_thumbnails
+        }
+      );
+
+      await fs.unlink(file.path).catch(() => {});
+
+      // Upload accepté, visible par les modérateurs dans les correspondances
+      if (blocklistMatch) {
+        await MediaBlocklistService.recordMatch(blocklistMatch, {
+          userId: currentUser.id_user,
+          storageKey: processed.path,
+          originalName: file.originalname
+        });
       }
 
-      // Récupérer les statistiques
-      const [imageCount, videoCount, recentMedia] = await Promise.all([
-        // Compter les images
-        prisma.imgVidPost.count({
-          where: {
-            post: { id_user: req.user.id_user, active: true },
-            type_media: { media: 'image' }
-          }
-        }),
+      logger.info(`Image uploaded by ${currentUser.username}: ${processed.path} (${processed.width}x${processed.height}, ${Object.keys(processed.variants).length} variants)`);
 
-        // Compter les vidéos
-        prisma.imgVidPost.count({
-          where: {
-            post: { id_user: req.user.id_user, active: true },
-            type_media: { media: 'video' }
-          }
-        }),
+      return {
+        file: {
+          filename: path.basename(processed.path),
+          path: processed.path,
+          type: mediaType,
+          format: processed.format,
+          size: processed.size,
+          width: processed.width,
+          height: processed.height,
+          animated: processed.animated,
+          thumbnail: processed.thumbnail,
+          // Aperçu réservé à l'uploadeur tant que l'image n'est pas attachée
+          ...(await MediaAccessService.buildUrls({
+            lien_media: processed.path,
+            thumbnail: processed.thumbnail,
+            variants: processed.variants
+          })),
+          originalName: file.originalname,
+          originalSize: file.size
+        }
+      };
+    }
 
-        // Médias récents
-        prisma.imgVidPost.findMany({
-          where: {
-            post: { id_user: req.user.id_user, active: true }
-          },
-          include: {
-            type_media: true,
-            post: {
-              select: { created_at: true }
-            }
-          },
-          orderBy: { id_img_vid_post: 'desc' },
-          take: 10
-        })
-      ]);
+    const fileName = `${baseName}${fileExt}`;
+    const relativePath = `${mediaType}s/${fileName}`;
+    // Envoyer le fichier vers le stockage puis libérer le fichier temporaire
+    await StorageService.put(relativePath, file.path, { contentType: inspection.mime });
+    await fs.unlink(file.path).catch(() => {});
+
+    logger.info(`Media uploaded by ${currentUser.username}: ${fileName} (${inspection.mime})`);
+
+    return {
+      file: {
+        filename: fileName,
+        path: relativePath,
+        type: mediaType,
+        mime: inspection.mime,
+        url: await MediaAccessService.getUrl(relativePath),
+        size: file.size,
+        originalName: file.originalname
+      }
+    };
+  }
 
-      res.json({
-        user: currentUser.username,
-        stats: {
-          totalMedia: imageCount + videoCount,
-          images: imageCount,
-          videos: videoCount
-        },
-        recentMedia: recentMedia.map(media => ({
-          id: media.id_img_vid_post,
-          type: media.type_media.media,
-          url: media.lien_media,
-          uploadedAt: media.post.created_at
-        }))
+  // ===============================
+  // UPLOADS FRACTIONNÉS (reprenables)
+  // ===============================
+
+  /**
+   * Réponse d'erreur commune aux sessions d'upload
+   */
+  static handleUploadSessionError(res, error, context) {
+    if (error.name === 'UploadSessionError') {
+      return res.status(error.status).json({
+        error: 'Upload failed',
+        code: error.code,
+        message: error.message
       });
-    } catch (error) {
-      logger.error('Get media stats error:', error);
-      res.status(500).json({ error: 'Internal server error' });
     }
+    if (error.name === 'StorageQuotaError') {
+      return res.status(error.status).json(StorageQuotaService.toPayload(error));
+    }
+    if (error.message.includes('Invalid') || error.message.includes('File too large')) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`${context} error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 
   /**
-   * Statistiques globales des médias (admin)
+   * Ouvrir une session d'upload fractionné
    */
-  static async getGlobalMediaStats(req, res) {
+  static async createUploadSession(req, res) {
     try {
-      // Vérifier que l'utilisateur connecté est admin
-      const currentUser = await prisma.user.findFirst({
-        where: { 
-          id_user: req.user.id_user,
-          is_active: true
-        },
-        include: { role: true }
-      });
+      const { error, value } = uploadSessionSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
-        return res.status(403).json({ 
-          error: 'Access denied',
-          message: 'Only administrators can view global media statistics'
+      const { file_name, file_size, chunk_size } = value;
+      const fileExt = path.extname(file_name).toLowerCase();
+
+      // Taille maximale selon le type annoncé (revérifié sur le contenu à la finalisation)
+      const mediaType = Object.keys(this.config.allowedFormats)
+        .find(type => this.config.allowedFormats[type].includes(fileExt));
+
+      if (!mediaType) {
+        return res.status(400).json({ 
+          error: 'Unsupported file format',
+          allowedFormats: this.config.allowedFormats
         });
       }
 
-      const [totalImages, totalVideos, topUsers, recentUploads] = await Promise.all([
-        // Total images
-        prisma.imgVidPost.count({
-          where: {
-            type_media: { media: 'image' },
-            post: { active: true, author: { is_active: true } }
-          }
-        }),
+      this.validateMediaFormat(file_name, mediaType, file_size);
 
-        // Total vidéos
-        prisma.imgVidPost.count({
-          where: {
-            type_media: { media: 'video' },
-            post: { active: true, author: { is_active: true } }
-          }
-        }),
+      // La taille annoncée est réservée sur le quota jusqu'à la fin de la session
+      await StorageQuotaService.assertCanStore(req.user.id_user, file_size);
 
-        // Top utilisateurs par nombre de médias
-        prisma.user.findMany({
-          where: { is_active: true },
-          select: {
-            id_user: true,
-            username: true,
-            _count: {
-              select: {
-                posts: {
-                  where: {
-                    active: true,
-                    img_vid_posts: { some: {} }
-                  }
-                }
-              }
-            }
-          },
-          orderBy: {
-            posts: { _count: 'desc' }
-          },
-          take: 10
-        }),
+      const session = await UploadSessionService.createSession(req.user.id_user, {
+        fileName: file_name,
+        fileSize: file_size,
+        chunkSize: chunk_size
+      });
 
-        // Uploads récents
-        prisma.imgVidPost.findMany({
-          where: {
-            post: { active: true, author: { is_active: true } }
+      logger.info(`Upload session ${session.id_upload_session} opened by user ${req.user.id_user}: ${file_name} (${file_size} bytes, ${session.total_chunks} chunks)`);
+
+      res.status(201).json({
+        message: 'Upload session created',
+        upload: UploadSessionService.describe({ ...session, chunks: [] })
+      });
+    } catch (error) {
+      this.handleUploadSessionError(res, error, 'Create upload session');
+    }
+  }
+
+  /**
+   * Recevoir un morceau (corps binaire brut, en-tête X-Chunk-Checksum optionnel)
+   */
+  static async uploadChunk(req, res) {
+    try {
+      const { error, value: params } = uploadChunkParamsSchema.validate(req.params);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const session = await UploadSessionService.findOwnedSession(params.uploadId, req.user.id_user);
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      const chunk = await UploadSessionService.saveChunk(
+        session,
+        params.index,
+        req.body,
+        req.get('X-Chunk-Checksum') || null
+      );
+
+      res.json({
+        message: 'Chunk received',
+        chunk
+      });
+    } catch (error) {
+      this.handleUploadSessionError(res, error, 'Upload chunk');
+    }
+  }
+
+  /**
+   * État d'une session : morceaux et plages d'octets déjà reçus (reprise après coupure)
+   */
+  static async getUploadSession(req, res) {
+    try {
+      const { error, value: params } = uploadSessionParamsSchema.validate(req.params);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const session = await UploadSessionService.findOwnedSession(params.uploadId, req.user.id_user);
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      res.json({ upload: UploadSessionService.describe(session) });
+    } catch (error) {
+      this.handleUploadSessionError(res, error, 'Get upload session');
+    }
+  }
+
+  /**
+   * Finaliser : assemblage, vérification du SHA-256 puis même traitement que /upload
+   */
+  static async completeUploadSession(req, res) {
+    let assembledPath = null;
+
+    try {
+      const { error: paramsError, value: params } = uploadSessionParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const { error, value } = completeUploadSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const currentUser = await prisma.user.findFirst({
+        where: { 
+          id_user: req.user.id_user,
+          is_active: true
+        },
+        select: { id_user: true, username: true }
+      });
+
+      if (!currentUser) {
+        return res.status(404).json({ error: 'Current user not found or inactive' });
+      }
+
+      const session = await UploadSessionService.findOwnedSession(params.uploadId, currentUser.id_user);
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      await UploadSessionService.claimSession(session);
+
+      let result;
+      try {
+        assembledPath = await UploadSessionService.assemble(
+          session,
+          value.checksum,
+          path.join(this.config.uploadPath, 'tmp')
+        );
+
+        result = await this.storeUploadedFile(currentUser, {
+          path: assembledPath,
+          originalname: session.file_name,
+          size: session.file_size
+        }, value);
+      } catch (error) {
+        // Morceau corrompu ou stockage indisponible : le client peut renvoyer et réessayer
+        await UploadSessionService.releaseSession(session);
+        throw error;
+      }
+
+      if (result.error) {
+        await UploadSessionService.rejectSession(session);
+        return res.status(400).json(result.error);
+      }
+
+      await UploadSessionService.completeSession(session, result.file.path);
+
+      res.status(201).json({
+        message: 'File uploaded successfully',
+        upload_id: session.id_upload_session,
+        file: result.file
+      });
+    } catch (error) {
+      if (assembledPath) {
+        await fs.unlink(assembledPath).catch(() => {});
+      }
+      this.handleUploadSessionError(res, error, 'Complete upload session');
+    }
+  }
+
+  /**
+   * Abandonner une session et libérer ses morceaux
+   */
+  static async abortUploadSession(req, res) {
+    try {
+      const { error, value: params } = uploadSessionParamsSchema.validate(req.params);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const session = await UploadSessionService.findOwnedSession(params.uploadId, req.user.id_user);
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found' });
+      }
+
+      await UploadSessionService.abortSession(session);
+
+      res.json({ message: 'Upload session aborted' });
+    } catch (error) {
+      this.handleUploadSessionError(res, error, 'Abort upload session');
+    }
+  }
+
+  /**
+   * Expirer les sessions abandonnées (admin, également fait à chaque ouverture de session)
+   */
+  static async cleanExpiredUploadSessions(req, res) {
+    try {
+      const expired = await UploadSessionService.expireStaleSessions(1000);
+
+      logger.info(`Expired upload sessions cleanup by user ${req.user.id_user}: ${expired} sessions`);
+
+      res.json({
+        message: 'Expired upload sessions cleaned',
+        expired_sessions: expired
+      });
+    } catch (error) {
+      logger.error('Clean expired upload sessions error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Obtenir les statistiques médias d'un utilisateur
+   */
+  static async getMediaStats(req, res) {
+    try {
+      // Vérifier que l'utilisateur connecté existe et est actif
+      const currentUser = await prisma.user.findFirst({
+        where: { 
+          id_user: req.user.id_user,
+          is_active: true
+        },
+        select: { id_user: true, username: true }
+      });
+
+      if (!currentUser) {
+        return res.status(404).json({ error: 'Current user not found or inactive' });
+      }
+
+      // Récupérer les statistiques
+      const [imageCount, videoCount, recentMedia, storage] = await Promise.all([
+        // Compter les images
+        prisma.imgVidPost.count({
+          where: {
+            post: { id_user: req.user.id_user, active: true },
+            type_media: { media: 'image' }
+          }
+        }),
+
+        // Compter les vidéos
+        prisma.imgVidPost.count({
+          where: {
+            post: { id_user: req.user.id_user, active: true },
+            type_media: { media: 'video' }
+          }
+        }),
+
+        // Médias récents
+        prisma.imgVidPost.findMany({
+          where: {
+            post: { id_user: req.user.id_user, active: true }
+          },
+          include: {
+            type_media: true,
+            post: {
+              select: { created_at: true }
+            }
           },
+          orderBy: { id_img_vid_post: 'desc' },
+          take: 10
+        }),
+
+        // Espace de stockage et quota
+        StorageQuotaService.describe(currentUser.id_user)
+      ]);
+
+      res.json({
+        user: currentUser.username,
+        stats: {
+          totalMedia: imageCount + videoCount,
+          images: imageCount,
+          videos: videoCount
+        },
+        storage,
+        recentMedia: recentMedia.map(media => ({
+          id: media.id_img_vid_post,
+          type: media.type_media.media,
+          url: media.lien_media,
+          uploadedAt: media.post.created_at
+        }))
+      });
+    } catch (error) {
+      logger.error('Get media stats error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Statistiques globales des médias (admin)
+   */
+  static async getGlobalMediaStats(req, res) {
+    try {
+      // Vérifier que l'utilisateur connecté est admin
+      const currentUser = await prisma.user.findFirst({
+        where: { 
+          id_user: req.user.id_user,
+          is_active: true
+        },
+        include: { role: true }
+      });
+
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
+        return res.status(403).json({ 
+          error: 'Access denied',
+          message: 'Only administrators can view global media statistics'
+        });
+      }
+
+      const [totalImages, totalVideos, topUsers, recentUploads, storageTotals, reservedTotals, topStorage, overrides] = await Promise.all([
+        // Total images
+        prisma.imgVidPost.count({
+          where: {
+            type_media: { media: 'image' },
+            post: { active: true, user: { is_active: true } }
+          }
+        }),
+
+        // Total vidéos
+        prisma.imgVidPost.count({
+          where: {
+            type_media: { media: 'video' },
+            post: { active: true, user: { is_active: true } }
+          }
+        }),
+
+        // Top utilisateurs par nombre de médias
+        prisma.user.findMany({
+          where: { is_active: true },
+          select: {
+            id_user: true,
+            username: true,
+            _count: {
+              select: {
+                posts: {
+                  where: {
+                    active: true,
+                    img_vid_post: { some: {} }
+                  }
+                }
+              }
+            }
+          },
+          orderBy: {
+            posts: { _count: 'desc' }
+          },
+          take: 10
+        }),
+
+        // Uploads récents
+        prisma.imgVidPost.findMany({
+          where: {
+            post: { active: true, user: { is_active: true } }
+          },
+          include: {
+            type_media: true,
+            post: {
+              select: {
+                created_at: true,
+                user: {
+                  select: { username: true }
+                }
+              }
+            }
+          },
+          orderBy: { id_img_vid_post: 'desc' },
+          take: 20
+        }),
+
+        // Octets stockés (comptabilité des quotas)
+        prisma.storedFile.aggregate({
+          _sum: { size: true },
+          _count: { _all: true }
+        }),
+
+        // Octets réservés par les uploads fractionnés en cours
+        prisma.uploadSession.aggregate({
+          where: { status: { in: ['pending', 'processing'] } },
+          _sum: { file_size: true }
+        }),
+
+        // Top utilisateurs par espace occupé
+        prisma.storedFile.groupBy({
+          by: ['id_user'],
+          _sum: { size: true },
+          _count: { _all: true },
+          orderBy: { _sum: { size: 'desc' } },
+          take: 10
+        }),
+
+        // Quotas fixés par un administrateur
+        prisma.storageQuotaOverride.count()
+      ]);
+
+      const storageUsers = await prisma.user.findMany({
+        where: { id_user: { in: topStorage.map(entry => entry.id_user) } },
+        select: { id_user: true, username: true }
+      });
+      const usernames = new Map(storageUsers.map(user => [user.id_user, user.username]));
+
+      res.json({
+        globalStats: {
+          totalMedia: totalImages + totalVideos,
+          images: totalImages,
+          videos: totalVideos,
+          limits: {
+            maxImagesPerPost: this.config.maxImagesPerPost,
+            maxVideosPerPost: this.config.maxVideosPerPost,
+            maxFileSizes: this.config.maxFileSize
+          },
+          storage: {
+            totalBytes: Number(storageTotals._sum.size || 0),
+            files: storageTotals._count._all,
+            reservedBytes: reservedTotals._sum.file_size || 0,
+            quotasMb: StorageQuotaService.getTierQuotas(),
+            overrides
+          }
+        },
+        topUsers: topUsers.map(user => ({
+          username: user.username,
+          mediaCount: user._count.posts
+        })),
+        topStorageUsers: topStorage.map(entry => ({
+          id_user: entry.id_user,
+          username: usernames.get(entry.id_user) || null,
+          bytes: Number(entry._sum.size || 0),
+          files: entry._count._all
+        })),
+        recentUploads: recentUploads.map(media => ({
+          type: media.type_media.media,
+          author: media.post.user.username,
+          uploadedAt: media.post.created_at
+        }))
+      });
+    } catch (error) {
+      logger.error('Get global media stats error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // ===============================
+  // QUOTAS DE STOCKAGE
+  // ===============================
+
+  /**
+   * Espace utilisé et quota de l'utilisateur connecté
+   */
+  static async getStorageQuota(req, res) {
+    try {
+      res.json({ quota: await StorageQuotaService.describe(req.user.id_user) });
+    } catch (error) {
+      logger.error('Get storage quota error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Utilisateur ciblé par une route d'administration des quotas (null + réponse 404 si absent)
+   */
+  static async findQuotaTarget(req, res) {
+    const { error, value } = quotaParamsSchema.validate(req.params);
+    if (error) {
+      res.status(400).json({ error: error.details[0].message });
+      return null;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id_user: value.userId },
+      select: { id_user: true, username: true, certified: true, role: { select: { role: true } } }
+    });
+
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Espace utilisé et quota d'un utilisateur (admin)
+   */
+  static async getUserStorageQuota(req, res) {
+    try {
+      const user = await this.findQuotaTarget(req, res);
+      if (!user) return;
+
+      res.json({
+        user: { id_user: user.id_user, username: user.username },
+        quota: await StorageQuotaService.describe(user.id_user)
+      });
+    } catch (error) {
+      logger.error('Get user storage quota error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Fixer le quota d'un utilisateur, indépendamment de son rôle (admin)
+   */
+  static async setUserStorageQuota(req, res) {
+    try {
+      const { error, value } = quotaOverrideSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const user = await this.findQuotaTarget(req, res);
+      if (!user) return;
+
+      const data = {
+        quota_mb: value.quota_mb,
+        reason: value.reason || null,
+        set_by: req.user.id_user,
+        updated_at: new Date()
+      };
+
+      await prisma.storageQuotaOverride.upsert({
+        where: { id_user: user.id_user },
+        create: { id_user: user.id_user, ...data },
+        update: data
+      });
+
+      logger.info(`Storage quota for ${user.username} set to ${value.quota_mb === null ? 'unlimited' : `${value.quota_mb}MB`} by admin ${req.user.id_user}`);
+
+      res.json({
+        message: 'Storage quota updated',
+        user: { id_user: user.id_user, username: user.username },
+        quota: await StorageQuotaService.describe(user.id_user)
+      });
+    } catch (error) {
+      logger.error('Set user storage quota error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Revenir au quota du rôle (admin)
+   */
+  static async removeUserStorageQuota(req, res) {
+    try {
+      const user = await this.findQuotaTarget(req, res);
+      if (!user) return;
+
+      const { count } = await prisma.storageQuotaOverride.deleteMany({
+        where: { id_user: user.id_user }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({ error: 'No custom quota for this user' });
+      }
+
+      logger.info(`Storage quota override removed for ${user.username} by admin ${req.user.id_user}`);
+
+      res.json({
+        message: 'Storage quota reset to role default',
+        user: { id_user: user.id_user, username: user.username },
+        quota: await StorageQuotaService.describe(user.id_user)
+      });
+    } catch (error) {
+      logger.error('Remove user storage quota error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Recalculer l'espace utilisé à partir du stockage (admin)
+   */
+  static async recalculateStorageUsage(req, res) {
+    try {
+      const user = await this.findQuotaTarget(req, res);
+      if (!user) return;
+
+      const result = await StorageQuotaService.recalculate(user.id_user);
+
+      res.json({
+        message: 'Storage usage recalculated',
+        user: { id_user: user.id_user, username: user.username },
+        files_recorded: result.recorded,
+        entries_removed: result.removed,
+        quota: await StorageQuotaService.describe(user.id_user)
+      });
+    } catch (error) {
+      logger.error('Recalculate storage usage error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Réponse d'erreur d'un rapprochement stockage / base
+   */
+  static handleReconciliationError(res, error, context) {
+    if (error.name === 'ReconciliationError') {
+      return res.status(error.status).json({
+        error: 'Reconciliation failed',
+        code: error.code,
+        message: error.message
+      });
+    }
+    if (error.code === 'STORAGE_LIST_UNSUPPORTED') {
+      return res.status(501).json({ error: 'Reconciliation unavailable', code: error.code, message: error.message });
+    }
+    logger.error(`${context} error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+
+  /**
+   * Lancer un rapprochement stockage / base, sans suppression (admin)
+   */
+  static async runStorageReconciliation(req, res) {
+    try {
+      const run = await StorageReconciliationService.scan({ trigger: 'manual', startedBy: req.user.id_user });
+
+      res.status(201).json({
+        message: 'Reconciliation report created, review it before applying',
+        reconciliation: StorageReconciliationService.toReport(run)
+      });
+    } catch (error) {
+      this.handleReconciliationError(res, error, 'Run storage reconciliation');
+    }
+  }
+
+  /**
+   * Derniers rapprochements (admin)
+   */
+  static async listStorageReconciliations(req, res) {
+    try {
+      const { error, value } = paginationSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { page, limit } = value;
+      const [runs, total] = await Promise.all([
+        prisma.storageReconciliation.findMany({
+          select: StorageReconciliationService.SUMMARY_SELECT,
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.storageReconciliation.count()
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        reconciliations: runs.map(run => StorageReconciliationService.toSummary(run)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('List storage reconciliations error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Détail d'un rapport : fichiers orphelins et médias sans fichier (admin)
+   */
+  static async getStorageReconciliation(req, res) {
+    try {
+      const { error, value } = reconciliationParamsSchema.validate(req.params);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const run = await prisma.storageReconciliation.findUnique({
+        where: { id_reconciliation: value.reconciliationId }
+      });
+
+      if (!run) {
+        return res.status(404).json({ error: 'Reconciliation report not found' });
+      }
+
+      res.json({ reconciliation: StorageReconciliationService.toReport(run) });
+    } catch (error) {
+      logger.error('Get storage reconciliation error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Supprimer les fichiers orphelins d'un rapport (admin)
+   */
+  static async applyStorageReconciliation(req, res) {
+    try {
+      const { error: paramsError, value: params } = reconciliationParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const { error, value } = applyReconciliationSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const run = await StorageReconciliationService.apply(params.reconciliationId, {
+        appliedBy: req.user.id_user,
+        repairMissing: value.repair_missing
+      });
+
+      res.json({
+        message: 'Reconciliation applied',
+        reconciliation: StorageReconciliationService.toSummary(run)
+      });
+    } catch (error) {
+      this.handleReconciliationError(res, error, 'Apply storage reconciliation');
+    }
+  }
+
+  // ===============================
+  // LISTE DE BLOCAGE (empreintes perceptuelles)
+  // ===============================
+
+  static formatBlocklistEntry(entry) {
+    return {
+      id: entry.id_blocked_hash,
+      phash: entry.phash,
+      action: entry.action,
+      reason: entry.reason,
+      active: entry.active,
+      source_key: entry.source_key,
+      source_media_id: entry.id_img_vid_post,
+      match_count: entry.match_count,
+      last_matched_at: entry.last_matched_at,
+      created_by: entry.creator ? entry.creator.username : entry.created_by,
+      created_at: entry.created_at,
+      updated_at: entry.updated_at
+    };
+  }
+
+  /**
+   * Empreintes de la liste de blocage (admin)
+   */
+  static async getBlocklist(req, res) {
+    try {
+      const { error, value } = paginationSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { page, limit } = value;
+      const [entries, total] = await Promise.all([
+        prisma.blockedMediaHash.findMany({
+          include: { creator: { select: { username: true } } },
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.blockedMediaHash.count()
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        entries: entries.map(entry => this.formatBlocklistEntry(entry)),
+        thresholds: {
+          reject_distance: MediaBlocklistService.getRejectDistance(),
+          flag_distance: MediaBlocklistService.getFlagDistance()
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Get media blocklist error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Ajouter une empreinte à la liste de blocage (admin)
+   */
+  static async addBlocklistEntry(req, res) {
+    try {
+      const { error, value } = blocklistEntrySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const options = {
+        action: value.action,
+        reason: value.reason || null,
+        createdBy: req.user.id_user
+      };
+
+      let result;
+      if (value.media_id) {
+        const media = await prisma.imgVidPost.findUnique({
+          where: { id_img_vid_post: value.media_id },
+          select: { id_img_vid_post: true, lien_media: true, type_media: true }
+        });
+
+        if (!media) {
+          return res.status(404).json({ error: 'Media not found' });
+        }
+        if (media.type_media.media !== 'image') {
+          return res.status(400).json({ error: 'Only images can be added to the blocklist' });
+        }
+
+        result = await MediaBlocklistService.blockStoredImage(media.lien_media, {
+          ...options,
+          sourceMediaId: media.id_img_vid_post
+        });
+      } else {
+        result = await MediaBlocklistService.addHash(value.phash, options);
+      }
+
+      res.status(result.created ? 201 : 200).json({
+        message: result.created ? 'Blocklist entry created' : 'Hash already blocklisted',
+        entry: this.formatBlocklistEntry(result.entry)
+      });
+    } catch (error) {
+      if (error.code === 'STORAGE_NOT_FOUND') {
+        return res.status(404).json({ error: 'Media file not found' });
+      }
+      logger.error('Add media blocklist entry error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Modifier une entrée : action, raison, activation (admin)
+   */
+  static async updateBlocklistEntry(req, res) {
+    try {
+      const { error: paramsError, value: params } = blocklistParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const { error, value } = blocklistUpdateSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const existing = await prisma.blockedMediaHash.findUnique({
+        where: { id_blocked_hash: params.hashId }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Blocklist entry not found' });
+      }
+
+      const entry = await prisma.blockedMediaHash.update({
+        where: { id_blocked_hash: params.hashId },
+        data: {
+          ...value,
+          ...(value.reason !== undefined && { reason: value.reason || null }),
+          updated_at: new Date()
+        }
+      });
+      MediaBlocklistService.invalidateCache();
+
+      logger.info(`Media blocklist entry ${entry.id_blocked_hash} updated by user ${req.user.id_user}`);
+
+      res.json({
+        message: 'Blocklist entry updated',
+        entry: this.formatBlocklistEntry(entry)
+      });
+    } catch (error) {
+      logger.error('Update media blocklist entry error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Supprimer une entrée et ses correspondances (admin)
+   */
+  static async removeBlocklistEntry(req, res) {
+    try {
+      const { error, value } = blocklistParamsSchema.validate(req.params);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { count } = await prisma.blockedMediaHash.deleteMany({
+        where: { id_blocked_hash: value.hashId }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({ error: 'Blocklist entry not found' });
+      }
+      MediaBlocklistService.invalidateCache();
+
+      logger.info(`Media blocklist entry ${value.hashId} removed by user ${req.user.id_user}`);
+
+      res.json({ message: 'Blocklist entry removed' });
+    } catch (error) {
+      logger.error('Remove media blocklist entry error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Uploads refusés ou signalés par la liste de blocage (admin)
+   */
+  static async getBlocklistMatches(req, res) {
+    try {
+      const { error, value } = blocklistMatchesQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { page, limit } = value;
+      const where = {
+        ...(value.action && { action: value.action }),
+        ...(value.hash_id && { id_blocked_hash: value.hash_id })
+      };
+
+      const [matches, total] = await Promise.all([
+        prisma.mediaHashMatch.findMany({
+          where,
           include: {
-            type_media: true,
-            post: {
-              select: {
-                created_at: true,
-                author: {
-                  select: { username: true }
-                }
-              }
-            }
+            user: { select: { id_user: true, username: true } },
+            blocked_hash: { select: { id_blocked_hash: true, phash: true, action: true, reason: true } }
           },
-          orderBy: { id_img_vid_post: 'desc' },
-          take: 20
-        })
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.mediaHashMatch.count({ where })
       ]);
 
+      // Upload signalé : retrouvé s'il a été attaché à un post depuis
+      const flaggedKeys = matches.filter(match => match.action === 'flagged').map(match => match.storage_key);
+      const attached = flaggedKeys.length > 0
+        ? await prisma.imgVidPost.findMany({
+          where: { lien_media: { in: flaggedKeys } },
+          select: { id_img_vid_post: true, id_post: true, lien_media: true }
+        })
+        : [];
+
+      const totalPages = Math.ceil(total / limit);
+
       res.json({
-        globalStats: {
-          totalMedia: totalImages + totalVideos,
-          images: totalImages,
-          videos: totalVideos,
-          limits: {
-            maxImagesPerPost: this.config.maxImagesPerPost,
-            maxVideosPerPost: this.config.maxVideosPerPost,
-            maxFileSizes: this.config.maxFileSize
-          }
-        },
-        topUsers: topUsers.map(user => ({
-          username: user.username,
-          mediaCount: user._count.posts
-        })),
-        recentUploads: recentUploads.map(media => ({
-          type: media.type_media.media,
-          author: media.post.author.username,
-          uploadedAt: media.post.created_at
-        }))
+        matches: matches.map(match => {
+          const media = attached.find(item => item.lien_media === match.storage_key);
+          return {
+            id: match.id_match,
+            action: match.action,
+            distance: match.distance,
+            phash: match.phash,
+            storage_key: match.storage_key,
+            original_name: match.original_name,
+            user: match.user,
+            entry: {
+              id: match.blocked_hash.id_blocked_hash,
+              phash: match.blocked_hash.phash,
+              action: match.blocked_hash.action,
+              reason: match.blocked_hash.reason
+            },
+            media: media ? { id: media.id_img_vid_post, post_id: media.id_post } : null,
+            created_at: match.created_at
+          };
+        }),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
       });
     } catch (error) {
-      logger.error('Get global media stats error:', error);
+      logger.error('Get media blocklist matches error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
@@ -845,7 +2033,7 @@ class MediaController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can clean orphaned media'
@@ -862,7 +2050,9 @@ class MediaController {
         },
         select: {
           id_img_vid_post: true,
-          lien_media: true
+          lien_media: true,
+          thumbnail: true,
+          variants: true
         }
       });
 
@@ -877,8 +2067,8 @@ class MediaController {
             where: { id_img_vid_post: media.id_img_vid_post }
           });
 
-          // Supprimer le fichier physique
-          await this.deleteFileAsync(media.lien_media);
+          // Supprimer les fichiers physiques (original, variantes, miniature)
+          await ImageProcessingService.removeFiles(ImageProcessingService.listFiles(media));
           
           cleanedCount++;
         } catch (error) {
@@ -1010,6 +2200,11 @@ class MediaController {
         }),
         reason: Joi.string().max(500).optional().messages({
           'string.max': 'Reason must not exceed 500 characters'
+        }),
+        // Image retirée : empreinte ajoutée à la liste de blocage (reposts refusés ou signalés)
+        blocklist: Joi.boolean().default(true),
+        blocklist_action: Joi.string().valid(...MediaBlocklistService.BLOCK_ACTIONS).default('reject').messages({
+          'any.only': 'Blocklist action must be one of: reject, flag'
         })
       });
 
@@ -1018,7 +2213,10 @@ class MediaController {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { mediaId } = req.params;
+      const mediaId = parseInt(req.params.mediaId);
+      if (isNaN(mediaId)) {
+        return res.status(400).json({ error: 'Media ID must be a number' });
+      }
       const { action, reason } = value;
 
       // Vérifier que l'utilisateur connecté a les permissions
@@ -1030,7 +2228,7 @@ class MediaController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can moderate content'
@@ -1045,7 +2243,7 @@ class MediaController {
             select: { 
               id_post: true,
               id_user: true,
-              author: { 
+              user: { 
                 select: { 
                   username: true, 
                   is_active: true 
@@ -1062,9 +2260,24 @@ class MediaController {
       }
 
       let actionTaken = '';
+      let blocklistEntry = null;
 
       switch (action) {
         case 'remove':
+          // Empreinte calculée avant la suppression du fichier
+          if (value.blocklist && media.type_media.media === 'image') {
+            try {
+              ({ entry: blocklistEntry } = await MediaBlocklistService.blockStoredImage(media.lien_media, {
+                action: value.blocklist_action,
+                reason: reason || null,
+                createdBy: currentUser.id_user,
+                sourceMediaId: media.id_img_vid_post
+              }));
+            } catch (blocklistError) {
+              logger.error(`Failed to add media ${mediaId} to the blocklist:`, blocklistError);
+            }
+          }
+
           // Supprimer le média
           await prisma.$transaction(async (tx) => {
             await tx.imgVidPost.delete({
@@ -1077,8 +2290,8 @@ class MediaController {
             });
           });
 
-          // Supprimer le fichier physique
-          this.deleteFileAsync(media.lien_media);
+          // Supprimer les fichiers physiques, variantes comprises
+          ImageProcessingService.removeFiles(ImageProcessingService.listFiles(media));
           actionTaken = 'removed';
           break;
 
@@ -1099,7 +2312,12 @@ class MediaController {
         media: {
           id: mediaId,
           type: media.type_media.media,
-          post_author: media.post.author.username
+          post_author: media.post.user.username
+        },
+        blocklist: blocklistEntry && {
+          id: blocklistEntry.id_blocked_hash,
+          phash: blocklistEntry.phash,
+          action: blocklistEntry.action
         },
         moderator: currentUser.username,
         reason: reason || null
@@ -1124,14 +2342,14 @@ class MediaController {
 
       // Récupérer les informations du média
       const media = await prisma.imgVidPost.findFirst({
-        where: { id_img_vid_post: mediaId },
+        where: { id_img_vid_post: parseInt(mediaId) },
         include: {
           type_media: true,
           post: {
             select: {
               id_post: true,
               created_at: true,
-              author: {
+              user: {
                 select: {
                   id_user: true,
                   username: true,
@@ -1144,49 +2362,47 @@ class MediaController {
         }
       });
 
-      if (!media || !media.post.author.is_active) {
+      if (!media || !media.post.user.is_active) {
         return res.status(404).json({ error: 'Media not found or author inactive' });
       }
 
-      // Vérifier permissions pour comptes privés
-      if (media.post.author.private && req.user && media.post.author.id_user !== req.user.id_user) {
-        const isFollowing = await prisma.follow.findUnique({
-          where: {
-            follower_account: {
-              follower: req.user.id_user,
-              account: media.post.author.id_user
-            }
-          },
-          select: { active: true, pending: true }
-        });
-
-        if (!isFollowing || !isFollowing.active || isFollowing.pending) {
-          return res.status(403).json({ error: 'Access denied' });
-        }
+      // Comptes privés : propriétaire et abonnés approuvés uniquement
+      if (!(await MediaAccessService.canViewAccount(req.user?.id_user, media.post.user))) {
+        return res.status(403).json({ error: 'Access denied' });
       }
 
       // Essayer de récupérer les métadonnées du fichier
       let fileStats = null;
       try {
-        const fullPath = path.join(this.config.uploadPath, media.lien_media);
-        const stats = await fs.stat(fullPath);
-        fileStats = {
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime
-        };
+        const stats = await StorageService.stat(media.lien_media);
+        if (stats) {
+          fileStats = {
+            size: stats.size,
+            content_type: stats.contentType,
+            modified: stats.lastModified
+          };
+        }
       } catch (error) {
         logger.warn(`Could not read file stats for media ${mediaId}: ${error.message}`);
       }
 
+      const urls = await MediaAccessService.buildUrls(media, { isPublic: !media.post.user.private });
+
       res.json({
         media: {
           id: media.id_img_vid_post,
           type: media.type_media.media,
-          url: media.lien_media,
+          path: media.lien_media,
+          width: media.width,
+          height: media.height,
+          thumbnail: media.thumbnail,
+          alt_text: media.alt_text,
+          caption: media.caption,
+          ...urls,
+          ...(media.type_media.media === 'video' && this.describeVideoProcessing(media, urls)),
           post: {
             id: media.post.id_post,
-            author: media.post.author.username,
+            author: media.post.user.username,
             created_at: media.post.created_at
           },
           file: fileStats
@@ -1199,18 +2415,91 @@ class MediaController {
   }
 
   /**
-   * Fonction utilitaire pour supprimer un fichier de manière asynchrone
+   * Servir un fichier média : URL signée (HMAC) ou contrôle d'accès selon le visiteur
    */
-  static async deleteFileAsync(filePath) {
+  static async serveFile(req, res) {
     try {
-      const fullPath = path.join(this.config.uploadPath, filePath);
-      await fs.unlink(fullPath);
-      logger.info(`File deleted: ${filePath}`);
+      const key = req.params[0];
+
+      try {
+        StorageService.assertValidKey(key);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid file path' });
+      }
+
+      let cacheControl;
+      if (req.query.signature !== undefined) {
+        if (!StorageService.verifyLocalSignature(key, req.query.expires, req.query.signature)) {
+          return res.status(403).json({
+            error: 'Invalid signature',
+            message: 'Signed URL is invalid or expired'
+          });
+        }
+        // Le navigateur peut réutiliser le fichier jusqu'à l'expiration de l'URL
+        const remaining = parseInt(req.query.expires) - Math.floor(Date.now() / 1000);
+        cacheControl = `private, max-age=${Math.max(remaining, 0)}`;
+      } else {
+        const access = await MediaAccessService.resolveAccess(key, req.user);
+        // 404 plutôt que 403 : ne pas révéler l'existence d'un média privé
+        if (!access.allowed) {
+          return res.status(404).json({ error: 'Media not found' });
+        }
+        cacheControl = access.public ? MediaAccessService.getPublicCacheControl() : 'private, no-cache';
+      }
+
+      const stats = await StorageService.stat(key);
+      if (!stats) {
+        return res.status(404).json({ error: 'Media not found' });
+      }
+
+      // En-têtes anti-cache posés globalement sur /api/v1
+      res.removeHeader('Pragma');
+      res.removeHeader('Expires');
+      res.set('Cache-Control', cacheControl);
+      if (!cacheControl.startsWith('public')) {
+        res.set('Vary', 'Authorization');
+      }
+
+      // Revalidation : l'accès vient d'être vérifié, le fichier lui-même n'a pas changé
+      const lastModified = stats.lastModified && !isNaN(stats.lastModified.getTime()) ? stats.lastModified : null;
+      if (lastModified) {
+        res.set('Last-Modified', lastModified.toUTCString());
+        const since = new Date(req.get('If-Modified-Since'));
+        if (!isNaN(since.getTime()) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since.getTime() / 1000)) {
+          return res.status(304).end();
+        }
+      }
+
+      const stream = await StorageService.get(key);
+
+      res.set({
+        'Content-Type': stats.contentType,
+        'Content-Length': stats.size,
+        'Content-Disposition': 'inline',
+        'X-Content-Type-Options': 'nosniff',
+        // Images intégrées par le frontend depuis une autre origine
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+
+      stream.on('error', (error) => {
+        logger.error(`Serve file stream error for ${key}:`, error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
     } catch (error) {
-      logger.error(`Failed to delete file ${filePath}:`, error);
+      logger.error('Serve file error:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
   }
 
+  /**
+   * Fonction utilitaire pour supprimer un fichier de manière asynchrone
+   */
+  static async deleteFileAsync(filePath) {
+    await StorageService.delete(filePath);
+    logger.info(`File deleted: ${filePath}`);
+  }
+
   /**
    * Redimensionner une image (utilitaire)
    */
@@ -1232,20 +2521,21 @@ class MediaController {
       // Vérifier que le média existe et est une image
       const media = await prisma.imgVidPost.findFirst({
         where: { 
-          id_img_vid_post: mediaId,
+          id_img_vid_post: parseInt(mediaId),
           type_media: { media: 'image' }
         },
         include: {
           post: {
             select: { 
               id_user: true,
-              author: { select: { is_active: true } }
+              active: true,
+              user: { select: { is_active: true } }
             }
           }
         }
       });
 
-      if (!media || !media.post.author.is_active) {
+      if (!media || !media.post.active || !media.post.user.is_active) {
         return res.status(404).json({ error: 'Image not found or author inactive' });
       }
 
@@ -1254,23 +2544,99 @@ class MediaController {
         return res.status(403).json({ error: 'Access denied' });
       }
 
-      // Note: Ici vous devriez intégrer une bibliothèque comme Sharp ou Jimp
-      // pour effectuer le redimensionnement réel
-      
-      logger.info(`Image resize requested for media ${mediaId}: ${width}x${height}@${quality}%`);
+      const variant = await ImageProcessingService.createCustomVariant(media.lien_media, {
+        width,
+        height,
+        quality
+      });
+
+      const variants = {
+        ...(media.variants || {}),
+        [variant.key]: { path: variant.path, width: variant.width, height: variant.height }
+      };
+
+      await prisma.imgVidPost.update({
+        where: { id_img_vid_post: media.id_img_vid_post },
+        data: { variants }
+      });
+
+      logger.info(`Image resized for media ${mediaId}: ${variant.width}x${variant.height}@${quality}%`);
+
+      res.status(201).json({
+        message: 'Image variant created',
+        variant,
+        variants
+      });
+    } catch (error) {
+      logger.error('Resize image error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Modifier le texte alternatif et la légende d'un média
+   */
+  static async updateMediaDescription(req, res) {
+    try {
+      const { error: paramsError } = mediaParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const { error, value } = mediaDescriptionSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const media = await prisma.imgVidPost.findFirst({
+        where: { id_img_vid_post: parseInt(req.params.mediaId) },
+        include: {
+          post: {
+            select: {
+              id_user: true,
+              active: true,
+              user: { select: { is_active: true } }
+            }
+          }
+        }
+      });
+
+      if (!media || !media.post.active || !media.post.user.is_active) {
+        return res.status(404).json({ error: 'Media not found or author inactive' });
+      }
+
+      if (media.post.id_user !== req.user.id_user) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      // Champ absent : inchangé, chaîne vide : supprimé
+      const data = {};
+      if (value.alt_text !== undefined) data.alt_text = value.alt_text || null;
+      if (value.caption !== undefined) data.caption = value.caption || null;
+
+      const altText = data.alt_text !== undefined ? data.alt_text : media.alt_text;
+      const altTextPolicy = await this.getAltTextPolicy(req.user.id_user);
+      if (this.rejectMissingAltText(res, altText, altTextPolicy)) return;
+
+      const updated = await prisma.imgVidPost.update({
+        where: { id_img_vid_post: media.id_img_vid_post },
+        data,
+        select: { id_img_vid_post: true, alt_text: true, caption: true }
+      });
+
+      logger.info(`Media ${media.id_img_vid_post} description updated by user ${req.user.id_user}`);
 
       res.json({
-        message: 'Image resize feature not implemented yet',
-        requested: {
-          mediaId,
-          width,
-          height,
-          quality
+        message: 'Media description updated',
+        media: {
+          id: updated.id_img_vid_post,
+          alt_text: updated.alt_text,
+          caption: updated.caption
         },
-        note: 'This feature requires image processing library integration'
+        ...(!altText && altTextPolicy === 'remind' && { alt_text_reminder: ALT_TEXT_REMINDER })
       });
     } catch (error) {
-      logger.error('Resize image error:', error);
+      logger.error('Update media description error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
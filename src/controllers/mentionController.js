@@ -1282,7 +1282,7 @@ class MentionController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can moderate mentions'
@@ -1372,7 +1372,7 @@ class MentionController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can run spam detection'
@@ -1492,7 +1492,7 @@ class MentionController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view mention activity'
@@ -1683,7 +1683,7 @@ class MentionController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can clean orphaned mentions'
@@ -2,6 +2,33 @@ const prisma = require('../utils/database');
 const Joi = require('joi');
 const logger = require('../utils/logger');
 const { userParamsSchema, paginationSchema } = require('../validators/userValidator');
+const { altTextField, captionField } = require('../validators/mediaValidator');
+const ImageProcessingService = require('../services/imageProcessingService');
+const MediaAccessService = require('../services/mediaAccessService');
+
+const MAX_IMAGES_PER_MESSAGE = 4;
+
+const messageMediaSelect = {
+  id_img_vid_msg: true,
+  lien_media: true,
+  width: true,
+  height: true,
+  thumbnail: true,
+  variants: true,
+  alt_text: true,
+  caption: true
+};
+
+/**
+ * Pièces jointes privées : URLs signées à durée limitée, jamais de chemin public
+ */
+const withMediaUrls = async (message) => ({
+  ...message,
+  img_vid_msg: await Promise.all((message.img_vid_msg || []).map(async (media) => ({
+    ...media,
+    ...(await MediaAccessService.buildUrls(media))
+  })))
+});
 
 // Schémas de validation pour les messages
 const sendMessageSchema = Joi.object({
@@ -16,6 +43,22 @@ const sendMessageSchema = Joi.object({
     'string.min': 'Message cannot be empty',
     'string.max': 'Message must not exceed 2048 characters',
     'any.required': 'Message content is required'
+  }),
+  // Chemin seul ou { path, alt_text, caption }
+  media: Joi.array().items(
+    Joi.alternatives().try(
+      Joi.string().max(255),
+      Joi.object({
+        path: Joi.string().max(255).required().messages({
+          'any.required': 'Media path is required'
+        }),
+        alt_text: altTextField,
+        caption: captionField
+      })
+    )
+  ).max(MAX_IMAGES_PER_MESSAGE).unique((a, b) => (a.path || a) === (b.path || b)).default([]).messages({
+    'array.max': `Maximum ${MAX_IMAGES_PER_MESSAGE} images per message`,
+    'array.unique': 'The same image cannot be attached twice'
   })
 });
 
@@ -65,7 +108,7 @@ class MessageController {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { receiver: receiverParam, message } = value;
+      const { receiver: receiverParam, message, media } = value;
 
       // Convertir les IDs en entiers
       let receiverId;
@@ -129,6 +172,33 @@ class MessageController {
         }
       }
 
+      // Images jointes : uniquement des images traitées par /media/upload appartenant à l'expéditeur
+      const attachments = [];
+      for (const item of media) {
+        const filePath = typeof item === 'string' ? item : item.path;
+        if (!ImageProcessingService.isOwnProcessedImage(filePath, currentUser.id_user)) {
+          return res.status(400).json({ error: `Invalid media path: ${filePath}` });
+        }
+        try {
+          attachments.push({
+            lien_media: filePath,
+            alt_text: item.alt_text || null,
+            caption: item.caption || null,
+            ...(await ImageProcessingService.describeStoredImage(filePath))
+          });
+        } catch (error) {
+          return res.status(400).json({ error: `Uploaded image not found: ${filePath}` });
+        }
+      }
+
+      let imageType = null;
+      if (attachments.length > 0) {
+        imageType = await prisma.typeMedia.findFirst({ where: { media: 'image' } });
+        if (!imageType) {
+          return res.status(500).json({ error: 'Image media type not configured' });
+        }
+      }
+
       // Créer le message
       const newMessage = await prisma.messagePrive.create({
         data: {
@@ -137,9 +207,20 @@ class MessageController {
           message: message,
           send_at: new Date(),
           active: true,
-          updated_at: new Date()
+          updated_at: new Date(),
+          ...(attachments.length > 0 && {
+            img_vid_msg: {
+              create: attachments.map(attachment => ({
+                id_media: imageType.id_media,
+                ...attachment
+              }))
+            }
+          })
         },
         include: {
+          img_vid_msg: {
+            select: messageMediaSelect
+          },
           sender_user: {
             select: {
               id_user: true,
@@ -161,7 +242,7 @@ class MessageController {
 
       res.status(201).json({
         message: 'Message sent successfully',
-        data: newMessage
+        data: await withMediaUrls(newMessage)
       });
     } catch (error) {
       logger.error('Send message error:', error);
@@ -317,6 +398,9 @@ class MessageController {
                 username: true,
                 photo_profil: true
               }
+            },
+            img_vid_msg: {
+              select: messageMediaSelect
             }
           },
           skip,
@@ -350,7 +434,7 @@ class MessageController {
       const totalPages = Math.ceil(total / limit);
 
       res.json({
-        messages: messages.reverse(), // Retourner en ordre chronologique
+        messages: await Promise.all(messages.reverse().map(withMediaUrls)), // Retourner en ordre chronologique
         pagination: {
           page,
           limit,
@@ -1,6 +1,8 @@
 // backend/src/controllers/notificationController.js - CORRECTION FINALE
 const prisma = require('../utils/database');
 const logger = require('../utils/logger');
+const { notificationListSchema } = require('../validators/notificationValidator');
+const { usesPageMode, compareDesc, paginateInMemory } = require('../utils/cursor');
 
 class NotificationController {
   
@@ -12,7 +14,7 @@ class NotificationController {
       const userId = req.user.id_user;
 
       // ✅ CORRECTION COMPLÈTE: Requêtes simplifiées sans relations complexes
-      const [likesCount, mentionsCount, followsCount, messagesCount] = await Promise.all([
+      const [likesCount, mentionsCount, followsCount, messagesCount, securityCount] = await Promise.all([
         // ✅ CORRECTION: Likes non lus - éviter les auto-likes
         prisma.like.count({
           where: {
@@ -72,10 +74,19 @@ class NotificationController {
               is_active: true
             }
           }
+        }),
+
+        // Connexions depuis un nouvel appareil
+        prisma.loginAttempt.count({
+          where: {
+            id_user: userId,
+            new_device: true,
+            notif_view: false
+          }
         })
       ]);
 
-      const totalUnread = likesCount + mentionsCount + followsCount + messagesCount;
+      const totalUnread = likesCount + mentionsCount + followsCount + messagesCount + securityCount;
 
       res.json({
         unreadCount: totalUnread,
@@ -83,7 +94,8 @@ class NotificationController {
           likes: likesCount,
           mentions: mentionsCount,
           follows: followsCount,
-          messages: messagesCount
+          messages: messagesCount,
+          security: securityCount
         }
       });
 
@@ -151,6 +163,17 @@ class NotificationController {
           data: {
             read_at: new Date()
           }
+        }),
+
+        // Marquer les alertes de connexion comme lues
+        prisma.loginAttempt.updateMany({
+          where: {
+            id_user: userId,
+            notif_view: false
+          },
+          data: {
+            notif_view: true
+          }
         })
       ]);
 
@@ -170,13 +193,16 @@ class NotificationController {
    */
   static async getAllNotifications(req, res) {
     try {
+      const { error, value } = notificationListSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
       const userId = req.user.id_user;
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
-      const skip = (page - 1) * limit;
+      const { page, limit, cursor } = value;
 
       // ✅ CORRECTION: Utiliser des requêtes SQL brutes pour les mentions
-      const [likeNotifications, mentionNotifications, followNotifications, messageNotifications] = await Promise.all([
+      const [likeNotifications, mentionNotifications, followNotifications, messageNotifications, securityNotifications] = await Promise.all([
         // ✅ CORRECTION: Notifications de likes - éviter les auto-likes
         prisma.like.findMany({
           where: {
@@ -293,6 +319,22 @@ class NotificationController {
           },
           orderBy: { send_at: 'desc' },
           take: 10
+        }),
+
+        // Connexions depuis un nouvel appareil
+        prisma.loginAttempt.findMany({
+          where: {
+            id_user: userId,
+            new_device: true,
+            notif_view: false
+          },
+          select: {
+            id_login_attempt: true,
+            ip_address: true,
+            user_agent: true,
+            created_at: true
+          },
+          orderBy: { created_at: 'desc' }
         })
       ]);
 
@@ -359,14 +401,51 @@ class NotificationController {
         });
       });
 
-      // Trier par date (plus récent en premier)
-      allNotifications.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      // Ajouter les alertes de connexion
+      securityNotifications.forEach(attempt => {
+        allNotifications.push({
+          id: `security_${attempt.id_login_attempt}`,
+          type: 'new_device_login',
+          from_user: null,
+          content: 'Nouvelle connexion à votre compte depuis un appareil inconnu',
+          device: {
+            ip_address: attempt.ip_address,
+            user_agent: attempt.user_agent
+          },
+          created_at: attempt.created_at,
+          is_read: false
+        });
+      });
+
+      // Trier par date (plus récent en premier), identifiant pour départager les égalités
+      allNotifications.sort((a, b) => compareDesc(
+        { createdAt: a.created_at, id: a.id },
+        { createdAt: b.created_at, id: b.id }
+      ));
+
+      const unreadCount = allNotifications.length;
+
+      // Par défaut : curseur, stable quand de nouvelles notifications arrivent
+      if (!usesPageMode(req.query)) {
+        const { items, pagination } = paginateInMemory(allNotifications, {
+          cursor,
+          limit,
+          getDate: notification => notification.created_at,
+          getId: notification => notification.id
+        });
+
+        return res.json({
+          notifications: items,
+          unreadCount,
+          pagination
+        });
+      }
 
       // Pagination
+      const skip = (page - 1) * limit;
       const paginatedNotifications = allNotifications.slice(skip, skip + limit);
       const total = allNotifications.length;
       const totalPages = Math.ceil(total / limit);
-      const unreadCount = allNotifications.length;
 
       res.json({
         notifications: paginatedNotifications,
@@ -382,6 +461,9 @@ class NotificationController {
       });
 
     } catch (error) {
+      if (error.name === 'CursorError') {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Get all notifications error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
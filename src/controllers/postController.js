@@ -2,12 +2,32 @@ const prisma = require('../utils/database');
 const { 
   createPostSchema, 
   updatePostSchema, 
+  deletePostSchema,
   getPostsSchema,
+  timelineSchema,
+  forYouFeedSchema,
   postParamsSchema,
   userPostsParamsSchema,
   searchPostsSchema
 } = require('../validators/postValidator');
 const logger = require('../utils/logger');
+const PostDeletionService = require('../services/postDeletionService');
+const TotpService = require('../services/totpService');
+const MediaAccessService = require('../services/mediaAccessService');
+const HomeTimelineService = require('../services/homeTimelineService');
+const ForYouFeedService = require('../services/forYouFeedService');
+const PostSearchService = require('../services/postSearchService');
+const { usesPageMode, buildCursorQuery, buildCursorPage } = require('../utils/cursor');
+const { parseSearchQuery, hasFilters } = require('../utils/searchQuery');
+
+const postMediaInclude = MediaAccessService.POST_MEDIA_INCLUDE;
+
+/**
+ * Médias d'un post chargé avec son auteur (user)
+ */
+const serializePostMedia = (post) => MediaAccessService.serializePostMedia(post.img_vid_post, {
+  isPublic: !post.user.private
+});
 
 class PostController {
   /**
@@ -145,6 +165,78 @@ class PostController {
     }
   }
 
+  /**
+   * Resynchroniser les mentions après modification : supprime celles qui ont
+   * disparu du contenu puis ajoute les nouvelles
+   */
+  static async syncMentions(postId, content, authorUsername, tx) {
+    const usernames = this.extractMentions(content).filter(username => username !== authorUsername);
+
+    const stillMentioned = usernames.length > 0
+      ? await tx.user.findMany({
+        where: { username: { in: usernames }, is_active: true },
+        select: { id_user: true }
+      })
+      : [];
+
+    const { count: removed } = await tx.mention.deleteMany({
+      where: {
+        id_post: postId,
+        id_user: { notIn: stillMentioned.map(u => u.id_user) }
+      }
+    });
+
+    const mentions = await this.processMentions(postId, content, authorUsername, tx);
+    return { mentions, removed };
+  }
+
+  /**
+   * Resynchroniser les tags après modification
+   */
+  static async syncTags(postId, content, tx) {
+    const tagNames = this.extractTags(content);
+
+    const { count: removed } = await tx.postTag.deleteMany({
+      where: {
+        id_post: postId,
+        tag: { tag: { notIn: tagNames } }
+      }
+    });
+
+    const tags = await this.processTags(postId, content, tx);
+    return { tags, removed };
+  }
+
+  /**
+   * Vérifier qu'un lecteur peut voir le contenu d'un auteur (compte privé => abonné accepté)
+   */
+  static async canViewAuthorContent(author, viewer) {
+    if (!author.private) {
+      return true;
+    }
+
+    if (!viewer) {
+      return false;
+    }
+
+    const viewerId = parseInt(viewer.id_user);
+    if (author.id_user === viewerId) {
+      return true;
+    }
+
+    const follow = await prisma.follow.findUnique({
+      where: {
+        follower_account: {
+          follower: viewerId,
+          account: author.id_user
+        }
+      },
+      select: { active: true, pending: true }
+    });
+
+    return Boolean(follow && follow.active && !follow.pending);
+  }
+
   /**
    * Créer un nouveau post (version simplifiée pour debug)
    */
@@ -254,6 +346,13 @@ class PostController {
 
       logger.info(`Post created by ${currentUser.username}: ${result.post.id_post}`);
 
+      // Distribution dans les timelines des abonnés : un échec n'annule pas la publication (reconstruction possible)
+      try {
+        await HomeTimelineService.fanOutPost(result.post);
+      } catch (fanOutError) {
+        logger.error(`Timeline fan-out failed for post ${result.post.id_post}:`, fanOutError);
+      }
+
       // ✅ CORRECTION: Récupérer le post complet avec ses relations
       const createdPost = await prisma.post.findUnique({
         where: { id_post: result.post.id_post },
@@ -273,11 +372,12 @@ class PostController {
               tag: true
             }
           },
+          img_vid_post: postMediaInclude,
           _count: {
             select: {
-              likes: true,
+              likes: { where: { active: true } },
               mentions: true,
-              replies: true
+              replies: { where: { active: true } }
             }
           }
         }
@@ -293,10 +393,12 @@ class PostController {
           mentionCount: createdPost._count.mentions,
           replyCount: createdPost._count.replies,
           tags: createdPost.post_tags.map(pt => pt.tag.tag),
+          media: await serializePostMedia(createdPost),
           mentions: result.mentions.map(m => m.username),
           // Nettoyer les propriétés internes
           _count: undefined,
           post_tags: undefined,
+          img_vid_post: undefined,
           user: undefined // ✅ IMPORTANT: Supprimer user car on utilise author
         }
       });
@@ -307,6 +409,54 @@ class PostController {
     }
   }
 
+  /**
+   * Posts du plus récent au plus ancien : par curseur (défaut) ou par numéro de page (?page=)
+   */
+  static async findPostsPage(where, include, { page, limit, cursor }, usePages) {
+    if (usePages) {
+      const [posts, total] = await Promise.all([
+        prisma.post.findMany({
+          where,
+          include,
+          orderBy: [{ created_at: 'desc' }, { id_post: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.post.count({ where })
+      ]);
+
+      return {
+        posts,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+    }
+
+    // Un élément de plus que demandé : indique s'il reste des posts plus anciens
+    const { position, where: cursorWhere, orderBy } = buildCursorQuery(cursor, { idField: 'id_post' });
+    const rows = await prisma.post.findMany({
+      where: cursorWhere ? { AND: [where, cursorWhere] } : where,
+      include,
+      orderBy,
+      take: limit + 1
+    });
+
+    const { items, pagination } = buildCursorPage(rows, {
+      position,
+      limit,
+      getDate: post => post.created_at,
+      getId: post => post.id_post
+    });
+
+    return { posts: items, pagination };
+  }
+
   // [Autres méthodes restent inchangées...]
   
   /**
@@ -314,88 +464,71 @@ class PostController {
    */
   static async getPublicTimeline(req, res) {
     try {
-      const { error, value } = getPostsSchema.validate(req.query);
+      const { error, value } = timelineSchema.validate(req.query);
       if (error) {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { page, limit } = value;
-      const skip = (page - 1) * limit;
-
-      const [posts, total] = await Promise.all([
-        prisma.post.findMany({
-          where: {
-            active: true,
-            post_parent: null,
-            user: { // ✅ CORRECTION: "user" au lieu de "author"
-              private: false,
+      const { posts, pagination } = await PostController.findPostsPage(
+        {
+          active: true,
+          post_parent: null,
+          user: { // ✅ CORRECTION: "user" au lieu de "author"
+            private: false,
+            is_active: true
+          }
+        },
+        {
+          user: {
+            select: {
+              id_user: true,
+              username: true,
+              photo_profil: true,
+              private: true,
               is_active: true
             }
           },
-          include: {
-            user: {
-              select: {
-                id_user: true,
-                username: true,
-                photo_profil: true,
-                private: true,
-                is_active: true
-              }
-            },
-            post_tags: {
-              include: {
-                tag: true
-              }
-            },
-            _count: {
-              select: {
-                likes: true,
-                mentions: true,
-                replies: true
-              }
+          post_tags: {
+            include: {
+              tag: true
             }
           },
-          orderBy: { created_at: 'desc' },
-          skip,
-          take: limit
-        }),
-        prisma.post.count({
-          where: {
-            active: true,
-            post_parent: null,
-            user: {
-              private: false,
-              is_active: true
+          img_vid_post: postMediaInclude,
+          _count: {
+            select: {
+              likes: { where: { active: true } },
+              mentions: true,
+              replies: { where: { active: true } }
             }
           }
-        })
-      ]);
+        },
+        value,
+        usesPageMode(req.query)
+      );
 
-      const postsWithData = posts.map(post => ({
+      const postsWithData = await Promise.all(posts.map(async post => ({
         ...post,
         author: post.user, // ✅ MAPPING: user -> author pour compatibilité frontend
         likeCount: post._count.likes,
         mentionCount: post._count.mentions,
         replyCount: post._count.replies,
         tags: post.post_tags.map(pt => pt.tag.tag),
+        media: await serializePostMedia(post),
         // Nettoyer les propriétés internes
         _count: undefined,
         post_tags: undefined,
+        img_vid_post: undefined,
         user: undefined // ✅ IMPORTANT: Supprimer user car on utilise author
-      }));
+      })));
 
       res.json({
         posts: postsWithData,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages: Math.ceil(total / limit),
-          hasNextPage: page < Math.ceil(total / limit),
-          hasPrevPage: page > 1
-        }
+        pagination
       });
     } catch (error) {
+      if (error.name === 'CursorError') {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Get public timeline error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -442,15 +575,16 @@ class PostController {
               tag: true
             }
           },
+          img_vid_post: postMediaInclude,
           likes: req.user ? {
             where: { id_user: parseInt(req.user.id_user) },
             select: { id_user: true }
           } : false,
           _count: {
             select: {
-              likes: true,
+              likes: { where: { active: true } },
               mentions: true,
-              replies: true
+              replies: { where: { active: true } }
             }
           }
         },
@@ -462,7 +596,7 @@ class PostController {
         take: limit
       });
 
-      const postsWithData = posts.map(post => ({
+      const postsWithData = await Promise.all(posts.map(async post => ({
         ...post,
         author: post.user, // ✅ MAPPING: user -> author pour compatibilité frontend
         isLikedByCurrentUser: req.user ? post.likes?.length > 0 : false,
@@ -470,12 +604,14 @@ class PostController {
         mentionCount: post._count.mentions,
         replyCount: post._count.replies,
         tags: post.post_tags.map(pt => pt.tag.tag),
+        media: await serializePostMedia(post),
         // Nettoyer les propriétés internes
         likes: undefined,
         _count: undefined,
         post_tags: undefined,
+        img_vid_post: undefined,
         user: undefined // ✅ IMPORTANT: Supprimer user car on utilise author
-      }));
+      })));
 
       res.json(postsWithData);
     } catch (error) {
@@ -485,7 +621,8 @@ class PostController {
   }
 
   /**
-   * Rechercher des posts
+   * Rechercher des posts (plein texte : langue de l'auteur, accents ignorés, "expression exacte", OR, -exclusion ;
+   * opérateurs from:, to:, #tag, has:, since:, until:)
    */
   static async searchPosts(req, res) {
     try {
@@ -494,85 +631,122 @@ class PostController {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { search, page, limit, sortBy, order } = value;
+      const { search, page, limit, order } = value;
       const skip = (page - 1) * limit;
+      const viewerId = req.user ? parseInt(req.user.id_user) : null;
+      const { text, filters } = parseSearchQuery(search);
 
-      const whereClause = {
-        active: true,
-        post_parent: null,
+      // La pertinence n'a de sens qu'avec du texte libre
+      const sortBy = text
+        ? value.sortBy || 'relevance'
+        : (value.sortBy === 'likes_count' ? 'likes_count' : 'created_at');
+
+      const include = {
         user: {
-          private: false,
-          is_active: true
+          select: {
+            id_user: true,
+            username: true,
+            photo_profil: true,
+            private: true,
+            is_active: true
+          }
+        },
+        post_tags: {
+          include: {
+            tag: true
+          }
+        },
+        img_vid_post: postMediaInclude,
+        likes: viewerId ? {
+          where: { id_user: viewerId },
+          select: { id_user: true }
+        } : false,
+        _count: {
+          select: {
+            likes: { where: { active: true } },
+            mentions: true,
+            replies: { where: { active: true } }
+          }
         }
       };
 
-      if (search) {
-        whereClause.content = {
-          contains: search,
-          mode: 'insensitive'
+      let posts;
+      let total;
+      let matches = new Map();
+
+      if (text) {
+        const result = await PostSearchService.search(text, { viewerId, filters, page, limit, sortBy, order });
+        matches = new Map(result.results.map(match => [match.id_post, match]));
+        total = result.total;
+
+        // Ordre du classement conservé
+        const found = result.results.length > 0
+          ? await prisma.post.findMany({
+            where: { id_post: { in: [...matches.keys()] } },
+            include
+          })
+          : [];
+        const foundById = new Map(found.map(post => [post.id_post, post]));
+        posts = result.results
+          .filter(match => foundById.has(match.id_post))
+          .map(match => foundById.get(match.id_post));
+      } else {
+        // Posts publics, ses propres posts et ceux des comptes privés suivis
+        const visibility = [{ user: { private: false } }];
+        if (viewerId) {
+          visibility.push(
+            { id_user: viewerId },
+            { user: { followers: { some: { follower: viewerId, active: true, pending: false } } } }
+          );
+        }
+
+        const whereClause = {
+          active: true,
+          post_parent: null,
+          user: { is_active: true },
+          OR: visibility,
+          ...(hasFilters(filters) && { AND: PostSearchService.filterWhere(filters) })
         };
-      }
 
-      const orderByClause = {};
-      if (sortBy === 'likes_count') {
-        orderByClause.likes = { _count: order };
-      } else {
-        orderByClause[sortBy] = order;
+        const orderByClause = sortBy === 'likes_count'
+          ? [{ likes: { _count: order } }, { id_post: order }]
+          : [{ created_at: order }, { id_post: order }];
+
+        [posts, total] = await Promise.all([
+          prisma.post.findMany({
+            where: whereClause,
+            include,
+            orderBy: orderByClause,
+            skip,
+            take: limit
+          }),
+          prisma.post.count({
+            where: whereClause
+          })
+        ]);
       }
 
-      const [posts, total] = await Promise.all([
-        prisma.post.findMany({
-          where: whereClause,
-          include: {
-            user: {
-              select: {
-                id_user: true,
-                username: true,
-                photo_profil: true,
-                private: true,
-                is_active: true
-              }
-            },
-            post_tags: {
-              include: {
-                tag: true
-              }
-            },
-            likes: req.user ? {
-              where: { id_user: parseInt(req.user.id_user) },
-              select: { id_user: true }
-            } : false,
-            _count: {
-              select: {
-                likes: true,
-                mentions: true,
-                replies: true
-              }
-            }
-          },
-          orderBy: orderByClause,
-          skip,
-          take: limit
-        }),
-        prisma.post.count({
-          where: whereClause
-        })
-      ]);
-
-      const postsWithData = posts.map(post => ({
+      const postsWithData = await Promise.all(posts.map(async post => ({
         ...post,
         author: post.user, // ✅ MAPPING: user -> author pour compatibilité frontend
-        isLikedByCurrentUser: req.user ? post.likes?.length > 0 : false,
+        isLikedByCurrentUser: viewerId ? post.likes?.length > 0 : false,
         likeCount: post._count.likes,
         mentionCount: post._count.mentions,
         replyCount: post._count.replies,
         tags: post.post_tags.map(pt => pt.tag.tag),
+        media: await serializePostMedia(post),
+        ...(text && {
+          // Extrait HTML échappé, termes trouvés entre <mark>
+          snippet: matches.get(post.id_post).snippet,
+          rank: matches.get(post.id_post).rank
+        }),
         // Nettoyer les propriétés internes
         likes: undefined,
         _count: undefined,
         post_tags: undefined,
+        img_vid_post: undefined,
         user: undefined // ✅ IMPORTANT: Supprimer user car on utilise author
-      }));
+      })));
 
       res.json({
         posts: postsWithData,
@@ -584,9 +758,16 @@ class PostController {
           hasNextPage: page < Math.ceil(total / limit),
           hasPrevPage: page > 1
         },
-        search: search || null
+        search: search || null,
+        sortBy
       });
     } catch (error) {
+      if (error.name === 'SearchQueryError') {
+        return res.status(400).json({ error: 'Invalid search query', code: error.code, message: error.message });
+      }
+      if (error.name === 'SearchUnavailableError') {
+        return res.status(503).json({ error: 'Search temporarily unavailable' });
+      }
       logger.error('Search posts error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -597,30 +778,48 @@ class PostController {
    */
   static async getTimeline(req, res) {
     try {
-      const { error, value } = getPostsSchema.validate(req.query);
+      const { error, value } = timelineSchema.validate(req.query);
       if (error) {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { page, limit } = value;
-      const skip = (page - 1) * limit;
-
-      // Récupérer les utilisateurs suivis
-      const followedUsers = await prisma.follow.findMany({
-        where: {
-          follower: parseInt(req.user.id_user),
-          active: true,
-          pending: false
+      const userId = parseInt(req.user.id_user);
+      const include = {
+        user: {
+          select: {
+            id_user: true,
+            username: true,
+            photo_profil: true,
+            private: true,
+            is_active: true
+          }
         },
-        select: { account: true }
-      });
+        post_tags: {
+          include: {
+            tag: true
+          }
+        },
+        img_vid_post: postMediaInclude,
+        likes: {
+          where: { id_user: userId },
+          select: { id_user: true }
+        },
+        _count: {
+          select: {
+            likes: { where: { active: true } },
+            mentions: true,
+            replies: { where: { active: true } }
+          }
+        }
+      };
 
-      const followedUserIds = followedUsers.map(f => f.account);
-      followedUserIds.push(parseInt(req.user.id_user)); // Inclure ses propres posts
+      let page;
+      if (usesPageMode(req.query)) {
+        // Ancien mode par numéro de page : lecture directe des posts des comptes suivis
+        const followedUserIds = await HomeTimelineService.getFollowedIds(userId);
 
-      const [posts, total] = await Promise.all([
-        prisma.post.findMany({
-          where: {
+        page = await PostController.findPostsPage(
+          {
             active: true,
             post_parent: null,
             id_user: { in: followedUserIds },
@@ -628,50 +827,18 @@ class PostController {
               is_active: true
             }
           },
-          include: {
-            user: {
-              select: {
-                id_user: true,
-                username: true,
-                photo_profil: true,
-                private: true,
-                is_active: true
-              }
-            },
-            post_tags: {
-              include: {
-                tag: true
-              }
-            },
-            likes: req.user ? {
-              where: { id_user: parseInt(req.user.id_user) },
-              select: { id_user: true }
-            } : false,
-            _count: {
-              select: {
-                likes: true,
-                mentions: true,
-                replies: true
-              }
-            }
-          },
-          orderBy: { created_at: 'desc' },
-          skip,
-          take: limit
-        }),
-        prisma.post.count({
-          where: {
-            active: true,
-            post_parent: null,
-            id_user: { in: followedUserIds },
-            user: {
-              is_active: true
-            }
-          }
-        })
-      ]);
+          include,
+          value,
+          true
+        );
+      } else {
+        // Timeline matérialisée (fan-out à l'écriture)
+        page = await HomeTimelineService.getPage(userId, value, include);
+      }
+
+      const { posts, pagination } = page;
 
-      const postsWithData = posts.map(post => ({
+      const postsWithData = await Promise.all(posts.map(async post => ({
         ...post,
         author: post.user, // ✅ MAPPING: user -> author pour compatibilité frontend
         isLikedByCurrentUser: req.user ? post.likes?.length > 0 : false,
@@ -679,30 +846,104 @@ class PostController {
         mentionCount: post._count.mentions,
         replyCount: post._count.replies,
         tags: post.post_tags.map(pt => pt.tag.tag),
+        media: await serializePostMedia(post),
         // Nettoyer les propriétés internes
         likes: undefined,
         _count: undefined,
         post_tags: undefined,
+        img_vid_post: undefined,
         user: undefined // ✅ IMPORTANT: Supprimer user car on utilise author
-      }));
+      })));
 
       res.json({
         posts: postsWithData,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages: Math.ceil(total / limit),
-          hasNextPage: page < Math.ceil(total / limit),
-          hasPrevPage: page > 1
-        }
+        pagination
       });
     } catch (error) {
+      if (error.name === 'CursorError') {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Get timeline error:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 
+  /**
+   * Fil « Pour vous » : posts classés par pertinence, chacun avec le détail de son score et ses raisons
+   */
+  static async getForYouFeed(req, res) {
+    try {
+      const { error, value } = forYouFeedSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const userId = parseInt(req.user.id_user);
+      const { items, pagination } = await ForYouFeedService.getPage(userId, value, {
+        user: {
+          select: {
+            id_user: true,
+            username: true,
+            photo_profil: true,
+            private: true,
+            is_active: true
+          }
+        },
+        post_tags: {
+          include: {
+            tag: true
+          }
+        },
+        img_vid_post: postMediaInclude,
+        likes: {
+          where: { id_user: userId },
+          select: { id_user: true }
+        },
+        _count: {
+          select: {
+            likes: { where: { active: true } },
+            mentions: true,
+            replies: { where: { active: true } }
+          }
+        }
+      });
+
+      const postsWithData = await Promise.all(items.map(async ({ post, ranking }) => ({
+        ...post,
+        author: post.user,
+        isLikedByCurrentUser: post.likes.length > 0,
+        likeCount: post._count.likes,
+        mentionCount: post._count.mentions,
+        replyCount: post._count.replies,
+        tags: post.post_tags.map(pt => pt.tag.tag),
+        media: await serializePostMedia(post),
+        ranking: {
+          score: ranking.score,
+          explanation: ranking.reasons[0].text,
+          reasons: ranking.reasons,
+          components: ranking.components
+        },
+        // Nettoyer les propriétés internes
+        likes: undefined,
+        _count: undefined,
+        post_tags: undefined,
+        img_vid_post: undefined,
+        user: undefined
+      })));
+
+      res.json({
+        posts: postsWithData,
+        pagination
+      });
+    } catch (error) {
+      if (error.name === 'CursorError') {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('Get for you feed error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
   /**
    * Obtenir les posts d'un utilisateur
    */
@@ -787,15 +1028,16 @@ class PostController {
                 tag: true
               }
             },
+            img_vid_post: postMediaInclude,
             likes: req.user ? {
               where: { id_user: parseInt(req.user.id_user) },
               select: { id_user: true }
             } : false,
             _count: {
               select: {
-                likes: true,
+                likes: { where: { active: true } },
                 mentions: true,
-                replies: true
+                replies: { where: { active: true } }
               }
             }
           },
@@ -806,12 +1048,13 @@ class PostController {
         prisma.post.count({
           where: {
             id_user: parseInt(userId),
+            post_parent: null,
             active: true
           }
         })
       ]);
 
-      const postsWithData = posts.map(post => ({
+      const postsWithData = await Promise.all(posts.map(async post => ({
         ...post,
         author: post.user, // ✅ MAPPING: user -> author pour compatibilité frontend
         isLikedByCurrentUser: req.user ? post.likes?.length > 0 : false,
@@ -819,12 +1062,14 @@ class PostController {
         mentionCount: post._count.mentions,
         replyCount: post._count.replies,
         tags: post.post_tags.map(pt => pt.tag.tag),
+        media: await serializePostMedia(post),
         // Nettoyer les propriétés internes
         likes: undefined,
         _count: undefined,
         post_tags: undefined,
+        img_vid_post: undefined,
         user: undefined // ✅ IMPORTANT: Supprimer user car on utilise author
-      }));
+      })));
 
       res.json({
         posts: postsWithData,
@@ -880,20 +1125,36 @@ class PostController {
               tag: true
             }
           },
+          img_vid_post: postMediaInclude,
           likes: req.user ? {
             where: { id_user: parseInt(req.user.id_user) },
             select: { id_user: true }
           } : false,
           _count: {
             select: {
-              likes: true,
+              likes: { where: { active: true } },
               mentions: true,
-              replies: true
+              replies: { where: { active: true } }
             }
           }
         }
       });
 
+      if (!post) {
+        // Un post supprimé reste identifiable (tombstone) pour les fils de réponses
+        const deletedPost = await prisma.post.findFirst({
+          where: { id_post: parseInt(id), active: false, deleted_at: { not: null } },
+          select: { id_post: true, post_parent: true, created_at: true, deleted_at: true }
+        });
+
+        if (deletedPost) {
+          return res.status(410).json({
+            error: 'Post deleted',
+            post: PostDeletionService.toTombstone(deletedPost)
+          });
+        }
+      }
+
       if (!post || !post.user.is_active) {
         return res.status(404).json({ error: 'Post not found or author inactive' });
       }
@@ -927,10 +1188,12 @@ class PostController {
         mentionCount: post._count.mentions,
         replyCount: post._count.replies,
         tags: post.post_tags.map(pt => pt.tag.tag),
+        media: await serializePostMedia(post),
         // Nettoyer les propriétés internes
         likes: undefined,
         _count: undefined,
         post_tags: undefined,
+        img_vid_post: undefined,
         user: undefined // ✅ IMPORTANT: Supprimer user car on utilise author
       };
 
@@ -942,11 +1205,142 @@ class PostController {
   }
 
   /**
-   * Mettre à jour un post
+   * Mettre à jour un post (auteur uniquement, dans la fenêtre d'édition)
    */
   static async updatePost(req, res) {
     try {
-      res.status(501).json({ error: 'Method not implemented in debug version' });
+      const { error: paramsError } = postParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const { error, value } = updatePostSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const postId = parseInt(req.params.id);
+      const userId = parseInt(req.user.id_user);
+
+      const post = await prisma.post.findFirst({
+        where: {
+          id_post: postId,
+          active: true
+        },
+        include: {
+          user: { select: { id_user: true, username: true } }
+        }
+      });
+
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      if (post.id_user !== userId) {
+        return res.status(403).json({ error: 'You can only edit your own posts' });
+      }
+
+      const editWindowMinutes = parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 60;
+      const editDeadline = new Date(post.created_at.getTime() + editWindowMinutes * 60 * 1000);
+
+      if (new Date() > editDeadline) {
+        return res.status(403).json({ 
+          error: 'Edit window expired',
+          message: `Posts can only be edited within ${editWindowMinutes} minutes of publication`
+        });
+      }
+
+      const { content } = value;
+
+      if (content === post.content) {
+        return res.status(400).json({ error: 'Post content is unchanged' });
+      }
+
+      const now = new Date();
+
+      const result = await prisma.$transaction(async (tx) => {
+        // Conserver la version remplacée dans l'historique
+        await tx.postRevision.create({
+          data: {
+            id_post: postId,
+            content: post.content,
+            created_at: post.edited_at || post.created_at,
+            replaced_at: now
+          }
+        });
+
+        const updated = await tx.post.update({
+          where: { id_post: postId },
+          data: {
+            content,
+            updated_at: now,
+            edited_at: now,
+            edit_count: { increment: 1 }
+          }
+        });
+
+        const [mentionSync, tagSync] = await Promise.all([
+          PostController.syncMentions(postId, content, post.user.username, tx),
+          PostController.syncTags(postId, content, tx)
+        ]);
+
+        return { post: updated, mentionSync, tagSync };
+      });
+
+      logger.info(`Post ${postId} edited by ${post.user.username} (edit #${result.post.edit_count})`);
+
+      const updatedPost = await prisma.post.findUnique({
+        where: { id_post: postId },
+        include: {
+          user: {
+            select: {
+              id_user: true,
+              username: true,
+              photo_profil: true,
+              private: true,
+              is_active: true,
+              certified: true
+            }
+          },
+          post_tags: {
+            include: {
+              tag: true
+            }
+          },
+          img_vid_post: postMediaInclude,
+          _count: {
+            select: {
+              likes: { where: { active: true } },
+              mentions: true,
+              replies: { where: { active: true } }
+            }
+          }
+        }
+      });
+
+      res.json({
+        message: 'Post updated successfully',
+        post: {
+          ...updatedPost,
+          author: updatedPost.user,
+          isEdited: true,
+          likeCount: updatedPost._count.likes,
+          mentionCount: updatedPost._count.mentions,
+          replyCount: updatedPost._count.replies,
+          tags: updatedPost.post_tags.map(pt => pt.tag.tag),
+          media: await serializePostMedia(updatedPost),
+          mentions: result.mentionSync.mentions.map(m => m.username),
+          // Nettoyer les propriétés internes
+          _count: undefined,
+          post_tags: undefined,
+          img_vid_post: undefined,
+          user: undefined
+        },
+        changes: {
+          mentions_removed: result.mentionSync.removed,
+          tags_removed: result.tagSync.removed
+        }
+      });
     } catch (error) {
       logger.error('Update post error:', error);
       res.status(500).json({ error: 'Internal server error' });
@@ -954,11 +1348,155 @@ class PostController {
   }
 
   /**
-   * Supprimer un post (soft delete)
+   * Obtenir l'historique des modifications d'un post
+   */
+  static async getPostHistory(req, res) {
+    try {
+      const { error: paramsError } = postParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const postId = parseInt(req.params.id);
+
+      const post = await prisma.post.findFirst({
+        where: {
+          id_post: postId,
+          active: true
+        },
+        select: {
+          id_post: true,
+          content: true,
+          created_at: true,
+          edited_at: true,
+          edit_count: true,
+          user: {
+            select: {
+              id_user: true,
+              username: true,
+              private: true,
+              is_active: true
+            }
+          },
+          revisions: {
+            select: {
+              id_revision: true,
+              content: true,
+              created_at: true,
+              replaced_at: true
+            },
+            orderBy: { replaced_at: 'desc' }
+          }
+        }
+      });
+
+      if (!post || !post.user.is_active) {
+        return res.status(404).json({ error: 'Post not found or author inactive' });
+      }
+
+      if (!(await PostController.canViewAuthorContent(post.user, req.user))) {
+        return res.status(403).json({ error: 'Access denied to private account post' });
+      }
+
+      res.json({
+        id_post: post.id_post,
+        isEdited: post.edit_count > 0,
+        edit_count: post.edit_count,
+        current: {
+          content: post.content,
+          since: post.edited_at || post.created_at
+        },
+        revisions: post.revisions
+      });
+    } catch (error) {
+      logger.error('Get post history error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Supprimer un post (soft delete) - auteur, ou modérateur/admin pour le contenu des autres
    */
   static async deletePost(req, res) {
     try {
-      res.status(501).json({ error: 'Method not implemented in debug version' });
+      const { error: paramsError } = postParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const { error, value } = deletePostSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const postId = parseInt(req.params.id);
+      const userId = parseInt(req.user.id_user);
+
+      const post = await prisma.post.findFirst({
+        where: {
+          id_post: postId,
+          active: true
+        },
+        include: {
+          user: { select: { id_user: true, username: true } }
+        }
+      });
+
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      const isAuthor = post.id_user === userId;
+      let moderator = null;
+
+      if (!isAuthor) {
+        const currentUser = await prisma.user.findUnique({
+          where: { id_user: userId },
+          select: {
+            username: true,
+            mfa_enabled: true,
+            mfa_required: true,
+            role: { select: { role: true } }
+          }
+        });
+
+        if (!currentUser || !PostDeletionService.isModeratorRole(currentUser.role.role)) {
+          return res.status(403).json({ error: 'You can only delete your own posts' });
+        }
+
+        // Même exigence que le backoffice pour agir sur le contenu des autres
+        if (TotpService.isRequiredFor(currentUser, currentUser.role.role) && !currentUser.mfa_enabled) {
+          return res.status(403).json({
+            error: 'MFA required',
+            message: 'La double authentification doit être activée pour modérer du contenu'
+          });
+        }
+
+        moderator = currentUser;
+      }
+
+      const deleted = await PostDeletionService.deletePost(postId, {
+        deletedBy: userId,
+        reason: moderator ? value.reason || null : null
+      });
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      if (moderator) {
+        logger.warn(`Post ${postId} by ${post.user.username} removed by ${moderator.role.role.toLowerCase()} ${moderator.username}. Reason: ${value.reason || 'No reason provided'}`);
+      }
+
+      res.json({
+        message: 'Post deleted successfully',
+        post: {
+          id_post: postId,
+          deleted_at: deleted.deleted_at,
+          deleted_by: moderator ? moderator.username : post.user.username,
+          moderation: !!moderator
+        }
+      });
     } catch (error) {
       logger.error('Delete post error:', error);
       res.status(500).json({ error: 'Internal server error' });
@@ -1,6 +1,8 @@
 const prisma = require('../utils/database');
 const logger = require('../utils/logger');
 const Joi = require('joi');
+const PostDeletionService = require('../services/postDeletionService');
+const BanService = require('../services/banService');
 const { postParamsSchema, userParamsSchema, paginationSchema } = require('../validators/userValidator');
 
 // Schémas de validation pour les signalements
@@ -198,13 +200,10 @@ class ReportController {
 
       let autoAction = null;
       if (reportCount >= autoRemoveThreshold) {
-        // Auto-suppression du post
-        await prisma.post.update({
-          where: { id_post: postId },
-          data: { 
-            active: false,
-            updated_at: new Date()
-          }
+        // Auto-suppression du post (le dernier signaleur est tracé comme déclencheur)
+        await PostDeletionService.deletePost(post.id_post, {
+          deletedBy: req.user.id_user,
+          reason: `Auto-removed after ${reportCount} reports`
         });
         autoAction = 'auto_removed';
         
@@ -251,7 +250,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view reported posts'
@@ -354,7 +353,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view report details'
@@ -473,7 +472,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can process reports'
@@ -521,12 +520,9 @@ class ReportController {
             break;
 
           case 'remove_post':
-            await tx.post.update({
-              where: { id_post: postId },
-              data: { 
-                active: false,
-                updated_at: new Date()
-              }
+            await PostDeletionService.softDelete(tx, post.id_post, {
+              deletedBy: req.user.id_user,
+              reason: reason || 'Policy violation'
             });
             actionResult = { action: 'post_removed', message: 'Post removed for policy violation' };
             break;
@@ -553,12 +549,9 @@ class ReportController {
               }
             });
 
-            await tx.post.update({
-              where: { id_post: postId },
-              data: { 
-                active: false,
-                updated_at: new Date()
-              }
+            await PostDeletionService.softDelete(tx, post.id_post, {
+              deletedBy: req.user.id_user,
+              reason: reason || 'Multiple policy violations'
             });
 
             actionResult = { 
@@ -574,6 +567,11 @@ class ReportController {
         }
       });
 
+      // Ban effectif hors transaction : sessions révoquées une fois le ban enregistré
+      if (action === 'ban_user') {
+        await BanService.onBanIssued(post.author.id_user);
+      }
+
       const reporterIds = [...new Set(reports.map(r => r.id_user))];
       
       logger.info(`Report processed by ${currentUser.username}: Post ${postId} by ${post.author.username} - Action: ${action} - Reason: ${reason || 'N/A'}`);
@@ -619,7 +617,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can dismiss reports'
@@ -677,7 +675,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view user report counts'
@@ -798,7 +796,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view all user reports'
@@ -883,7 +881,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view user report details'
@@ -1004,7 +1002,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can view global report statistics'
@@ -1113,7 +1111,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can run spam detection'
@@ -1349,7 +1347,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can update moderation thresholds'
@@ -1392,7 +1390,7 @@ class ReportController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can view auto-moderation rules'
@@ -2,6 +2,7 @@ const prisma = require('../utils/database');
 const logger = require('../utils/logger');
 const Joi = require('joi');
 const { paginationSchema } = require('../validators/userValidator');
+const MediaAccessService = require('../services/mediaAccessService');
 
 // Schémas de validation pour les tags
 const createTagSchema = Joi.object({
@@ -152,54 +153,59 @@ class TagController {
         return res.status(404).json({ error: 'Tag not found' });
       }
 
+      // Posts publics, ou de comptes privés suivis (abonnement accepté)
+      const whereClause = {
+        active: true,
+        user: { 
+          is_active: true,
+          OR: [
+            { private: false },
+            ...(req.user ? [{
+              AND: [
+                { private: true },
+                {
+                  followers: {
+                    some: {
+                      follower: req.user.id_user,
+                      active: true,
+                      pending: false
+                    }
+                  }
+                }
+              ]
+            }] : [])
+          ]
+        },
+        post_tags: {
+          some: { id_tag: tag.id_tag }
+        }
+      };
+
       // Récupérer les posts avec ce tag
       const [posts, total] = await Promise.all([
         prisma.post.findMany({
-          where: {
-            active: true,
-            author: { 
-              is_active: true,
-              OR: [
-                { private: false },
-                ...(req.user ? [{
-                  AND: [
-                    { private: true },
-                    {
-                      followers: {
-                        some: {
-                          follower: req.user.id_user,
-                          active: true,
-                          pending: false
-                        }
-                      }
-                    }
-                  ]
-                }] : [])
-              ]
-            },
-            post_tags: {
-              some: { id_tag: tag.id_tag }
-            }
-          },
+          where: whereClause,
           include: {
-            author: {
+            user: {
               select: {
                 id_user: true,
                 username: true,
                 photo_profil: true,
-                certified: true
+                certified: true,
+                private: true
               }
             },
             _count: {
               select: {
                 likes: { where: { active: true, user: { is_active: true } } },
                 mentions: true,
-                replies: { where: { active: true, author: { is_active: true } } }
+                replies: { where: { active: true, user: { is_active: true } } }
               }
             },
             post_tags: {
               include: { tag: true }
             },
+            img_vid_post: MediaAccessService.POST_MEDIA_INCLUDE,
             ...(req.user && {
               likes: {
                 where: { id_user: req.user.id_user, active: true },
@@ -212,32 +218,27 @@ class TagController {
           orderBy: { created_at: 'desc' }
         }),
         prisma.post.count({
-          where: {
-            active: true,
-            author: { 
-              is_active: true,
-              private: false
-            },
-            post_tags: {
-              some: { id_tag: tag.id_tag }
-            }
-          }
+          where: whereClause
         })
       ]);
 
       const totalPages = Math.ceil(total / limit);
 
-      const postsWithData = posts.map(post => ({
+      const postsWithData = await Promise.all(posts.map(async post => ({
         ...post,
+        author: post.user,
         isLiked: req.user ? post.likes?.length > 0 : false,
         likeCount: post._count.likes,
         mentionCount: post._count.mentions,
         replyCount: post._count.replies,
         tags: post.post_tags.map(pt => pt.tag.tag),
+        media: await MediaAccessService.serializePostMedia(post.img_vid_post, { isPublic: !post.user.private }),
         likes: undefined,
         _count: undefined,
-        post_tags: undefined
-      }));
+        post_tags: undefined,
+        img_vid_post: undefined,
+        user: undefined
+      })));
 
       res.json({
         tag: {
@@ -855,7 +856,7 @@ class TagController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can merge tags'
@@ -898,6 +899,16 @@ class TagController {
           )
         `;
 
+        // Reporter les abonnements au tag source sur le tag cible
+        const sourceFollows = await tx.tagFollow.findMany({
+          where: { id_tag: source_tag_id },
+          select: { id_user: true, created_at: true }
+        });
+        await tx.tagFollow.createMany({
+          data: sourceFollows.map(follow => ({ ...follow, id_tag: target_tag_id })),
+          skipDuplicates: true
+        });
+
         // Supprimer le tag source
         await tx.tag.delete({
           where: { id_tag: source_tag_id }
@@ -952,7 +963,7 @@ class TagController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can rename tags'
@@ -1028,7 +1039,7 @@ class TagController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can delete tags'
@@ -1057,10 +1068,13 @@ class TagController {
 
       // Transaction pour supprimer le tag et ses associations
       await prisma.$transaction(async (tx) => {
-        // Supprimer toutes les associations post-tag
+        // Supprimer toutes les associations post-tag et les abonnements
         await tx.postTag.deleteMany({
           where: { id_tag: tagId }
         });
+        await tx.tagFollow.deleteMany({
+          where: { id_tag: tagId }
+        });
 
         // Supprimer le tag
         await tx.tag.delete({
@@ -1192,7 +1206,7 @@ class TagController {
         include: { role: true }
       });
 
-      if (!currentUser || currentUser.role.role !== 'administrator') {
+      if (!currentUser || currentUser.role.role !== 'ADMIN') {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only administrators can clean unused tags'
@@ -1315,7 +1329,7 @@ class TagController {
         include: { role: true }
       });
 
-      if (!currentUser || !['moderator', 'administrator'].includes(currentUser.role.role)) {
+      if (!currentUser || !['MODERATOR', 'ADMIN'].includes(currentUser.role.role)) {
         return res.status(403).json({ 
           error: 'Access denied',
           message: 'Only moderators and administrators can view tag analytics'
@@ -1429,6 +1443,130 @@ class TagController {
       res.status(500).json({ error: 'Internal server error' });
     }
   }
+
+  /**
+   * Suivre un tag (ses posts alimentent le fil « Pour vous »)
+   */
+  static async followTag(req, res) {
+    try {
+      const { error: paramsError } = tagParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const tag = await prisma.tag.findFirst({
+        where: { tag: this.normalizeTagName(req.params.tag) },
+        select: { id_tag: true, tag: true }
+      });
+
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      const existing = await prisma.tagFollow.findUnique({
+        where: { id_user_id_tag: { id_user: req.user.id_user, id_tag: tag.id_tag } }
+      });
+
+      if (existing) {
+        return res.status(409).json({ error: 'Already following this tag', isFollowing: true });
+      }
+
+      await prisma.tagFollow.create({
+        data: { id_user: req.user.id_user, id_tag: tag.id_tag, created_at: new Date() }
+      });
+
+      logger.info(`${req.user.username} started following #${tag.tag}`);
+
+      res.status(201).json({
+        message: 'Tag followed successfully',
+        isFollowing: true,
+        tag: { id_tag: tag.id_tag, tag: tag.tag }
+      });
+    } catch (error) {
+      logger.error('Follow tag error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Ne plus suivre un tag
+   */
+  static async unfollowTag(req, res) {
+    try {
+      const { error: paramsError } = tagParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const tag = await prisma.tag.findFirst({
+        where: { tag: this.normalizeTagName(req.params.tag) },
+        select: { id_tag: true, tag: true }
+      });
+
+      const result = tag
+        ? await prisma.tagFollow.deleteMany({ where: { id_user: req.user.id_user, id_tag: tag.id_tag } })
+        : { count: 0 };
+
+      if (result.count === 0) {
+        return res.status(404).json({ error: 'Not following this tag', isFollowing: false });
+      }
+
+      logger.info(`${req.user.username} unfollowed #${tag.tag}`);
+
+      res.json({ message: 'Tag unfollowed successfully', isFollowing: false });
+    } catch (error) {
+      logger.error('Unfollow tag error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Tags suivis par l'utilisateur connecté
+   */
+  static async getFollowedTags(req, res) {
+    try {
+      const { error, value } = paginationSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { page, limit } = value;
+      const where = { id_user: req.user.id_user };
+
+      const [follows, total] = await Promise.all([
+        prisma.tagFollow.findMany({
+          where,
+          select: {
+            created_at: true,
+            tag: { select: { id_tag: true, tag: true } }
+          },
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.tagFollow.count({ where })
+      ]);
+
+      res.json({
+        tags: follows.map(follow => ({
+          id_tag: follow.tag.id_tag,
+          tag: follow.tag.tag,
+          followed_at: follow.created_at
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Get followed tags error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
 }
 
 module.exports = TagController;
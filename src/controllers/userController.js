@@ -12,6 +12,8 @@ const {
   updateRoleSchema
 } = require('../validators/userValidator');
 const logger = require('../utils/logger');
+const EmailVerificationService = require('../services/emailVerificationService');
+const HomeTimelineService = require('../services/homeTimelineService');
 
 class UserController {
   /**
@@ -32,6 +34,8 @@ class UserController {
           telephone: true,
           private: true,
           certified: true,
+          mail_verified_at: true,
+          pending_mail: true,
           created_at: true,
           updated_at: true,
           _count: {
@@ -296,7 +300,7 @@ class UserController {
           id_user: req.user.id_user,
           is_active: true
         },
-        select: { id_user: true, username: true, mail: true, telephone: true }
+        select: { id_user: true, username: true, prenom: true, mail: true, telephone: true, private: true }
       });
 
       if (!existingUser) {
@@ -350,8 +354,13 @@ class UserController {
       }
 
       // Préparer les données de mise à jour
+      const { mail: requestedMail, ...profileData } = value;
+      const mailChangeRequested = requestedMail && requestedMail !== existingUser.mail;
+
+      // La nouvelle adresse n'est appliquée qu'après confirmation par email
       const updateData = {
-        ...value,
+        ...profileData,
+        ...(mailChangeRequested && { pending_mail: requestedMail }),
         updated_at: new Date()
       };
 
@@ -370,14 +379,35 @@ class UserController {
           telephone: true,
           private: true,
           certified: true,
+          mail_verified_at: true,
+          pending_mail: true,
           created_at: true,
           updated_at: true
         }
       });
 
+      // Comme à l'inscription, l'échec d'envoi ne bloque pas la modification : le mail peut être renvoyé
+      let verificationMailSent = true;
+      if (mailChangeRequested) {
+        try {
+          await EmailVerificationService.issue(existingUser, requestedMail);
+        } catch (mailError) {
+          logger.error('Verification mail error:', mailError);
+          verificationMailSent = false;
+        }
+      }
+
+      // Confidentialité modifiée : les timelines ne gardent que les posts visibles par leur propriétaire
+      if (value.private !== undefined && value.private !== existingUser.private) {
+        await HomeTimelineService.syncAuthorAudience(updatedUser.id_user);
+      }
+
       logger.info(`User profile updated: ${updatedUser.username} (${updatedUser.mail})`);
 
-      res.json(updatedUser);
+      res.json({
+        ...updatedUser,
+        ...(mailChangeRequested && { verification_mail_sent: verificationMailSent })
+      });
     } catch (error) {
       logger.error('Update profile error:', error);
       res.status(500).json({ error: 'Internal server error' });
@@ -607,6 +637,76 @@ class UserController {
     }
   }
 
+  /**
+   * Préférences de l'utilisateur connecté
+   */
+  static async getPreferences(req, res) {
+    try {
+      const preferences = await prisma.userPreferences.findUnique({
+        where: { id_user: req.user.id_user },
+        select: {
+          email_notification: true,
+          alt_text_policy: true,
+          langue: { select: { id_langue: true, langue: true } },
+          theme: { select: { id_theme: true, theme: true } }
+        }
+      });
+
+      if (!preferences) {
+        return res.status(404).json({ error: 'Preferences not found' });
+      }
+
+      res.json({ preferences });
+    } catch (error) {
+      logger.error('Get preferences error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Mettre à jour les préférences (texte alternatif des médias : off, remind, require)
+   */
+  static async updatePreferences(req, res) {
+    try {
+      const { error, value } = updatePreferencesSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      // Comptes créés avant les préférences : valeurs par défaut de l'inscription
+      const [defaultLangue, defaultTheme] = await Promise.all([
+        prisma.langue.findFirst({ where: { langue: 'Français' } }),
+        prisma.theme.findFirst({ where: { theme: 'Clair' } })
+      ]);
+
+      const preferences = await prisma.userPreferences.upsert({
+        where: { id_user: req.user.id_user },
+        update: value,
+        create: {
+          id_user: req.user.id_user,
+          id_langue: defaultLangue?.id_langue || 1,
+          id_theme: defaultTheme?.id_theme || 1,
+          email_notification: true,
+          ...value
+        },
+        select: {
+          email_notification: true,
+          alt_text_policy: true
+        }
+      });
+
+      logger.info(`Preferences updated for user ${req.user.id_user}: ${JSON.stringify(value)}`);
+
+      res.json({
+        message: 'Preferences updated successfully',
+        preferences
+      });
+    } catch (error) {
+      logger.error('Update preferences error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
   /**
    * ✅ NOUVELLE MÉTHODE: Marquer l'onboarding comme terminé
    */
@@ -660,6 +760,140 @@ class UserController {
       res.status(500).json({ error: 'Internal server error' });
     }
   }
+
+  /**
+   * Masquer un compte : ses posts n'apparaissent plus dans le fil « Pour vous »
+   */
+  static async muteUser(req, res) {
+    try {
+      const { error: paramsError } = userParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const userId = parseInt(req.params.id, 10);
+      if (isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+
+      if (userId === req.user.id_user) {
+        return res.status(400).json({ error: 'Cannot mute yourself' });
+      }
+
+      const targetUser = await prisma.user.findFirst({
+        where: { id_user: userId, is_active: true },
+        select: { id_user: true, username: true }
+      });
+
+      if (!targetUser) {
+        return res.status(404).json({ error: 'User not found or inactive' });
+      }
+
+      const existingMute = await prisma.userMute.findUnique({
+        where: { id_user_muted_user: { id_user: req.user.id_user, muted_user: userId } }
+      });
+
+      if (existingMute) {
+        return res.status(409).json({ error: 'User already muted', isMuted: true });
+      }
+
+      await prisma.userMute.create({
+        data: { id_user: req.user.id_user, muted_user: userId, created_at: new Date() }
+      });
+
+      logger.info(`${req.user.username} muted ${targetUser.username}`);
+
+      res.status(201).json({
+        message: 'User muted successfully',
+        isMuted: true,
+        user: targetUser
+      });
+    } catch (error) {
+      logger.error('Mute user error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Ne plus masquer un compte
+   */
+  static async unmuteUser(req, res) {
+    try {
+      const { error: paramsError } = userParamsSchema.validate(req.params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError.details[0].message });
+      }
+
+      const userId = parseInt(req.params.id, 10);
+      if (isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+
+      const result = await prisma.userMute.deleteMany({
+        where: { id_user: req.user.id_user, muted_user: userId }
+      });
+
+      if (result.count === 0) {
+        return res.status(404).json({ error: 'User not muted', isMuted: false });
+      }
+
+      logger.info(`${req.user.username} unmuted user ${userId}`);
+
+      res.json({ message: 'User unmuted successfully', isMuted: false });
+    } catch (error) {
+      logger.error('Unmute user error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Comptes masqués par l'utilisateur connecté
+   */
+  static async getMutedUsers(req, res) {
+    try {
+      const { error, value } = paginationSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { page, limit } = value;
+      const where = { id_user: req.user.id_user };
+
+      const [mutes, total] = await Promise.all([
+        prisma.userMute.findMany({
+          where,
+          select: {
+            created_at: true,
+            muted_rel: {
+              select: { id_user: true, username: true, photo_profil: true, certified: true }
+            }
+          },
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.userMute.count({ where })
+      ]);
+
+      res.json({
+        users: mutes.map(mute => ({
+          ...mute.muted_rel,
+          muted_at: mute.created_at
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      logger.error('Get muted users error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
 }
 
 module.exports = UserController;
\ No newline at end of file
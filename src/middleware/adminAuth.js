@@ -1,5 +1,21 @@
 const prisma = require('../utils/database');
 const logger = require('../utils/logger');
+const TotpService = require('../services/totpService');
+
+/**
+ * Réponse si la 2FA est imposée à ce compte mais pas encore activée
+ */
+const rejectIfMfaMissing = (user, res) => {
+  if (TotpService.isRequiredFor(user, user.role.role) && !user.mfa_enabled) {
+    logger.warn(`Backoffice access denied, MFA not enabled for: ${user.username}`);
+    res.status(403).json({
+      error: 'MFA required',
+      message: 'La double authentification doit être activée pour accéder au backoffice'
+    });
+    return true;
+  }
+  return false;
+};
 
 /**
  * Middleware pour vérifier si l'utilisateur est admin ou modérateur
@@ -41,6 +57,10 @@ const requireAdminOrModerator = async (req, res, next) => {
       });
     }
 
+    if (rejectIfMfaMissing(user, res)) {
+      return;
+    }
+
     // Ajouter les informations de rôle à la requête
     req.user.role = user.role.role;
     req.user.isAdmin = user.role.role === 'ADMIN';
@@ -89,6 +109,10 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    if (rejectIfMfaMissing(user, res)) {
+      return;
+    }
+
     req.user.role = user.role.role;
     req.user.isAdmin = true;
 
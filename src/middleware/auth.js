@@ -2,6 +2,30 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../utils/database');
 const logger = require('../utils/logger');
+const TokenService = require('../services/tokenService');
+const BanService = require('../services/banService');
+
+/**
+ * Zones de l'API interdites en écriture aux comptes dont l'email n'est pas vérifié.
+ * Activées via UNVERIFIED_EMAIL_RESTRICTIONS (ex: "posts,messages").
+ */
+const VERIFICATION_RESTRICTED_AREAS = {
+  posts: '/api/v1/posts',
+  messages: '/api/v1/messages',
+  likes: '/api/v1/likes',
+  follow: '/api/v1/follow'
+};
+
+const isRestrictedForUnverified = (req) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return false;
+  }
+
+  return (process.env.UNVERIFIED_EMAIL_RESTRICTIONS || '')
+    .split(',')
+    .map(area => VERIFICATION_RESTRICTED_AREAS[area.trim()])
+    .some(prefix => prefix && req.originalUrl.startsWith(prefix));
+};
 
 /**
  * ✅ CORRECTION FINALE: Middleware d'authentification requis
@@ -39,7 +63,8 @@ const authenticateToken = async (req, res, next) => {
         photo_profil: true,
         certified: true,
         private: true,
-        is_active: true
+        is_active: true,
+        mail_verified_at: true
       }
     });
 
@@ -52,7 +77,29 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Ban vérifié à chaque requête (avant la session : un ban révoque aussi les sessions)
+    const activeBan = await BanService.getActiveBan(user.id_user);
+    if (activeBan) {
+      return res.status(403).json(BanService.toPayload(activeBan));
+    }
+
+    // Session révoquée (déconnexion, appareil retiré) : le token d'accès n'est plus accepté
+    if (decoded.sid && !(await TokenService.touchSession(decoded.sid))) {
+      return res.status(401).json({ 
+        error: 'Access denied',
+        message: 'Session has been revoked' 
+      });
+    }
+
+    if (!user.mail_verified_at && isRestrictedForUnverified(req)) {
+      return res.status(403).json({ 
+        error: 'Email not verified',
+        message: 'Please verify your email address to perform this action' 
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
 
   } catch (error) {
@@ -114,6 +161,17 @@ const optionalAuth = async (req, res, next) => {
       }
     });
 
+    if (user && decoded.sid && !(await TokenService.touchSession(decoded.sid))) {
+      req.user = null;
+      return next();
+    }
+
+    // Un compte banni navigue comme un visiteur anonyme
+    if (user && (await BanService.getActiveBan(user.id_user))) {
+      req.user = null;
+      return next();
+    }
+
     req.user = user || null;
     next();
 
@@ -75,6 +75,15 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Erreurs d'upload (multer)
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      error: 'Upload failed',
+      message: err.message,
+      code: err.code
+    });
+  }
+
   // Erreurs de bcrypt
   if (err.message && err.message.includes('bcrypt')) {
     return res.status(500).json({
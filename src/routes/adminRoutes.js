@@ -5,6 +5,7 @@ const { authenticateToken } = require('../middleware/auth');
 const { requireAdminOrModerator, requireAdmin } = require('../middleware/adminAuth');
 const AdminController = require('../controllers/adminController');
 const BanController = require('../controllers/banController');
+const BanService = require('../services/banService');
 
 const router = express.Router();
 
@@ -174,6 +175,7 @@ router.delete('/bans/:banId/unban', requireAdminOrModerator, async (req, res) =>
       where: { id_bannissement: parseInt(banId) },
       data: { fin_ban: currentDate }
     });
+    BanService.invalidate(ban.user_banni);
 
     logger.info(`User ${ban.user_banni_rel?.username} unbanned by ${req.user.username} (Ban ID: ${banId})`);
 
@@ -205,4 +207,11 @@ router.put('/bans/:banId/duration', requireAdminOrModerator, BanController.updat
 // Gestion des rôles - uniquement admin
 router.put('/users/:userId/role', requireAdmin, AdminController.changeUserRole);
 
+// Imposer la double authentification à un compte
+router.put('/users/:userId/mfa-requirement', requireAdmin, AdminController.setMfaRequirement);
+
+// Timelines d'accueil matérialisées
+router.post('/users/:userId/timeline/rebuild', requireAdmin, AdminController.rebuildUserTimeline);
+router.post('/timelines/reset', requireAdmin, AdminController.resetTimelines);
+
 module.exports = router;
\ No newline at end of file
@@ -29,14 +29,44 @@ const registerLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting pour la réinitialisation du mot de passe (par email, puis par IP)
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 3, // Limite à 3 demandes par email par heure
+  keyGenerator: (req) => (typeof req.body?.mail === 'string' ? req.body.mail.trim().toLowerCase() : req.ip),
+  message: { 
+    error: 'Too many password reset requests',
+    message: 'Please wait before requesting another reset link'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Routes publiques
 router.post('/register', registerLimiter, AuthController.register);
 router.post('/login', authLimiter, AuthController.login);
+router.post('/login/mfa', authLimiter, AuthController.loginMfa);
 router.post('/refresh', AuthController.refresh);
+router.post('/forgot-password', authLimiter, passwordResetLimiter, AuthController.forgotPassword);
+router.post('/reset-password', authLimiter, AuthController.resetPassword);
+router.post('/verify-email', AuthController.verifyEmail);
 
 // Routes protégées
 router.get('/me', authenticateToken, AuthController.me);
 router.post('/change-password', authenticateToken, AuthController.changePassword);
 router.post('/logout', authenticateToken, AuthController.logout);
+router.post('/resend-verification', authenticateToken, AuthController.resendVerification);
+
+// Double authentification (TOTP)
+router.post('/mfa/setup', authenticateToken, AuthController.setupMfa);
+router.post('/mfa/confirm', authenticateToken, AuthController.confirmMfa);
+router.post('/mfa/disable', authenticateToken, AuthController.disableMfa);
+router.post('/mfa/recovery-codes', authenticateToken, AuthController.regenerateRecoveryCodes);
+
+// Gestion des sessions / appareils connectés
+router.get('/login-attempts', authenticateToken, AuthController.getLoginAttempts);
+router.get('/sessions', authenticateToken, AuthController.getSessions);
+router.delete('/sessions/others', authenticateToken, AuthController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticateToken, AuthController.revokeSession);
 
 module.exports = router;
\ No newline at end of file
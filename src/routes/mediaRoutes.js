@@ -0,0 +1,177 @@
+// src/routes/mediaRoutes.js - Upload et gestion des médias des posts
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireAdminOrModerator, requireAdmin } = require('../middleware/adminAuth');
+const MediaController = require('../controllers/mediaController');
+const bindController = require('../utils/bindController');
+const UploadSessionService = require('../services/uploadSessionService');
+
+const router = express.Router();
+
+const action = bindController(MediaController);
+
+// Fichiers reçus dans un dossier temporaire du même volume, puis déplacés par uploadMedia
+const { allowedFormats, maxFileSize, uploadPath } = MediaController.config;
+
+const upload = multer({
+  dest: path.join(uploadPath, 'tmp'),
+  limits: {
+    fileSize: Math.max(maxFileSize.image, maxFileSize.video),
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (![...allowedFormats.image, ...allowedFormats.video].includes(ext)) {
+      const error = new Error(`Unsupported file format: ${ext || 'none'}`);
+      error.status = 400;
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+});
+
+// ===============================
+// UPLOAD & STATISTIQUES
+// ===============================
+
+// POST /api/v1/media/upload - Uploader un fichier (champ multipart "file")
+router.post('/upload', authenticateToken, upload.single('file'), action('uploadMedia'));
+
+// GET /api/v1/media/stats - Statistiques médias de l'utilisateur connecté
+router.get('/stats', authenticateToken, action('getMediaStats'));
+
+// GET /api/v1/media/stats/global - Statistiques globales (admin)
+router.get('/stats/global', authenticateToken, requireAdmin, action('getGlobalMediaStats'));
+
+// DELETE /api/v1/media/orphaned - Nettoyer les médias orphelins (admin)
+router.delete('/orphaned', authenticateToken, requireAdmin, action('cleanOrphanedMedia'));
+
+// ===============================
+// QUOTAS DE STOCKAGE
+// ===============================
+
+// GET /api/v1/media/quota - Espace utilisé et quota de l'utilisateur connecté
+router.get('/quota', authenticateToken, action('getStorageQuota'));
+
+// GET /api/v1/media/quotas/:userId - Quota d'un utilisateur (admin)
+router.get('/quotas/:userId', authenticateToken, requireAdmin, action('getUserStorageQuota'));
+
+// PUT /api/v1/media/quotas/:userId - Fixer un quota personnalisé (admin)
+router.put('/quotas/:userId', authenticateToken, requireAdmin, action('setUserStorageQuota'));
+
+// DELETE /api/v1/media/quotas/:userId - Revenir au quota du rôle (admin)
+router.delete('/quotas/:userId', authenticateToken, requireAdmin, action('removeUserStorageQuota'));
+
+// POST /api/v1/media/quotas/:userId/recalculate - Recalculer l'espace utilisé (admin)
+router.post('/quotas/:userId/recalculate', authenticateToken, requireAdmin, action('recalculateStorageUsage'));
+
+// ===============================
+// RAPPROCHEMENT STOCKAGE / BASE (admin)
+// ===============================
+
+// POST /api/v1/media/reconciliations - Rapport des fichiers orphelins et médias sans fichier (dry-run)
+router.post('/reconciliations', authenticateToken, requireAdmin, action('runStorageReconciliation'));
+
+// GET /api/v1/media/reconciliations - Derniers rapports
+router.get('/reconciliations', authenticateToken, requireAdmin, action('listStorageReconciliations'));
+
+// GET /api/v1/media/reconciliations/:reconciliationId - Détail d'un rapport
+router.get('/reconciliations/:reconciliationId', authenticateToken, requireAdmin, action('getStorageReconciliation'));
+
+// POST /api/v1/media/reconciliations/:reconciliationId/apply - Supprimer les fichiers du rapport
+router.post('/reconciliations/:reconciliationId/apply', authenticateToken, requireAdmin, action('applyStorageReconciliation'));
+
+// ===============================
+// LISTE DE BLOCAGE DES IMAGES (admin)
+// ===============================
+
+// GET /api/v1/media/blocklist - Empreintes bloquées
+router.get('/blocklist', authenticateToken, requireAdmin, action('getBlocklist'));
+
+// POST /api/v1/media/blocklist - Bloquer une image (media_id) ou une empreinte (phash)
+router.post('/blocklist', authenticateToken, requireAdmin, action('addBlocklistEntry'));
+
+// GET /api/v1/media/blocklist/matches - Uploads refusés ou signalés
+router.get('/blocklist/matches', authenticateToken, requireAdmin, action('getBlocklistMatches'));
+
+// PUT /api/v1/media/blocklist/:hashId - Modifier une entrée (action, raison, activation)
+router.put('/blocklist/:hashId', authenticateToken, requireAdmin, action('updateBlocklistEntry'));
+
+// DELETE /api/v1/media/blocklist/:hashId - Supprimer une entrée
+router.delete('/blocklist/:hashId', authenticateToken, requireAdmin, action('removeBlocklistEntry'));
+
+// ===============================
+// UPLOADS FRACTIONNÉS (reprenables)
+// ===============================
+
+// Morceaux envoyés en binaire brut (application/octet-stream)
+const rawChunk = express.raw({ type: () => true, limit: UploadSessionService.MAX_CHUNK_SIZE });
+
+// POST /api/v1/media/uploads - Ouvrir une session (file_name, file_size, chunk_size)
+router.post('/uploads', authenticateToken, action('createUploadSession'));
+
+// DELETE /api/v1/media/uploads/expired - Expirer les sessions abandonnées (admin)
+router.delete('/uploads/expired', authenticateToken, requireAdmin, action('cleanExpiredUploadSessions'));
+
+// GET /api/v1/media/uploads/:uploadId - Morceaux déjà reçus
+router.get('/uploads/:uploadId', authenticateToken, action('getUploadSession'));
+
+// PUT /api/v1/media/uploads/:uploadId/chunks/:index - Envoyer un morceau
+router.put('/uploads/:uploadId/chunks/:index', authenticateToken, rawChunk, action('uploadChunk'));
+
+// POST /api/v1/media/uploads/:uploadId/complete - Assembler et valider (checksum SHA-256)
+router.post('/uploads/:uploadId/complete', authenticateToken, action('completeUploadSession'));
+
+// DELETE /api/v1/media/uploads/:uploadId - Abandonner la session
+router.delete('/uploads/:uploadId', authenticateToken, action('abortUploadSession'));
+
+// ===============================
+// FICHIERS
+// ===============================
+
+// GET /api/v1/media/files/<clé> - Servir un fichier (médias publics, accès vérifié ou URL signée)
+router.get('/files/*', optionalAuth, action('serveFile'));
+
+// ===============================
+// MÉDIAS D'UN POST
+// ===============================
+
+// GET /api/v1/media/posts/:id - Médias d'un post
+router.get('/posts/:id', optionalAuth, action('getPostMedia'));
+
+// POST /api/v1/media/posts/:id/images - Attacher une image uploadée à un post
+router.post('/posts/:id/images', authenticateToken, action('addImageToPost'));
+
+// POST /api/v1/media/posts/:id/videos - Attacher une vidéo uploadée à un post
+router.post('/posts/:id/videos', authenticateToken, action('addVideoToPost'));
+
+// DELETE /api/v1/media/images/:mediaId - Retirer une image
+router.delete('/images/:mediaId', authenticateToken, action('removeImageFromPost'));
+
+// DELETE /api/v1/media/videos/:mediaId - Retirer une vidéo
+router.delete('/videos/:mediaId', authenticateToken, action('removeVideoFromPost'));
+
+// ===============================
+// ROUTES PAR MÉDIA
+// ===============================
+
+// POST /api/v1/media/:mediaId/report - Signaler un média
+router.post('/:mediaId/report', authenticateToken, action('reportMedia'));
+
+// PUT /api/v1/media/:mediaId/moderate - Modérer un média
+router.put('/:mediaId/moderate', authenticateToken, requireAdminOrModerator, action('moderateMedia'));
+
+// POST /api/v1/media/:mediaId/resize - Redimensionner une image
+router.post('/:mediaId/resize', authenticateToken, action('resizeImage'));
+
+// PUT /api/v1/media/:mediaId/description - Texte alternatif et légende
+router.put('/:mediaId/description', authenticateToken, action('updateMediaDescription'));
+
+// GET /api/v1/media/:mediaId - Informations sur un média
+router.get('/:mediaId', optionalAuth, action('getMediaInfo'));
+
+module.exports = router;
@@ -0,0 +1,85 @@
+// src/routes/mentionRoutes.js - Mentions (@username)
+const express = require('express');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireAdminOrModerator, requireAdmin } = require('../middleware/adminAuth');
+const MentionController = require('../controllers/mentionController');
+const bindController = require('../utils/bindController');
+
+const router = express.Router();
+
+const action = bindController(MentionController);
+
+// ===============================
+// ROUTES PUBLIQUES
+// ===============================
+
+// GET /api/v1/mentions/search - Recherche avancée de mentions
+router.get('/search', optionalAuth, action('searchMentions'));
+
+// GET /api/v1/mentions/influencers - Utilisateurs les plus mentionnés
+router.get('/influencers', optionalAuth, action('getInfluencers'));
+
+// GET /api/v1/mentions/posts/:id - Mentions d'un post
+router.get('/posts/:id', optionalAuth, action('getPostMentions'));
+
+// GET /api/v1/mentions/users/:id/stats - Statistiques de mentions d'un utilisateur
+router.get('/users/:id/stats', optionalAuth, action('getMentionStats'));
+
+// ===============================
+// ROUTES UTILISATEUR CONNECTÉ
+// ===============================
+
+// GET /api/v1/mentions - Mentions reçues
+router.get('/', authenticateToken, action('getUserMentions'));
+
+// POST /api/v1/mentions - Créer une mention manuelle
+router.post('/', authenticateToken, action('createMention'));
+
+// GET /api/v1/mentions/notifications - Mentions non lues
+router.get('/notifications', authenticateToken, action('getMentionNotifications'));
+
+// PUT /api/v1/mentions/notifications/read-all - Tout marquer comme lu
+router.put('/notifications/read-all', authenticateToken, action('markAllMentionsAsRead'));
+
+// GET /api/v1/mentions/network - Réseau basé sur les mentions
+router.get('/network', authenticateToken, action('getMentionNetwork'));
+
+// POST /api/v1/mentions/validate - Valider une mention avant création
+router.post('/validate', authenticateToken, action('validateMention'));
+
+// POST /api/v1/mentions/extract - Extraire et vérifier les mentions d'un texte
+router.post('/extract', authenticateToken, action('extractMentionsFromText'));
+
+// GET /api/v1/mentions/users/:id/mutual - Mentions croisées avec un utilisateur
+router.get('/users/:id/mutual', authenticateToken, action('getMutualMentions'));
+
+// ===============================
+// ROUTES MODÉRATION
+// ===============================
+
+// GET /api/v1/mentions/activity - Activité globale des mentions
+router.get('/activity', authenticateToken, requireAdminOrModerator, action('getMentionActivity'));
+
+// GET /api/v1/mentions/spam - Détection des mentions abusives (admin)
+router.get('/spam', authenticateToken, requireAdmin, action('detectSpamMentions'));
+
+// DELETE /api/v1/mentions/orphaned - Nettoyer les mentions orphelines (admin)
+router.delete('/orphaned', authenticateToken, requireAdmin, action('cleanOrphanedMentions'));
+
+// ===============================
+// ROUTES PAR MENTION (format userId_postId)
+// ===============================
+
+// PUT /api/v1/mentions/:mentionId/read - Marquer une mention comme lue
+router.put('/:mentionId/read', authenticateToken, action('markMentionAsRead'));
+
+// POST /api/v1/mentions/:mentionId/report - Signaler une mention
+router.post('/:mentionId/report', authenticateToken, action('reportMention'));
+
+// PUT /api/v1/mentions/:mentionId/moderate - Modérer une mention
+router.put('/:mentionId/moderate', authenticateToken, requireAdminOrModerator, action('moderateMention'));
+
+// DELETE /api/v1/mentions/:mentionId - Supprimer une mention
+router.delete('/:mentionId', authenticateToken, action('deleteMention'));
+
+module.exports = router;
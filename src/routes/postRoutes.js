@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const PostController = require('../controllers/postController');
+const PostDeletionService = require('../services/postDeletionService');
 
 const router = express.Router();
 
@@ -10,8 +11,10 @@ router.get('/trending', optionalAuth, PostController.getTrendingPosts);
 router.get('/search', optionalAuth, PostController.searchPosts);
 router.get('/user/:userId', optionalAuth, PostController.getUserPosts);
 router.get('/:id', optionalAuth, PostController.getPost);
+router.get('/:id/history', optionalAuth, PostController.getPostHistory);
 router.post('/', authenticateToken, PostController.createPost);
 router.get('/timeline/personal', authenticateToken, PostController.getTimeline);
+router.get('/timeline/for-you', authenticateToken, PostController.getForYouFeed);
 router.put('/:id', authenticateToken, PostController.updatePost);
 router.delete('/:id', authenticateToken, PostController.deletePost);
 
@@ -29,6 +32,13 @@ const buildConversationTree = (comments, parentId = null, depth = 0) => {
     .sort((a, b) => new Date(a.created_at) - new Date(b.created_at)); // Ordre chronologique
 };
 
+// Retirer les posts supprimés qui n'ont plus de réponse visible (tombstones inutiles)
+const pruneTombstones = (nodes) => {
+  return nodes
+    .map(node => ({ ...node, replies: pruneTombstones(node.replies) }))
+    .filter(node => !node.deleted || node.replies.length > 0);
+};
+
 // GET /api/v1/posts/:id/conversation - Récupérer toute la conversation hiérarchique
 router.get('/:id/conversation', optionalAuth, async (req, res) => {
   try {
@@ -39,9 +49,9 @@ router.get('/:id/conversation', optionalAuth, async (req, res) => {
     console.log('🔄 Fetching conversation tree for post:', postId);
 
     // Récupérer TOUS les commentaires/réponses de manière récursive
+    // (posts supprimés inclus : ils deviennent des tombstones si des réponses en dépendent)
     const allComments = await prisma.post.findMany({
       where: {
-        active: true,
         OR: [
           { post_parent: parseInt(postId) }, // Commentaires directs
           // Récupération récursive via une sous-requête
@@ -84,7 +94,7 @@ router.get('/:id/conversation', optionalAuth, async (req, res) => {
     console.log('✅ Found comments:', allComments.length);
 
     // Formater les commentaires
-    const formattedComments = allComments.map(comment => ({
+    const formattedComments = allComments.map(comment => comment.active ? ({
       ...comment,
       author: comment.user,
       likeCount: comment._count.likes,
@@ -95,14 +105,14 @@ router.get('/:id/conversation', optionalAuth, async (req, res) => {
       user: undefined,
       likes: undefined,
       _count: undefined
-    }));
+    }) : PostDeletionService.toTombstone(comment));
 
     // Construire l'arbre hiérarchique
-    const conversationTree = buildConversationTree(formattedComments, parseInt(postId));
+    const conversationTree = pruneTombstones(buildConversationTree(formattedComments, parseInt(postId)));
 
     res.json({
       conversation: conversationTree,
-      total: formattedComments.length,
+      total: formattedComments.filter(comment => !comment.deleted).length,
       maxDepth
     });
 
@@ -116,10 +126,10 @@ router.get('/:id/conversation', optionalAuth, async (req, res) => {
 async function getRecursivePostIds(prisma, parentId, maxDepth, currentDepth = 0) {
   if (currentDepth >= maxDepth) return [];
   
+  // Les posts supprimés sont parcourus pour ne pas orpheliner leurs réponses
   const directChildren = await prisma.post.findMany({
     where: {
-      post_parent: parentId,
-      active: true
+      post_parent: parentId
     },
     select: { id_post: true }
   });
@@ -0,0 +1,66 @@
+// src/routes/reportRoutes.js - Signalements de posts
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAdminOrModerator, requireAdmin } = require('../middleware/adminAuth');
+const ReportController = require('../controllers/reportController');
+const bindController = require('../utils/bindController');
+
+const router = express.Router();
+
+// Toutes les routes nécessitent une authentification
+router.use(authenticateToken);
+
+const action = bindController(ReportController);
+
+// ===============================
+// ROUTES UTILISATEUR
+// ===============================
+
+// GET /api/v1/reports/categories - Catégories de signalement disponibles
+router.get('/categories', action('getReportCategories'));
+
+// POST /api/v1/reports/posts/:id - Signaler un post
+router.post('/posts/:id', action('reportPost'));
+
+// ===============================
+// ROUTES MODÉRATION
+// ===============================
+
+// GET /api/v1/reports - Posts signalés
+router.get('/', requireAdminOrModerator, action('getReportedPosts'));
+
+// GET /api/v1/reports/users - Utilisateurs les plus signalés
+router.get('/users', requireAdminOrModerator, action('getAllUsersReports'));
+
+// GET /api/v1/reports/users/:id - Signalements visant un utilisateur
+router.get('/users/:id', requireAdminOrModerator, action('getUserReports'));
+
+// GET /api/v1/reports/users/:id/count - Nombre de signalements d'un utilisateur
+router.get('/users/:id/count', requireAdminOrModerator, action('getUserReportsCount'));
+
+// POST /api/v1/reports/posts/:id/process - Traiter les signalements d'un post
+router.post('/posts/:id/process', requireAdminOrModerator, action('processReport'));
+
+// POST /api/v1/reports/posts/:id/dismiss - Rejeter les signalements d'un post
+router.post('/posts/:id/dismiss', requireAdminOrModerator, action('dismissReport'));
+
+// ===============================
+// ROUTES ADMIN
+// ===============================
+
+// GET /api/v1/reports/stats - Statistiques globales
+router.get('/stats', requireAdmin, action('getReportStats'));
+
+// GET /api/v1/reports/spam - Détection des signalements abusifs
+router.get('/spam', requireAdmin, action('detectSpamReports'));
+
+// GET /api/v1/reports/auto-moderation - Règles de modération automatique
+router.get('/auto-moderation', requireAdmin, action('getAutoModerationRules'));
+
+// PUT /api/v1/reports/thresholds - Seuils de modération automatique
+router.put('/thresholds', requireAdmin, action('updateReportThresholds'));
+
+// GET /api/v1/reports/:reportId - Détails d'un signalement (format userId_postId)
+router.get('/:reportId', requireAdminOrModerator, action('getReportDetails'));
+
+module.exports = router;
@@ -0,0 +1,74 @@
+// src/routes/tagRoutes.js - Hashtags
+const express = require('express');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireAdminOrModerator, requireAdmin } = require('../middleware/adminAuth');
+const TagController = require('../controllers/tagController');
+const bindController = require('../utils/bindController');
+
+const router = express.Router();
+
+const action = bindController(TagController);
+
+// ===============================
+// ROUTES PUBLIQUES
+// ===============================
+
+// GET /api/v1/tags/popular - Tags les plus utilisés
+router.get('/popular', optionalAuth, action('getPopularTags'));
+
+// GET /api/v1/tags/trending - Tags en tendance sur une période
+router.get('/trending', optionalAuth, action('getTrendingTags'));
+
+// GET /api/v1/tags/user/:userId - Tags utilisés par un utilisateur
+router.get('/user/:userId', optionalAuth, action('getUserTags'));
+
+// ===============================
+// ROUTES UTILISATEUR CONNECTÉ
+// ===============================
+
+// GET /api/v1/tags/suggested - Suggestions basées sur l'activité
+router.get('/suggested', authenticateToken, action('getSuggestedTags'));
+
+// GET /api/v1/tags/followed - Tags suivis
+router.get('/followed', authenticateToken, action('getFollowedTags'));
+
+// POST /api/v1/tags - Créer un tag
+router.post('/', authenticateToken, action('createTag'));
+
+// POST/DELETE /api/v1/tags/:tag/follow - Suivre / ne plus suivre un tag (fil « Pour vous »)
+router.post('/:tag/follow', authenticateToken, action('followTag'));
+router.delete('/:tag/follow', authenticateToken, action('unfollowTag'));
+
+// ===============================
+// ROUTES MODÉRATION
+// ===============================
+
+// POST /api/v1/tags/merge - Fusionner deux tags
+router.post('/merge', authenticateToken, requireAdminOrModerator, action('mergeTag'));
+
+// DELETE /api/v1/tags/unused - Nettoyer les tags inutilisés (admin)
+router.delete('/unused', authenticateToken, requireAdmin, action('cleanUnusedTags'));
+
+// PUT /api/v1/tags/:tagId/rename - Renommer un tag
+router.put('/:tagId/rename', authenticateToken, requireAdminOrModerator, action('renameTag'));
+
+// DELETE /api/v1/tags/:tagId - Supprimer un tag (admin)
+router.delete('/:tagId', authenticateToken, requireAdmin, action('deleteTag'));
+
+// GET /api/v1/tags/:tag/analytics - Statistiques détaillées d'un tag
+router.get('/:tag/analytics', authenticateToken, requireAdminOrModerator, action('getTagAnalytics'));
+
+// ===============================
+// ROUTES PAR TAG (à déclarer en dernier)
+// ===============================
+
+// GET /api/v1/tags/:tag/posts - Posts contenant un tag
+router.get('/:tag/posts', optionalAuth, action('searchByTag'));
+
+// GET /api/v1/tags/:tag/related - Tags souvent utilisés avec ce tag
+router.get('/:tag/related', optionalAuth, action('getRelatedTags'));
+
+// GET /api/v1/tags/:tag - Détails d'un tag
+router.get('/:tag', optionalAuth, action('getTagDetails'));
+
+module.exports = router;
@@ -7,6 +7,9 @@ const router = express.Router();
 // Routes protégées (nécessitent une authentification)
 router.get('/me', authenticateToken, UserController.getProfile);
 router.put('/me', authenticateToken, UserController.updateProfile);
+router.get('/me/preferences', authenticateToken, UserController.getPreferences);
+router.put('/me/preferences', authenticateToken, UserController.updatePreferences);
+router.get('/me/mutes', authenticateToken, UserController.getMutedUsers);
 router.get('/suggested', authenticateToken, UserController.getSuggestedUsers);
 
 // ✅ NOUVELLES ROUTES pour l'onboarding
@@ -18,4 +21,8 @@ router.get('/search', optionalAuth, UserController.searchUsers);
 router.get('/:id', optionalAuth, UserController.getUserById);
 router.get('/:id/stats', optionalAuth, UserController.getUserStats);
 
+// Comptes masqués (fil « Pour vous »)
+router.post('/:id/mute', authenticateToken, UserController.muteUser);
+router.delete('/:id/mute', authenticateToken, UserController.unmuteUser);
+
 module.exports = router;
\ No newline at end of file
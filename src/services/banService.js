@@ -0,0 +1,93 @@
+// src/services/banService.js - Application des bannissements à chaque requête authentifiée
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+const TokenService = require('./tokenService');
+
+// Cache mémoire par utilisateur : { ban, cachedUntil } (ban = null si aucun ban actif)
+const banCache = new Map();
+const MAX_CACHE_ENTRIES = 10000;
+
+class BanService {
+  /**
+   * Durée de validité du cache (ms), BAN_CACHE_TTL_SECONDS=0 pour le désactiver
+   */
+  static getCacheTtl() {
+    const seconds = parseInt(process.env.BAN_CACHE_TTL_SECONDS);
+    return (isNaN(seconds) ? 30 : Math.max(seconds, 0)) * 1000;
+  }
+
+  /**
+   * Ban actif d'un utilisateur (ou null), avec mise en cache
+   */
+  static async getActiveBan(userId) {
+    const now = new Date();
+    const cached = banCache.get(userId);
+
+    if (cached && cached.cachedUntil > now.getTime()) {
+      // Un ban mis en cache peut avoir expiré depuis
+      return cached.ban && cached.ban.fin_ban > now ? cached.ban : null;
+    }
+
+    const ban = await prisma.userBannissement.findFirst({
+      where: {
+        user_banni: userId,
+        debut_ban: { lte: now },
+        fin_ban: { gte: now }
+      },
+      orderBy: { fin_ban: 'desc' },
+      select: {
+        id_bannissement: true,
+        raison: true,
+        debut_ban: true,
+        fin_ban: true
+      }
+    });
+
+    const ttl = this.getCacheTtl();
+    if (ttl > 0) {
+      // Map conserve l'ordre d'insertion : on évince l'entrée la plus ancienne
+      banCache.delete(userId);
+      if (banCache.size >= MAX_CACHE_ENTRIES) {
+        banCache.delete(banCache.keys().next().value);
+      }
+      banCache.set(userId, { ban, cachedUntil: now.getTime() + ttl });
+    }
+
+    return ban;
+  }
+
+  /**
+   * Oublier l'état mis en cache (ban levé, prolongé ou modifié)
+   */
+  static invalidate(userId) {
+    // Les identifiants issus des paramètres de route arrivent en chaîne
+    banCache.delete(parseInt(userId));
+  }
+
+  /**
+   * À appeler après la création d'un ban : cache invalidé et sessions révoquées
+   */
+  static async onBanIssued(userId) {
+    this.invalidate(userId);
+    const revoked = await TokenService.revokeAllUserTokens(parseInt(userId));
+    logger.warn(`Ban issued for user ${userId}: ${revoked} refresh token(s) revoked`);
+    return revoked;
+  }
+
+  /**
+   * Réponse 403 standard pour un compte banni
+   */
+  static toPayload(ban) {
+    return {
+      error: 'Account banned',
+      message: 'Your account is temporarily banned',
+      ban_info: {
+        reason: ban.raison,
+        start_date: ban.debut_ban,
+        end_date: ban.fin_ban
+      }
+    };
+  }
+}
+
+module.exports = BanService;
@@ -0,0 +1,126 @@
+// src/services/emailVerificationService.js - Vérification des adresses email
+const crypto = require('crypto');
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+const TokenService = require('./tokenService');
+const MailService = require('./mailService');
+
+class EmailVerificationService {
+  /**
+   * Crée un token de vérification pour une adresse et envoie le mail.
+   * Les tokens encore valides de l'utilisateur sont invalidés.
+   */
+  static async issue(user, mail) {
+    const now = new Date();
+    const token = crypto.randomBytes(32).toString('hex');
+    const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+    const expiresAt = new Date(now.getTime() + ttlHours * 60 * 60 * 1000);
+
+    await prisma.$transaction([
+      prisma.emailVerificationToken.updateMany({
+        where: { id_user: user.id_user, used_at: null },
+        data: { used_at: now }
+      }),
+      prisma.emailVerificationToken.create({
+        data: {
+          id_user: user.id_user,
+          mail,
+          token_hash: TokenService.hashToken(token),
+          created_at: now,
+          expires_at: expiresAt
+        }
+      })
+    ]);
+
+    await MailService.sendVerificationMail(user, mail, token, expiresAt);
+    logger.info(`Email verification sent to ${mail} for user: ${user.username}`);
+  }
+
+  /**
+   * Nombre de mails de vérification envoyés dans la dernière heure
+   */
+  static async countRecent(userId) {
+    return prisma.emailVerificationToken.count({
+      where: {
+        id_user: userId,
+        created_at: { gte: new Date(Date.now() - 60 * 60 * 1000) }
+      }
+    });
+  }
+
+  /**
+   * Consomme un token : marque l'adresse comme vérifiée (et l'applique s'il
+   * s'agissait d'un changement d'email). Renvoie { status, user }.
+   */
+  static async consume(token) {
+    const now = new Date();
+
+    const verification = await prisma.emailVerificationToken.findUnique({
+      where: { token_hash: TokenService.hashToken(token) },
+      include: {
+        user: { select: { id_user: true, username: true, mail: true, is_active: true } }
+      }
+    });
+
+    if (!verification || verification.used_at || verification.expires_at <= now || !verification.user.is_active) {
+      return { status: 'invalid' };
+    }
+
+    const isMailChange = verification.mail !== verification.user.mail;
+
+    // mail est unique sur toute la table : un compte désactivé garde son adresse
+    if (isMailChange) {
+      const conflict = await prisma.user.findFirst({
+        where: {
+          mail: verification.mail,
+          id_user: { not: verification.id_user }
+        },
+        select: { id_user: true }
+      });
+
+      if (conflict) {
+        return { status: 'conflict' };
+      }
+    }
+
+    let user;
+    try {
+      user = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.emailVerificationToken.updateMany({
+          where: { id_verification_token: verification.id_verification_token, used_at: null },
+          data: { used_at: now }
+        });
+
+        if (count === 0) {
+          return null;
+        }
+
+        return tx.user.update({
+          where: { id_user: verification.id_user },
+          data: {
+            mail: verification.mail,
+            mail_verified_at: now,
+            ...(isMailChange && { pending_mail: null }),
+            updated_at: now
+          },
+          select: { id_user: true, username: true, mail: true, mail_verified_at: true }
+        });
+      });
+    } catch (error) {
+      // Adresse prise entre la vérification ci-dessus et la mise à jour (le token reste inutilisé)
+      if (error.code === 'P2002') {
+        return { status: 'conflict' };
+      }
+      throw error;
+    }
+
+    if (!user) {
+      return { status: 'invalid' };
+    }
+
+    logger.info(`Email verified for user: ${user.username} (${user.mail})`);
+    return { status: 'verified', user, mailChanged: isMailChange };
+  }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,299 @@
+// src/services/forYouFeedService.js - Fil « Pour vous » : sélection des candidats et collecte des signaux de classement
+const prisma = require('../utils/database');
+const HomeTimelineService = require('./homeTimelineService');
+const { createCursorError } = require('../utils/cursor');
+const { rankCandidates, compareRanked } = require('../utils/feedScoring');
+
+// Candidats retenus par source (comptes suivis, tags suivis, likes des comptes suivis)
+const CANDIDATES_PER_SOURCE = {
+  followed: 300,
+  tags: 200,
+  network: 200
+};
+
+// Période des interactions lecteur / auteur prises en compte pour l'affinité
+const AFFINITY_WINDOW_DAYS = 30;
+
+class ForYouFeedService {
+  /**
+   * Ancienneté maximale des posts proposés (FOR_YOU_WINDOW_HOURS, 72 par défaut)
+   */
+  static getWindowHours() {
+    const hours = parseInt(process.env.FOR_YOU_WINDOW_HOURS);
+    return isNaN(hours) || hours < 1 ? 72 : hours;
+  }
+
+  /**
+   * Curseur : instant de calcul du classement (figé pour toute la lecture) et position du dernier post servi
+   */
+  static encodeCursor(now, item) {
+    const payload = {
+      n: now.toISOString(),
+      s: item.score,
+      t: new Date(item.createdAt).toISOString(),
+      id: item.id
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * @throws CursorError (status 400)
+   */
+  static decodeCursor(cursor) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw createCursorError();
+    }
+
+    const now = new Date(payload && payload.n);
+    const createdAt = new Date(payload && payload.t);
+    const validPosition = Boolean(payload) && typeof payload.s === 'number' && Number.isInteger(payload.id);
+    if (isNaN(now.getTime()) || isNaN(createdAt.getTime()) || !validPosition) {
+      throw createCursorError();
+    }
+
+    return { now, position: { score: payload.s, createdAt, id: payload.id } };
+  }
+
+  /**
+   * Contexte du lecteur : comptes suivis, tags suivis, comptes masqués, signalements effectués
+   */
+  static async getViewerContext(viewerId) {
+    const [followedIds, followedTags, mutes, reports] = await Promise.all([
+      HomeTimelineService.getFollowedIds(viewerId),
+      prisma.tagFollow.findMany({
+        where: { id_user: viewerId },
+        select: { tag: { select: { id_tag: true, tag: true } } }
+      }),
+      prisma.userMute.findMany({
+        where: { id_user: viewerId },
+        select: { muted_user: true }
+      }),
+      prisma.report.findMany({
+        where: { id_user: viewerId },
+        select: { id_post: true, post: { select: { id_user: true } } }
+      })
+    ]);
+
+    return {
+      followedIds: followedIds.filter(id => id !== viewerId),
+      tags: new Map(followedTags.map(follow => [follow.tag.id_tag, follow.tag.tag])),
+      mutedIds: mutes.map(mute => mute.muted_user),
+      reportedPostIds: reports.map(report => report.id_post),
+      reportedAuthorIds: new Set(reports.map(report => report.post.id_user))
+    };
+  }
+
+  /**
+   * Identifiants des posts candidats, toutes sources confondues
+   */
+  static async findCandidateIds(viewerId, context, { since, now }) {
+    const { followedIds, tags, mutedIds, reportedPostIds } = context;
+
+    // Posts racines récents, visibles par le lecteur, hors comptes masqués et posts signalés
+    const baseWhere = {
+      active: true,
+      post_parent: null,
+      created_at: { gte: since, lte: now },
+      id_user: { notIn: [viewerId, ...mutedIds] },
+      ...(reportedPostIds.length > 0 && { id_post: { notIn: reportedPostIds } }),
+      user: { is_active: true },
+      OR: [
+        { user: { private: false } },
+        { id_user: { in: followedIds } }
+      ]
+    };
+
+    const query = (where, take) => prisma.post.findMany({
+      where: { AND: [baseWhere, where] },
+      select: { id_post: true },
+      orderBy: [{ created_at: 'desc' }, { id_post: 'desc' }],
+      take
+    });
+
+    const [followed, tagged, network] = await Promise.all([
+      followedIds.length > 0
+        ? query({ id_user: { in: followedIds } }, CANDIDATES_PER_SOURCE.followed)
+        : [],
+      tags.size > 0
+        ? query({ post_tags: { some: { id_tag: { in: [...tags.keys()] } } } }, CANDIDATES_PER_SOURCE.tags)
+        : [],
+      // Engagement du réseau : posts de comptes non suivis aimés par des comptes suivis
+      followedIds.length > 0
+        ? query({
+          id_user: { notIn: followedIds },
+          likes: { some: { active: true, id_user: { in: followedIds } } }
+        }, CANDIDATES_PER_SOURCE.network)
+        : []
+    ]);
+
+    return [...new Set([...followed, ...tagged, ...network].map(post => post.id_post))];
+  }
+
+  /**
+   * Interactions du lecteur avec chaque auteur (et des auteurs vers le lecteur) sur la période d'affinité
+   * @returns {Promise<Map<number, { likes, replies, mentions, received }>>}
+   */
+  static async getAffinities(viewerId, authorIds, now) {
+    const since = new Date(now.getTime() - AFFINITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const affinities = new Map(authorIds.map(id => [id, { likes: 0, replies: 0, mentions: 0, received: 0 }]));
+    if (authorIds.length === 0) return affinities;
+
+    const recent = { gte: since };
+    const [likesGiven, replies, mentions, likesReceived, mentionsReceived] = await Promise.all([
+      prisma.like.findMany({
+        where: {
+          id_user: viewerId,
+          active: true,
+          created_at: recent,
+          post: { id_user: { in: authorIds } }
+        },
+        select: { post: { select: { id_user: true } } }
+      }),
+      prisma.post.findMany({
+        where: {
+          id_user: viewerId,
+          active: true,
+          created_at: recent,
+          parent_post: { id_user: { in: authorIds } }
+        },
+        select: { parent_post: { select: { id_user: true } } }
+      }),
+      prisma.mention.findMany({
+        where: {
+          id_user: { in: authorIds },
+          post: { id_user: viewerId, active: true, created_at: recent }
+        },
+        select: { id_user: true }
+      }),
+      prisma.like.findMany({
+        where: {
+          id_user: { in: authorIds },
+          active: true,
+          created_at: recent,
+          post: { id_user: viewerId }
+        },
+        select: { id_user: true }
+      }),
+      prisma.mention.findMany({
+        where: {
+          id_user: viewerId,
+          post: { id_user: { in: authorIds }, active: true, created_at: recent }
+        },
+        select: { post: { select: { id_user: true } } }
+      })
+    ]);
+
+    const add = (authorId, signal) => {
+      const affinity = affinities.get(authorId);
+      if (affinity) affinity[signal]++;
+    };
+
+    likesGiven.forEach(like => add(like.post.id_user, 'likes'));
+    replies.forEach(reply => add(reply.parent_post.id_user, 'replies'));
+    mentions.forEach(mention => add(mention.id_user, 'mentions'));
+    likesReceived.forEach(like => add(like.id_user, 'received'));
+    mentionsReceived.forEach(mention => add(mention.post.id_user, 'received'));
+
+    return affinities;
+  }
+
+  /**
+   * Classement complet des candidats à l'instant `now`
+   * @returns {Promise<Array<{ id, createdAt, score, components, reasons }>>}
+   */
+  static async rank(viewerId, now) {
+    const since = new Date(now.getTime() - this.getWindowHours() * 60 * 60 * 1000);
+    const context = await this.getViewerContext(viewerId);
+    const candidateIds = await this.findCandidateIds(viewerId, context, { since, now });
+    if (candidateIds.length === 0) return [];
+
+    const posts = await prisma.post.findMany({
+      where: { id_post: { in: candidateIds } },
+      select: {
+        id_post: true,
+        id_user: true,
+        created_at: true,
+        user: { select: { username: true } },
+        post_tags: { select: { id_tag: true } },
+        likes: {
+          where: { active: true, id_user: { in: context.followedIds } },
+          select: { user: { select: { username: true } } },
+          orderBy: [{ created_at: 'desc' }, { id_user: 'asc' }]
+        },
+        _count: {
+          select: {
+            likes: { where: { active: true } },
+            replies: { where: { active: true } },
+            reports: true
+          }
+        }
+      }
+    });
+
+    const authorIds = [...new Set(posts.map(post => post.id_user))];
+    const affinities = await this.getAffinities(viewerId, authorIds, now);
+    const followedIds = new Set(context.followedIds);
+
+    const candidates = posts.map(post => ({
+      id: post.id_post,
+      createdAt: post.created_at,
+      authorUsername: post.user.username,
+      followsAuthor: followedIds.has(post.id_user),
+      followedTags: post.post_tags
+        .filter(postTag => context.tags.has(postTag.id_tag))
+        .map(postTag => context.tags.get(postTag.id_tag)),
+      likedBy: post.likes.map(like => like.user.username),
+      likeCount: post._count.likes,
+      replyCount: post._count.replies,
+      reportCount: post._count.reports,
+      affinity: affinities.get(post.id_user),
+      authorReportedByViewer: context.reportedAuthorIds.has(post.id_user)
+    }));
+
+    return rankCandidates(candidates, { now });
+  }
+
+  /**
+   * Page du fil classé ; le curseur fige l'instant du classement pour que les pages suivantes restent cohérentes
+   * @param {Object} include - relations chargées pour chaque post
+   */
+  static async getPage(viewerId, { cursor, limit }, include) {
+    const decoded = cursor ? this.decodeCursor(cursor) : null;
+    const now = decoded ? decoded.now : new Date();
+
+    let ranked = await this.rank(viewerId, now);
+    if (decoded) {
+      ranked = ranked.filter(item => compareRanked(item, decoded.position) > 0);
+    }
+
+    const pageItems = ranked.slice(0, limit);
+    const hasMore = ranked.length > limit;
+
+    const posts = pageItems.length > 0
+      ? await prisma.post.findMany({
+        where: { id_post: { in: pageItems.map(item => item.id) } },
+        include
+      })
+      : [];
+    const postsById = new Map(posts.map(post => [post.id_post, post]));
+
+    const last = pageItems[pageItems.length - 1];
+
+    return {
+      items: pageItems
+        .filter(item => postsById.has(item.id))
+        .map(item => ({ post: postsById.get(item.id), ranking: item })),
+      pagination: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore && last ? this.encodeCursor(now, last) : null,
+        ranked_at: now
+      }
+    };
+  }
+}
+
+module.exports = ForYouFeedService;
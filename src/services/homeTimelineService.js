@@ -0,0 +1,351 @@
+// src/services/homeTimelineService.js - Timelines d'accueil matérialisées (fan-out à l'écriture, lecture à la demande pour les gros comptes)
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+const { buildCursorQuery, buildCursorPage, compareDesc } = require('../utils/cursor');
+
+// Insertions par lot lors du fan-out et des reconstructions
+const INSERT_BATCH_SIZE = 1000;
+
+// Posts affichables dans une timeline (les réponses restent dans les conversations)
+const VISIBLE_POST_WHERE = {
+  active: true,
+  post_parent: null,
+  user: { is_active: true }
+};
+
+/**
+ * Fonctionnement :
+ * - chaque post racine est copié dans la timeline de son auteur et de ses abonnés acceptés
+ *   dont la timeline est matérialisée (les autres sont construites à leur première lecture)
+ * - au-delà de HOME_TIMELINE_FANOUT_MAX_FOLLOWERS abonnés, l'auteur passe en lecture à la demande
+ *   (timeline_pull) : ses posts sont fusionnés à la lecture au lieu d'être copiés
+ * - une reconstruction ne matérialise que les HOME_TIMELINE_BACKFILL posts les plus récents,
+ *   les plus anciens (backfilled_until) sont lus à la demande
+ * - à la lecture, seules les entrées d'auteurs encore suivis et de posts encore visibles sont
+ *   retenues : désabonnement, suppression ou désactivation d'un compte sont effectifs même avant le nettoyage
+ */
+class HomeTimelineService {
+  /**
+   * Nombre d'abonnés à partir duquel un auteur n'est plus distribué (HOME_TIMELINE_FANOUT_MAX_FOLLOWERS, 5000 par défaut)
+   */
+  static getFanoutLimit() {
+    const limit = parseInt(process.env.HOME_TIMELINE_FANOUT_MAX_FOLLOWERS);
+    return isNaN(limit) || limit < 0 ? 5000 : limit;
+  }
+
+  /**
+   * Posts matérialisés lors d'une reconstruction (HOME_TIMELINE_BACKFILL, 800 par défaut)
+   */
+  static getBackfillSize() {
+    const size = parseInt(process.env.HOME_TIMELINE_BACKFILL);
+    return isNaN(size) || size < 1 ? 800 : size;
+  }
+
+  /**
+   * Posts d'un compte ajoutés à la timeline lors d'un nouvel abonnement (HOME_TIMELINE_AUTHOR_BACKFILL, 200 par défaut)
+   */
+  static getAuthorBackfillSize() {
+    const size = parseInt(process.env.HOME_TIMELINE_AUTHOR_BACKFILL);
+    return isNaN(size) || size < 1 ? 200 : size;
+  }
+
+  /**
+   * Comptes dont les posts apparaissent dans la timeline : abonnements acceptés et soi-même
+   */
+  static async getFollowedIds(userId) {
+    const follows = await prisma.follow.findMany({
+      where: { follower: userId, active: true, pending: false },
+      select: { account: true }
+    });
+
+    return [userId, ...follows.map(follow => follow.account)];
+  }
+
+  static async insertEntries(client, entries) {
+    let inserted = 0;
+    for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+      const result = await client.timelineEntry.createMany({
+        data: entries.slice(i, i + INSERT_BATCH_SIZE),
+        skipDuplicates: true
+      });
+      inserted += result.count;
+    }
+    return inserted;
+  }
+
+  /**
+   * Distribue un nouveau post dans les timelines matérialisées
+   * @returns {Promise<number>} nombre de timelines alimentées
+   */
+  static async fanOutPost(post) {
+    if (post.post_parent) return 0;
+
+    const author = await prisma.user.findUnique({
+      where: { id_user: post.id_user },
+      select: { timeline_pull: true }
+    });
+    if (!author || author.timeline_pull) return 0;
+
+    const followerCount = await prisma.follow.count({
+      where: { account: post.id_user, active: true, pending: false }
+    });
+
+    if (followerCount >= this.getFanoutLimit()) {
+      // Bascule définitive : les posts déjà distribués restent, la lecture dédoublonne
+      await prisma.user.update({
+        where: { id_user: post.id_user },
+        data: { timeline_pull: true }
+      });
+      logger.info(`User ${post.id_user} switched to pull-based timelines (${followerCount} followers)`);
+      return 0;
+    }
+
+    const [followers, ownTimeline] = await Promise.all([
+      prisma.follow.findMany({
+        where: {
+          account: post.id_user,
+          active: true,
+          pending: false,
+          follower_user: { home_timeline: { isNot: null } }
+        },
+        select: { follower: true }
+      }),
+      prisma.homeTimeline.findUnique({
+        where: { id_user: post.id_user },
+        select: { id_user: true }
+      })
+    ]);
+
+    const recipients = followers.map(follow => follow.follower);
+    if (ownTimeline) recipients.push(post.id_user);
+
+    await this.insertEntries(prisma, recipients.map(userId => ({
+      id_user: userId,
+      id_post: post.id_post,
+      id_author: post.id_user,
+      created_at: post.created_at
+    })));
+
+    return recipients.length;
+  }
+
+  /**
+   * Retire un post de toutes les timelines (suppression)
+   * @param {Object} client - client Prisma ou transaction
+   */
+  static removePost(client, postId) {
+    return client.timelineEntry.deleteMany({ where: { id_post: postId } });
+  }
+
+  /**
+   * Retire les posts d'un compte de la timeline d'un utilisateur (désabonnement)
+   */
+  static async removeAuthor(userId, authorId) {
+    const result = await prisma.timelineEntry.deleteMany({
+      where: { id_user: userId, id_author: authorId }
+    });
+    return result.count;
+  }
+
+  /**
+   * Ajoute les posts récents d'un compte à la timeline d'un utilisateur (abonnement accepté)
+   */
+  static async addAuthor(userId, authorId) {
+    const [timeline, author] = await Promise.all([
+      prisma.homeTimeline.findUnique({ where: { id_user: userId } }),
+      prisma.user.findUnique({ where: { id_user: authorId }, select: { timeline_pull: true } })
+    ]);
+
+    // Timeline non matérialisée (construite à la première lecture) ou auteur lu à la demande
+    if (!timeline || !author || author.timeline_pull) return 0;
+
+    const size = this.getAuthorBackfillSize();
+    const posts = await prisma.post.findMany({
+      where: {
+        ...VISIBLE_POST_WHERE,
+        id_user: authorId,
+        ...(timeline.backfilled_until && { created_at: { gte: timeline.backfilled_until } })
+      },
+      select: { id_post: true, created_at: true },
+      orderBy: [{ created_at: 'desc' }, { id_post: 'desc' }],
+      take: size
+    });
+
+    const inserted = await this.insertEntries(prisma, posts.map(post => ({
+      id_user: userId,
+      id_post: post.id_post,
+      id_author: authorId,
+      created_at: post.created_at
+    })));
+
+    // Historique de l'auteur tronqué : les posts plus anciens passent en lecture à la demande
+    if (posts.length === size) {
+      await prisma.homeTimeline.update({
+        where: { id_user: userId },
+        data: { backfilled_until: posts[posts.length - 1].created_at }
+      });
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Retire les posts d'un auteur des timelines de ceux qui ne le suivent plus (changement de confidentialité)
+   */
+  static async syncAuthorAudience(authorId) {
+    const result = await prisma.timelineEntry.deleteMany({
+      where: {
+        id_author: authorId,
+        id_user: { not: authorId },
+        user: {
+          following: { none: { account: authorId, active: true, pending: false } }
+        }
+      }
+    });
+
+    if (result.count > 0) {
+      logger.info(`Removed ${result.count} timeline entry(ies) of user ${authorId} from non-followers`);
+    }
+    return result.count;
+  }
+
+  /**
+   * Compte désactivé : ses posts quittent les timelines, la sienne est supprimée
+   */
+  static async removeUser(userId) {
+    const [entries] = await prisma.$transaction([
+      prisma.timelineEntry.deleteMany({
+        where: { OR: [{ id_author: userId }, { id_user: userId }] }
+      }),
+      prisma.homeTimeline.deleteMany({ where: { id_user: userId } })
+    ]);
+    return entries.count;
+  }
+
+  /**
+   * Reconstruit entièrement la timeline d'un utilisateur à partir des abonnements
+   */
+  static async rebuild(userId) {
+    const followedIds = await this.getFollowedIds(userId);
+    const size = this.getBackfillSize();
+
+    const posts = await prisma.post.findMany({
+      where: {
+        ...VISIBLE_POST_WHERE,
+        id_user: { in: followedIds },
+        user: { is_active: true, timeline_pull: false }
+      },
+      select: { id_post: true, id_user: true, created_at: true },
+      orderBy: [{ created_at: 'desc' }, { id_post: 'desc' }],
+      take: size
+    });
+
+    const now = new Date();
+    const backfilledUntil = posts.length === size ? posts[posts.length - 1].created_at : null;
+
+    const timeline = await prisma.$transaction(async (tx) => {
+      await tx.timelineEntry.deleteMany({ where: { id_user: userId } });
+      await this.insertEntries(tx, posts.map(post => ({
+        id_user: userId,
+        id_post: post.id_post,
+        id_author: post.id_user,
+        created_at: post.created_at
+      })));
+
+      return tx.homeTimeline.upsert({
+        where: { id_user: userId },
+        create: { id_user: userId, built_at: now, backfilled_until: backfilledUntil },
+        update: { built_at: now, backfilled_until: backfilledUntil }
+      });
+    }, { timeout: 30000 });
+
+    logger.info(`Home timeline rebuilt for user ${userId}: ${posts.length} entry(ies)`);
+    return { timeline, entries: posts.length };
+  }
+
+  /**
+   * Efface toutes les timelines matérialisées : chacune est reconstruite à sa prochaine lecture
+   */
+  static async resetAll() {
+    const [entries, timelines] = await prisma.$transaction([
+      prisma.timelineEntry.deleteMany({}),
+      prisma.homeTimeline.deleteMany({})
+    ]);
+
+    logger.warn(`All home timelines reset: ${timelines.count} timeline(s), ${entries.count} entry(ies) removed`);
+    return { timelines: timelines.count, entries: entries.count };
+  }
+
+  /**
+   * Page de la timeline d'accueil par curseur : entrées matérialisées fusionnées avec les posts
+   * lus à la demande (comptes en timeline_pull, historique au-delà de backfilled_until)
+   * @param {Object} include - relations chargées pour chaque post
+   */
+  static async getPage(userId, { cursor, limit }, include) {
+    // Décodé avant toute écriture : un curseur invalide ne déclenche pas de reconstruction
+    const { position, where: cursorWhere, orderBy } = buildCursorQuery(cursor, { idField: 'id_post' });
+
+    let timeline = await prisma.homeTimeline.findUnique({ where: { id_user: userId } });
+    if (!timeline) {
+      ({ timeline } = await this.rebuild(userId));
+    }
+
+    const followedIds = await this.getFollowedIds(userId);
+    const pullAuthors = await prisma.user.findMany({
+      where: { id_user: { in: followedIds }, timeline_pull: true },
+      select: { id_user: true }
+    });
+
+    const pullConditions = [];
+    if (pullAuthors.length > 0) {
+      pullConditions.push({ id_user: { in: pullAuthors.map(author => author.id_user) } });
+    }
+    if (timeline.backfilled_until) {
+      pullConditions.push({ id_user: { in: followedIds }, created_at: { lte: timeline.backfilled_until } });
+    }
+
+    const [entries, pulled] = await Promise.all([
+      prisma.timelineEntry.findMany({
+        where: {
+          id_user: userId,
+          id_author: { in: followedIds },
+          post: VISIBLE_POST_WHERE,
+          ...(cursorWhere && { AND: [cursorWhere] })
+        },
+        include: { post: { include } },
+        orderBy,
+        take: limit + 1
+      }),
+      pullConditions.length > 0
+        ? prisma.post.findMany({
+          where: {
+            AND: [VISIBLE_POST_WHERE, { OR: pullConditions }, ...(cursorWhere ? [cursorWhere] : [])]
+          },
+          include,
+          orderBy,
+          take: limit + 1
+        })
+        : []
+    ]);
+
+    // Fusion dédoublonnée des deux sources, dans le sens de lecture du curseur
+    const posts = new Map();
+    for (const entry of entries) posts.set(entry.post.id_post, entry.post);
+    for (const post of pulled) posts.set(post.id_post, post);
+
+    const newer = position && position.direction === 'prev';
+    const keyOf = post => ({ createdAt: post.created_at, id: post.id_post });
+    const rows = [...posts.values()].sort((a, b) => (newer ? -1 : 1) * compareDesc(keyOf(a), keyOf(b)));
+
+    const { items, pagination } = buildCursorPage(rows.slice(0, limit + 1), {
+      position,
+      limit,
+      getDate: post => post.created_at,
+      getId: post => post.id_post
+    });
+
+    return { posts: items, pagination };
+  }
+}
+
+module.exports = HomeTimelineService;
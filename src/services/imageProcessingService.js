@@ -0,0 +1,198 @@
+// src/services/imageProcessingService.js - Traitement des images uploadées (ré-encodage, variantes, miniatures)
+const path = require('path');
+const sharp = require('sharp');
+const StorageService = require('./storageService');
+
+// Largeurs des variantes générées (jamais agrandies au-delà de l'original)
+const VARIANT_WIDTHS = {
+  small: 320,
+  medium: 800,
+  large: 1600
+};
+
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 200;
+const OUTPUT_FORMAT = 'webp';
+
+class ImageProcessingService {
+  /**
+   * Chemins (relatifs au dossier d'upload) des fichiers dérivés d'une image
+   */
+  static getDerivedPath(relativePath, suffix) {
+    const dir = path.posix.dirname(relativePath);
+    const base = path.posix.basename(relativePath, path.posix.extname(relativePath));
+    return `${dir}/${base}_${suffix}.${OUTPUT_FORMAT}`;
+  }
+
+  /**
+   * Image principale issue de /upload et appartenant à son uploadeur :
+   * images/<id_user>_<timestamp>_<aléa>.webp (les variantes ne sont pas attachables)
+   */
+  static isOwnProcessedImage(relativePath, userId) {
+    const match = /^images\/(\d+)_\d+_[a-z0-9]+\.webp$/.exec(relativePath);
+    return !!match && parseInt(match[1]) === parseInt(userId);
+  }
+
+  /**
+   * Encodeur commun : orientation EXIF appliquée puis métadonnées supprimées
+   * (sharp n'écrit aucune métadonnée EXIF/GPS sans withMetadata())
+   */
+  static pipeline(input, { animated = false } = {}) {
+    return sharp(input, { animated, failOn: 'error' }).rotate();
+  }
+
+  /**
+   * Encode en WebP puis enregistre via le driver de stockage
+   */
+  static async writeWebp(image, key, quality, pages = 1) {
+    const { data, info } = await image.webp({ quality, effort: 4 }).toBuffer({ resolveWithObject: true });
+    await StorageService.put(key, data, { contentType: `image/${OUTPUT_FORMAT}` });
+    // Les images animées sont empilées verticalement : hauteur d'une seule frame
+    return { width: info.width, height: Math.round(info.height / pages), size: info.size };
+  }
+
+  /**
+   * Décode l'image source, la ré-encode en WebP et génère variantes et miniature
+   * @param {string} inputPath - fichier temporaire local
+   * @param {string} relativeBase - clé de stockage sans extension (ex: images/12_1717_abc)
+   */
+  static async processUpload(inputPath, relativeBase, { quality = 80, compress = true, generateThumbnails = true } = {}) {
+    let metadata;
+    try {
+      metadata = await sharp(inputPath).metadata();
+    } catch (error) {
+      const invalid = new Error('Invalid image: file could not be decoded');
+      invalid.cause = error;
+      throw invalid;
+    }
+
+    const pages = metadata.pages || 1;
+    const animated = pages > 1;
+    const outputQuality = compress ? quality : 100;
+    const relativePath = `${relativeBase}.${OUTPUT_FORMAT}`;
+    const written = [];
+
+    try {
+      const main = await this.writeWebp(
+        this.pipeline(inputPath, { animated }).resize({
+          width: MAX_DIMENSION,
+          height: MAX_DIMENSION,
+          fit: 'inside',
+          withoutEnlargement: true
+        }),
+        relativePath,
+        outputQuality,
+        pages
+      );
+      written.push(relativePath);
+
+      const variants = {};
+      for (const [name, width] of Object.entries(VARIANT_WIDTHS)) {
+        if (width >= main.width) continue;
+
+        const variantPath = this.getDerivedPath(relativePath, name);
+        const variant = await this.writeWebp(
+          this.pipeline(inputPath, { animated }).resize({ width, withoutEnlargement: true }),
+          variantPath,
+          outputQuality,
+          pages
+        );
+        written.push(variantPath);
+        variants[name] = { path: variantPath, width: variant.width, height: variant.height };
+      }
+
+      let thumbnail = null;
+      if (generateThumbnails) {
+        thumbnail = this.getDerivedPath(relativePath, 'thumb');
+        // Miniature fixe (première image pour les GIF animés)
+        await this.writeWebp(
+          this.pipeline(inputPath).resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', position: 'attention' }),
+          thumbnail,
+          Math.min(outputQuality, 75)
+        );
+        written.push(thumbnail);
+      }
+
+      return {
+        path: relativePath,
+        format: OUTPUT_FORMAT,
+        width: main.width,
+        height: main.height,
+        size: main.size,
+        animated,
+        variants,
+        thumbnail
+      };
+    } catch (error) {
+      await this.removeFiles(written);
+      throw error;
+    }
+  }
+
+  /**
+   * Variante à la demande (redimensionnement explicite d'une image déjà stockée)
+   */
+  static async createCustomVariant(relativePath, { width, height, quality = 80 }) {
+    const key = `${width || 'auto'}x${height || 'auto'}`;
+    const variantPath = this.getDerivedPath(relativePath, key);
+    const source = await StorageService.getBuffer(relativePath);
+
+    const variant = await this.writeWebp(
+      this.pipeline(source).resize({
+        width,
+        height,
+        fit: 'inside',
+        withoutEnlargement: true
+      }),
+      variantPath,
+      quality
+    );
+
+    return { key, path: variantPath, width: variant.width, height: variant.height };
+  }
+
+  /**
+   * Retrouve les fichiers dérivés d'une image traitée (à l'attachement à un post ou message)
+   */
+  static async describeStoredImage(relativePath) {
+    const metadata = await sharp(await StorageService.getBuffer(relativePath)).metadata();
+
+    const variants = {};
+    for (const name of Object.keys(VARIANT_WIDTHS)) {
+      const variantPath = this.getDerivedPath(relativePath, name);
+      // Variante non générée si l'image est plus petite que la largeur cible
+      if (!(await StorageService.stat(variantPath))) continue;
+
+      const variantMeta = await sharp(await StorageService.getBuffer(variantPath)).metadata();
+      variants[name] = { path: variantPath, width: variantMeta.width, height: variantMeta.pageHeight || variantMeta.height };
+    }
+
+    const thumbnailPath = this.getDerivedPath(relativePath, 'thumb');
+    const hasThumbnail = !!(await StorageService.stat(thumbnailPath));
+
+    return {
+      width: metadata.width,
+      height: metadata.pageHeight || metadata.height,
+      variants,
+      thumbnail: hasThumbnail ? thumbnailPath : null
+    };
+  }
+
+  /**
+   * Tous les fichiers physiques d'un média enregistré (original, variantes, miniature)
+   */
+  static listFiles(media) {
+    const files = [media.lien_media];
+    if (media.thumbnail) files.push(media.thumbnail);
+    if (media.variants) {
+      files.push(...Object.values(media.variants).map(variant => variant.path));
+    }
+    return files;
+  }
+
+  static async removeFiles(relativePaths) {
+    await StorageService.deleteMany(relativePaths);
+  }
+}
+
+module.exports = ImageProcessingService;
@@ -0,0 +1,154 @@
+// src/services/loginSecurityService.js - Verrouillage de compte et historique des connexions
+const crypto = require('crypto');
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+class LoginSecurityService {
+  /**
+   * Seuil d'échecs consécutifs avant verrouillage
+   */
+  static getMaxAttempts() {
+    return parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+  }
+
+  /**
+   * Empreinte de l'appareil (nom d'appareil + user agent)
+   */
+  static getDeviceHash(req) {
+    const fingerprint = `${req.get('X-Device-Name') || ''}|${req.get('User-Agent') || ''}`;
+    return crypto.createHash('sha256').update(fingerprint).digest('hex');
+  }
+
+  /**
+   * Date de fin de verrouillage si le compte est actuellement verrouillé
+   */
+  static getLockedUntil(user) {
+    return user.locked_until && user.locked_until > new Date() ? user.locked_until : null;
+  }
+
+  /**
+   * Délai progressif (ms) appliqué avant de répondre à un échec
+   */
+  static getFailureDelay(failedCount) {
+    return Math.min(Math.max(failedCount - 2, 0), 5) * 1000;
+  }
+
+  /**
+   * Enregistre une tentative de connexion
+   */
+  static async recordAttempt(req, { user = null, mail, success, failureReason = null, newDevice = false }) {
+    const userAgent = req.get('User-Agent');
+
+    return prisma.loginAttempt.create({
+      data: {
+        id_user: user ? user.id_user : null,
+        mail: (mail || user?.mail || '').substring(0, 50),
+        ip_address: req.ip ? req.ip.substring(0, 64) : null,
+        user_agent: userAgent ? userAgent.substring(0, 512) : null,
+        device_hash: this.getDeviceHash(req),
+        success,
+        failure_reason: failureReason,
+        new_device: newDevice,
+        // Seules les connexions depuis un nouvel appareil produisent une notification
+        notif_view: !newDevice,
+        created_at: new Date()
+      }
+    });
+  }
+
+  /**
+   * Échec d'authentification : incrémente le compteur et verrouille le compte
+   * dès le seuil atteint, avec une durée doublée à chaque nouveau verrouillage.
+   * Renvoie la date de fin de verrouillage éventuelle.
+   */
+  static async registerFailure(req, user, failureReason) {
+    await this.recordAttempt(req, { user, success: false, failureReason });
+
+    // Incrément atomique : le compteur lu est celui de la base, même avec des tentatives en parallèle
+    const { failed_login_count: failedCount } = await prisma.user.update({
+      where: { id_user: user.id_user },
+      data: { failed_login_count: { increment: 1 } },
+      select: { failed_login_count: true }
+    });
+
+    const maxAttempts = this.getMaxAttempts();
+    let lockedUntil = null;
+
+    if (failedCount >= maxAttempts) {
+      const baseMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+      const lockouts = failedCount - maxAttempts + 1;
+      const minutes = Math.min(baseMinutes * 2 ** (lockouts - 1), MAX_LOCKOUT_MINUTES);
+      const now = new Date();
+      const candidate = new Date(now.getTime() + minutes * 60 * 1000);
+
+      // Verrouillage conditionnel : une seule requête concurrente pose le verrou
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id_user: user.id_user,
+          OR: [{ locked_until: null }, { locked_until: { lte: now } }]
+        },
+        data: { locked_until: candidate }
+      });
+
+      if (count > 0) {
+        lockedUntil = candidate;
+        logger.warn(`Account locked for ${minutes} minutes after ${failedCount} failed attempts: ${user.username}`);
+      } else {
+        const current = await prisma.user.findUnique({
+          where: { id_user: user.id_user },
+          select: { locked_until: true }
+        });
+        lockedUntil = current ? this.getLockedUntil(current) : null;
+      }
+    }
+
+    const delay = this.getFailureDelay(failedCount);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    return lockedUntil;
+  }
+
+  /**
+   * Connexion réussie : remet le compteur à zéro, enregistre la tentative
+   * et signale si l'appareil n'a jamais été utilisé pour ce compte.
+   */
+  static async registerSuccess(req, user) {
+    const deviceHash = this.getDeviceHash(req);
+
+    const [previousSuccess, knownDevice] = await Promise.all([
+      prisma.loginAttempt.findFirst({
+        where: { id_user: user.id_user, success: true },
+        select: { id_login_attempt: true }
+      }),
+      prisma.loginAttempt.findFirst({
+        where: { id_user: user.id_user, success: true, device_hash: deviceHash },
+        select: { id_login_attempt: true }
+      })
+    ]);
+
+    // Pas d'alerte pour la toute première connexion du compte
+    const newDevice = Boolean(previousSuccess) && !knownDevice;
+
+    await Promise.all([
+      this.recordAttempt(req, { user, success: true, newDevice }),
+      user.failed_login_count > 0 || user.locked_until
+        ? prisma.user.update({
+          where: { id_user: user.id_user },
+          data: { failed_login_count: 0, locked_until: null }
+        })
+        : null
+    ]);
+
+    if (newDevice) {
+      logger.info(`New device sign-in for user: ${user.username} from ${req.ip}`);
+    }
+
+    return { newDevice };
+  }
+}
+
+module.exports = LoginSecurityService;
@@ -0,0 +1,130 @@
+// src/services/mailService.js - Envoi d'emails avec transport interchangeable
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Transports disponibles. Un transport expose `send(message)` et renvoie un identifiant.
+ * - console : écrit le mail dans les logs (développement)
+ * - file    : écrit chaque mail en JSON dans MAIL_OUTPUT_DIR (tests, inspection locale)
+ */
+const transports = {
+  console: {
+    async send(message) {
+      logger.info(`📧 Mail to ${message.to} - ${message.subject}\n${message.text}`);
+      return { id: `console-${Date.now()}` };
+    }
+  },
+
+  file: {
+    async send(message) {
+      const outputDir = process.env.MAIL_OUTPUT_DIR || path.join('tmp', 'mails');
+      await fs.mkdir(outputDir, { recursive: true });
+
+      const id = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+      await fs.writeFile(
+        path.join(outputDir, `${id}.json`),
+        JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+      );
+
+      return { id };
+    }
+  }
+};
+
+class MailService {
+  /**
+   * Enregistre un transport personnalisé (SMTP, API tierce...)
+   */
+  static registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Mail transport "${name}" must implement send(message)`);
+    }
+    transports[name] = transport;
+  }
+
+  /**
+   * Transport actif, choisi par MAIL_TRANSPORT (console par défaut)
+   */
+  static getTransport() {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    return transport;
+  }
+
+  /**
+   * Envoie un email via le transport actif
+   */
+  static async send({ to, subject, text, html }) {
+    const message = {
+      from: process.env.MAIL_FROM || 'no-reply@cercle.local',
+      to,
+      subject,
+      text,
+      html: html || null
+    };
+
+    const result = await this.getTransport().send(message);
+    logger.info(`Mail sent to ${to}: ${subject}`);
+    return result;
+  }
+
+  /**
+   * Construit un lien vers le frontend (première URL de FRONTEND_URL)
+   */
+  static buildFrontendUrl(pathname, params = {}) {
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0].trim();
+    const url = new URL(pathname, baseUrl);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Mail de réinitialisation du mot de passe
+   */
+  static async sendPasswordResetMail(user, token, expiresAt) {
+    const link = this.buildFrontendUrl('/reset-password', { token });
+    const minutes = Math.round((expiresAt - Date.now()) / 60000);
+
+    return this.send({
+      to: user.mail,
+      subject: 'Réinitialisation de votre mot de passe',
+      text: [
+        `Bonjour ${user.prenom || user.username},`,
+        '',
+        'Une demande de réinitialisation de mot de passe a été faite pour votre compte.',
+        `Utilisez ce lien dans les ${minutes} minutes : ${link}`,
+        '',
+        'Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Mail de vérification d'adresse (inscription ou changement d'email)
+   */
+  static async sendVerificationMail(user, mail, token, expiresAt) {
+    const link = this.buildFrontendUrl('/verify-email', { token });
+    const hours = Math.round((expiresAt - Date.now()) / 3600000);
+
+    return this.send({
+      to: mail,
+      subject: 'Confirmez votre adresse email',
+      text: [
+        `Bonjour ${user.prenom || user.username},`,
+        '',
+        'Merci de confirmer votre adresse email en ouvrant ce lien',
+        `(valable ${hours} heures) : ${link}`,
+        '',
+        'Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,211 @@
+// src/services/mediaAccessService.js - Droits d'accès aux fichiers médias et URLs renvoyées aux clients
+const prisma = require('../utils/database');
+const StorageService = require('./storageService');
+
+// Variantes et miniatures d'une image : images/<id_user>_<timestamp>_<aléa>_<suffixe>.webp
+const DERIVED_IMAGE_PATTERN = /^(images\/\d+_\d+_[a-z0-9]+)_[a-z0-9]+\.webp$/;
+// Poster et rendu web d'une vidéo : videos/<id_user>_<timestamp>_<aléa>_poster.webp, ..._h264.mp4
+const DERIVED_VIDEO_PATTERN = /^(videos\/\d+_\d+_[a-z0-9]+)_(?:poster\.webp|h264\.mp4)$/;
+const UPLOADED_FILE_PATTERN = /^(?:images|videos)\/(\d+)_\d+_[a-z0-9]+(?:_[a-z0-9]+)?\.[a-z0-9]+$/;
+
+// Médias joints aux posts sérialisés (vidéos refusées au traitement exclues)
+const POST_MEDIA_INCLUDE = {
+  where: {
+    OR: [
+      { processing_status: null },
+      { processing_status: { not: 'rejected' } }
+    ]
+  },
+  select: {
+    id_img_vid_post: true,
+    lien_media: true,
+    width: true,
+    height: true,
+    thumbnail: true,
+    variants: true,
+    alt_text: true,
+    caption: true,
+    processing_status: true,
+    duration: true,
+    type_media: { select: { media: true } }
+  },
+  orderBy: { id_img_vid_post: 'asc' }
+};
+
+class MediaAccessService {
+  static POST_MEDIA_INCLUDE = POST_MEDIA_INCLUDE;
+
+  /**
+   * Cache des médias publics : court et revalidé, un média qui devient privé, supprimé
+   * ou modéré cesse d'être servi par les caches partagés (MEDIA_PUBLIC_CACHE_SECONDS, 300 par défaut)
+   */
+  static getPublicCacheControl() {
+    const seconds = parseInt(process.env.MEDIA_PUBLIC_CACHE_SECONDS);
+    const maxAge = isNaN(seconds) || seconds < 0 ? 300 : seconds;
+    return `public, max-age=${maxAge}, must-revalidate`;
+  }
+
+  /**
+   * Durée de validité des URLs signées (médias privés et pièces jointes de messages)
+   */
+  static getSignedUrlTtl() {
+    const seconds = parseInt(process.env.MEDIA_SIGNED_URL_TTL_SECONDS);
+    return isNaN(seconds) || seconds <= 0 ? 900 : seconds;
+  }
+
+  /**
+   * Clé de l'image d'origine pour une variante ou une miniature
+   */
+  static getOriginalKey(key) {
+    const match = DERIVED_IMAGE_PATTERN.exec(key);
+    return match ? `${match[1]}.webp` : key;
+  }
+
+  /**
+   * Filtre Prisma sur lien_media : l'extension d'origine d'une vidéo dérivée n'est pas connue
+   */
+  static getMediaKeyFilter(key) {
+    const match = DERIVED_VIDEO_PATTERN.exec(key);
+    return match ? { startsWith: `${match[1]}.` } : this.getOriginalKey(key);
+  }
+
+  static getUploaderId(key) {
+    const match = UPLOADED_FILE_PATTERN.exec(key);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Compte public, propriétaire ou abonné approuvé
+   */
+  static async canViewAccount(viewerId, account) {
+    if (!account.private) return true;
+    if (!viewerId) return false;
+    if (account.id_user === viewerId) return true;
+
+    const follow = await prisma.follow.findUnique({
+      where: {
+        follower_account: {
+          follower: viewerId,
+          account: account.id_user
+        }
+      },
+      select: { active: true, pending: true }
+    });
+
+    return !!follow && follow.active && !follow.pending;
+  }
+
+  /**
+   * Droits d'un visiteur (req.user ou null) sur une clé de stockage
+   * @returns {Promise<{ allowed: boolean, public: boolean }>}
+   */
+  static async resolveAccess(key, viewer) {
+    const mediaKey = this.getMediaKeyFilter(key);
+    const viewerId = viewer ? viewer.id_user : null;
+
+    const [postMedia, messageMedia] = await Promise.all([
+      prisma.imgVidPost.findMany({
+        where: {
+          lien_media: mediaKey,
+          post: { active: true }
+        },
+        select: {
+          post: {
+            select: {
+              user: { select: { id_user: true, private: true, is_active: true } }
+            }
+          }
+        }
+      }),
+      prisma.imgVidMsg.findMany({
+        where: {
+          lien_media: mediaKey,
+          message: { active: true }
+        },
+        select: {
+          message: { select: { sender: true, receiver: true } }
+        }
+      })
+    ]);
+
+    const authors = postMedia.map(media => media.post.user).filter(author => author.is_active);
+
+    // Média d'un post public : accessible à tous et cacheable
+    if (authors.some(author => !author.private)) {
+      return { allowed: true, public: true };
+    }
+
+    for (const author of authors) {
+      if (await this.canViewAccount(viewerId, author)) {
+        return { allowed: true, public: false };
+      }
+    }
+
+    if (viewerId) {
+      // Pièce jointe : uniquement les participants de la conversation
+      if (messageMedia.some(({ message }) => message.sender === viewerId || message.receiver === viewerId)) {
+        return { allowed: true, public: false };
+      }
+
+      // Upload pas encore attaché : visible par son auteur
+      if (this.getUploaderId(key) === viewerId) {
+        return { allowed: true, public: false };
+      }
+    }
+
+    return { allowed: false, public: false };
+  }
+
+  /**
+   * URL stable servie par l'API (médias publics)
+   */
+  static getPublicUrl(key) {
+    const baseUrl = (process.env.API_BASE_URL || '').replace(/\/$/, '');
+    return `${baseUrl}/api/v1/media/files/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  static async getUrl(key, { isPublic = false } = {}) {
+    if (!key) return null;
+    if (isPublic) return this.getPublicUrl(key);
+    return StorageService.getSignedUrl(key, { expiresIn: this.getSignedUrlTtl() });
+  }
+
+  /**
+   * URLs d'un média stocké (original, miniature, variantes)
+   */
+  static async buildUrls(media, { isPublic = false } = {}) {
+    let variants = null;
+    if (media.variants) {
+      variants = {};
+      for (const [name, variant] of Object.entries(media.variants)) {
+        variants[name] = { ...variant, url: await this.getUrl(variant.path, { isPublic }) };
+      }
+    }
+
+    return {
+      url: await this.getUrl(media.lien_media, { isPublic }),
+      thumbnail_url: await this.getUrl(media.thumbnail, { isPublic }),
+      variants,
+      expires_in: isPublic ? null : this.getSignedUrlTtl()
+    };
+  }
+
+  /**
+   * Médias d'un post (chargés avec POST_MEDIA_INCLUDE) : texte alternatif, légende et URLs
+   * (stables ou signées selon le compte de l'auteur)
+   */
+  static serializePostMedia(mediaList, { isPublic = false } = {}) {
+    return Promise.all((mediaList || []).map(async (media) => ({
+      id: media.id_img_vid_post,
+      type: media.type_media.media,
+      width: media.width,
+      height: media.height,
+      alt_text: media.alt_text,
+      caption: media.caption,
+      ...(media.processing_status && { processing_status: media.processing_status, duration: media.duration }),
+      ...(await this.buildUrls(media, { isPublic }))
+    })));
+  }
+}
+
+module.exports = MediaAccessService;
@@ -0,0 +1,213 @@
+// src/services/mediaBlocklistService.js - Empreintes perceptuelles des images retirées par la modération
+const sharp = require('sharp');
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+const StorageService = require('./storageService');
+
+// pHash : DCT d'une miniature 32x32 en niveaux de gris, 8x8 basses fréquences comparées à leur médiane
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// Liste gardée en mémoire entre deux uploads (invalidée à chaque modification locale)
+const CACHE_TTL_MS = 60 * 1000;
+
+const BLOCK_ACTIONS = ['reject', 'flag'];
+
+// cos((2x + 1) * u * PI / 2N) précalculés pour les HASH_SIZE premières fréquences
+const COSINES = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: SAMPLE_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE)))
+);
+
+let cachedEntries = null;
+let cachedAt = 0;
+
+class MediaBlocklistService {
+  static BLOCK_ACTIONS = BLOCK_ACTIONS;
+
+  /**
+   * Distance maximale (bits différents sur 64) pour refuser un upload (MEDIA_BLOCKLIST_REJECT_DISTANCE, 8 par défaut)
+   */
+  static getRejectDistance() {
+    const distance = parseInt(process.env.MEDIA_BLOCKLIST_REJECT_DISTANCE);
+    return isNaN(distance) || distance < 0 ? 8 : Math.min(distance, 64);
+  }
+
+  /**
+   * Distance maximale pour signaler un upload aux modérateurs (MEDIA_BLOCKLIST_FLAG_DISTANCE, 14 par défaut)
+   */
+  static getFlagDistance() {
+    const distance = parseInt(process.env.MEDIA_BLOCKLIST_FLAG_DISTANCE);
+    return Math.max(isNaN(distance) || distance < 0 ? 14 : Math.min(distance, 64), this.getRejectDistance());
+  }
+
+  /**
+   * Empreinte perceptuelle 64 bits (16 caractères hexadécimaux), stable au ré-encodage,
+   * au redimensionnement et aux légères retouches. Première frame pour les images animées.
+   */
+  static async computeHash(input) {
+    const pixels = await sharp(input, { failOn: 'none' })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer();
+
+    const coefficients = [];
+    for (let u = 0; u < HASH_SIZE; u++) {
+      for (let v = 0; v < HASH_SIZE; v++) {
+        let sum = 0;
+        for (let y = 0; y < SAMPLE_SIZE; y++) {
+          for (let x = 0; x < SAMPLE_SIZE; x++) {
+            sum += pixels[y * SAMPLE_SIZE + x] * COSINES[u][y] * COSINES[v][x];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // Composante continue (luminosité moyenne) exclue de la médiane
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+
+    let hash = 0n;
+    for (const coefficient of coefficients) {
+      hash = (hash << 1n) | (coefficient > median ? 1n : 0n);
+    }
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  static hammingDistance(hashA, hashB) {
+    let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+    let distance = 0;
+    while (diff > 0n) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return distance;
+  }
+
+  static async getActiveEntries() {
+    if (!cachedEntries || Date.now() - cachedAt > CACHE_TTL_MS) {
+      cachedEntries = await prisma.blockedMediaHash.findMany({
+        where: { active: true },
+        select: { id_blocked_hash: true, phash: true, action: true }
+      });
+      cachedAt = Date.now();
+    }
+    return cachedEntries;
+  }
+
+  static invalidateCache() {
+    cachedEntries = null;
+  }
+
+  /**
+   * Entrée la plus proche d'une empreinte
+   * @returns {Promise<null|{ entry: object, distance: number, action: 'rejected'|'flagged' }>}
+   */
+  static async findMatch(hash) {
+    const flagDistance = this.getFlagDistance();
+    let best = null;
+
+    for (const entry of await this.getActiveEntries()) {
+      const distance = this.hammingDistance(hash, entry.phash);
+      if (distance <= flagDistance && (!best || distance < best.distance)) {
+        best = { entry, distance };
+      }
+    }
+
+    if (!best) return null;
+
+    // Entrée "flag", ou image seulement proche d'une entrée "reject" : upload accepté mais signalé
+    const rejected = best.entry.action === 'reject' && best.distance <= this.getRejectDistance();
+    return { ...best, action: rejected ? 'rejected' : 'flagged' };
+  }
+
+  /**
+   * Contrôle d'une image uploadée (déjà décodée par MediaValidationService)
+   * @returns {Promise<null|{ hash: string, entry: object, distance: number, action: 'rejected'|'flagged' }>}
+   */
+  static async screen(filePath) {
+    let hash;
+    try {
+      hash = await this.computeHash(filePath);
+    } catch (error) {
+      logger.error(`Perceptual hash failed for ${filePath}:`, error);
+      return null;
+    }
+
+    const match = await this.findMatch(hash);
+    return match ? { hash, ...match } : null;
+  }
+
+  /**
+   * Historique d'une correspondance (fichier en quarantaine si refusé, stocké si signalé)
+   */
+  static async recordMatch(match, { userId, storageKey, originalName }) {
+    const now = new Date();
+
+    await prisma.$transaction([
+      prisma.mediaHashMatch.create({
+        data: {
+          id_blocked_hash: match.entry.id_blocked_hash,
+          id_user: userId,
+          phash: match.hash,
+          distance: match.distance,
+          action: match.action,
+          storage_key: storageKey,
+          original_name: originalName ? originalName.substring(0, 255) : null,
+          created_at: now
+        }
+      }),
+      prisma.blockedMediaHash.update({
+        where: { id_blocked_hash: match.entry.id_blocked_hash },
+        data: { match_count: { increment: 1 }, last_matched_at: now }
+      })
+    ]);
+
+    logger.warn(
+      `Upload from user ${userId} ${match.action} by media blocklist entry ${match.entry.id_blocked_hash} ` +
+      `(distance ${match.distance}): ${storageKey}`
+    );
+  }
+
+  /**
+   * Ajoute une empreinte (une empreinte identique déjà active est réutilisée)
+   */
+  static async addHash(phash, { action = 'reject', reason = null, createdBy, sourceKey = null, sourceMediaId = null }) {
+    const existing = await prisma.blockedMediaHash.findFirst({
+      where: { phash, active: true }
+    });
+    if (existing) return { entry: existing, created: false };
+
+    const now = new Date();
+    const entry = await prisma.blockedMediaHash.create({
+      data: {
+        phash,
+        action,
+        reason,
+        source_key: sourceKey,
+        id_img_vid_post: sourceMediaId,
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now
+      }
+    });
+
+    this.invalidateCache();
+    logger.info(`Media blocklist entry ${entry.id_blocked_hash} added by user ${createdBy} (${action}): ${phash}`);
+    return { entry, created: true };
+  }
+
+  /**
+   * Ajoute l'empreinte d'une image stockée (à appeler avant la suppression du fichier)
+   */
+  static async blockStoredImage(key, options) {
+    const buffer = await StorageService.getBuffer(key);
+    const phash = await this.computeHash(buffer);
+    return this.addHash(phash, { ...options, sourceKey: key });
+  }
+}
+
+module.exports = MediaBlocklistService;
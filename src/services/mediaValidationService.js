@@ -0,0 +1,217 @@
+// src/services/mediaValidationService.js - Détection du type réel des fichiers uploadés et mise en quarantaine
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const StorageService = require('./storageService');
+
+// Préfixe de stockage des fichiers refusés (jamais servi, à inspecter par un administrateur)
+const QUARANTINE_PREFIX = 'quarantine';
+
+// Fenêtres lues en début et fin de fichier (signature, contenus embarqués)
+const SCAN_WINDOW = 64 * 1024;
+
+// Types acceptés : MIME réel, extensions compatibles, format sharp pour les images
+const KNOWN_TYPES = {
+  'image/jpeg': { mediaType: 'image', extensions: ['.jpg', '.jpeg'], sharpFormat: 'jpeg' },
+  'image/png': { mediaType: 'image', extensions: ['.png'], sharpFormat: 'png' },
+  'image/gif': { mediaType: 'image', extensions: ['.gif'], sharpFormat: 'gif' },
+  'image/webp': { mediaType: 'image', extensions: ['.webp'], sharpFormat: 'webp' },
+  'video/mp4': { mediaType: 'video', extensions: ['.mp4'] },
+  'video/quicktime': { mediaType: 'video', extensions: ['.mov'] },
+  'video/webm': { mediaType: 'video', extensions: ['.webm'] },
+  'video/x-msvideo': { mediaType: 'video', extensions: ['.avi'] }
+};
+
+// Marques ISO BMFF (boîte ftyp) reconnues comme MP4
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'M4V ', 'MSNV', 'f4v '];
+
+// Contenus actifs qui n'ont rien à faire dans un média (polyglottes image/HTML, PHP...)
+const EMBEDDED_MARKERS = ['<script', '<html', '<!doctype html', '<svg', '<iframe', '<object', '<embed', '<body', '<?php'];
+
+class MediaValidationService {
+  /**
+   * Erreur typée pour les fichiers refusés
+   */
+  static createRejection(code, message, detectedMime = null) {
+    const error = new Error(message);
+    error.name = 'MediaRejectedError';
+    error.code = code;
+    error.detectedMime = detectedMime;
+    return error;
+  }
+
+  /**
+   * Lit le début et la fin du fichier
+   */
+  static async readWindows(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const headLength = Math.min(size, SCAN_WINDOW);
+      const head = Buffer.alloc(headLength);
+      await handle.read(head, 0, headLength, 0);
+
+      // Les deux fenêtres se recouvrent pour les petits fichiers
+      const tailLength = Math.min(size, SCAN_WINDOW);
+      const tail = Buffer.alloc(tailLength);
+      await handle.read(tail, 0, tailLength, size - tailLength);
+
+      return { head, tail, size };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Type MIME déduit des magic bytes (null si inconnu)
+   */
+  static detectMime(head) {
+    const ascii = (start, end) => head.toString('latin1', start, end);
+
+    if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+      return 'image/jpeg';
+    }
+    if (head.length >= 8 && head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+      return 'image/png';
+    }
+    if (['GIF87a', 'GIF89a'].includes(ascii(0, 6))) {
+      return 'image/gif';
+    }
+    if (ascii(0, 4) === 'RIFF') {
+      if (ascii(8, 12) === 'WEBP') return 'image/webp';
+      if (ascii(8, 12) === 'AVI ') return 'video/x-msvideo';
+    }
+    if (ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12);
+      if (brand === 'qt  ') return 'video/quicktime';
+      if (MP4_BRANDS.includes(brand)) return 'video/mp4';
+    }
+    // Conteneur EBML : seul le doctype webm est accepté (pas le Matroska générique)
+    if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3 && ascii(0, 64).includes('webm')) {
+      return 'video/webm';
+    }
+
+    return null;
+  }
+
+  /**
+   * Fichier texte balisé (SVG, HTML, XML) déguisé en média
+   */
+  static detectMarkup(head) {
+    const text = head.toString('utf8', 0, Math.min(head.length, 1024))
+      .replace(/^\uFEFF/, '')
+      .trimStart()
+      .toLowerCase();
+
+    if (!text.startsWith('<')) return null;
+    if (text.includes('<svg')) return 'SVG';
+    if (text.startsWith('<?xml')) return 'XML';
+    return 'HTML';
+  }
+
+  /**
+   * Marqueurs de contenu actif ou archive ZIP accolée au média
+   */
+  static detectPolyglot(head, tail) {
+    const haystack = `${head.toString('latin1')}${tail.toString('latin1')}`.toLowerCase();
+    const marker = EMBEDDED_MARKERS.find(candidate => haystack.includes(candidate));
+    if (marker) return `embedded ${marker.replace(/[<?!]/g, '')} content`;
+
+    // Fin de répertoire central ZIP : fichier lisible aussi comme archive (GIFAR, JAR...)
+    if (tail.includes(Buffer.from([0x50, 0x4b, 0x05, 0x06])) || head.subarray(4).includes(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+      return 'appended archive';
+    }
+
+    return null;
+  }
+
+  /**
+   * Décodage complet de l'image : un en-tête valide ne suffit pas
+   */
+  static async verifyImageDecodes(filePath, expectedFormat) {
+    let metadata;
+    try {
+      metadata = await sharp(filePath, { failOn: 'truncated' }).metadata();
+      await sharp(filePath, { failOn: 'truncated' })
+        .resize(64, 64, { fit: 'inside' })
+        .raw()
+        .toBuffer();
+    } catch (error) {
+      throw this.createRejection('UNDECODABLE_IMAGE', 'Invalid image: file could not be decoded');
+    }
+
+    if (metadata.format !== expectedFormat) {
+      throw this.createRejection('TYPE_MISMATCH', `Invalid image: decoded as ${metadata.format}, expected ${expectedFormat}`);
+    }
+  }
+
+  /**
+   * Vérifie le contenu réel d'un fichier uploadé
+   * @returns {{ mime: string, mediaType: 'image'|'video', extension: string }}
+   * @throws MediaRejectedError (code: UNRECOGNIZED_TYPE, MARKUP_REJECTED, EXTENSION_MISMATCH, POLYGLOT_DETECTED, UNDECODABLE_IMAGE, TYPE_MISMATCH)
+   */
+  static async inspect(filePath, originalName) {
+    const extension = path.extname(originalName).toLowerCase();
+    const { head, tail, size } = await this.readWindows(filePath);
+
+    if (size === 0) {
+      throw this.createRejection('UNRECOGNIZED_TYPE', 'Invalid file: empty upload');
+    }
+
+    const mime = this.detectMime(head);
+
+    if (!mime) {
+      const markup = this.detectMarkup(head);
+      if (markup) {
+        throw this.createRejection('MARKUP_REJECTED', `Invalid file: ${markup} documents are not allowed`);
+      }
+      throw this.createRejection('UNRECOGNIZED_TYPE', 'Invalid file: content does not match any supported media type');
+    }
+
+    const type = KNOWN_TYPES[mime];
+    if (!type.extensions.includes(extension)) {
+      throw this.createRejection(
+        'EXTENSION_MISMATCH',
+        `Invalid file: content is ${mime} but extension is ${extension || 'missing'}`,
+        mime
+      );
+    }
+
+    const polyglot = this.detectPolyglot(head, tail);
+    if (polyglot) {
+      throw this.createRejection('POLYGLOT_DETECTED', `Invalid file: ${polyglot} detected`, mime);
+    }
+
+    if (type.mediaType === 'image') {
+      await this.verifyImageDecodes(filePath, type.sharpFormat);
+    }
+
+    return { mime, mediaType: type.mediaType, extension };
+  }
+
+  /**
+   * Déplace un fichier refusé en quarantaine avec une fiche JSON décrivant le refus
+   */
+  static async quarantine(filePath, { userId, originalName, rejection }) {
+    const name = `${Date.now()}_${userId}_${crypto.randomBytes(6).toString('hex')}`;
+    const target = `${QUARANTINE_PREFIX}/${name}.bin`;
+
+    await StorageService.put(target, filePath, { contentType: 'application/octet-stream' });
+    await fs.unlink(filePath).catch(() => {});
+    await StorageService.put(`${QUARANTINE_PREFIX}/${name}.json`, Buffer.from(JSON.stringify({
+      user_id: userId,
+      original_name: originalName,
+      code: rejection.code,
+      reason: rejection.message,
+      detected_mime: rejection.detectedMime,
+      quarantined_at: new Date().toISOString()
+    }, null, 2)));
+
+    logger.warn(`Upload from user ${userId} quarantined (${rejection.code}): ${originalName} -> ${name}.bin`);
+    return target;
+  }
+}
+
+module.exports = MediaValidationService;
@@ -0,0 +1,94 @@
+// src/services/postDeletionService.js - Suppression (soft delete) des posts et effets en cascade
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+const HomeTimelineService = require('./homeTimelineService');
+
+const MODERATOR_ROLES = ['ADMIN', 'MODERATOR'];
+
+/**
+ * Sémantique de suppression d'un post :
+ * - le post passe à active = false (deleted_at / deleted_by / deletion_reason renseignés)
+ * - réponses : conservées, le post supprimé devient une "tombstone" dans les conversations
+ * - likes, mentions : conservés mais exclus partout, leurs notifications sont acquittées
+ * - tags : associations conservées, les requêtes filtrent sur post.active
+ * - médias (img_vid_post) : conservés pour la modération, purgés par cleanOrphanedMedia
+ * - signalements : conservés tels quels (pas de statut stocké : les vues de modération
+ *   affichent "post_removed" d'après post.active)
+ * - timelines d'accueil : entrées matérialisées retirées
+ */
+class PostDeletionService {
+  /**
+   * Vérifie si un rôle permet de supprimer le contenu des autres
+   */
+  static isModeratorRole(roleName) {
+    return MODERATOR_ROLES.includes(roleName);
+  }
+
+  /**
+   * Supprime un post et applique les effets en cascade
+   * @param {Object} client - client Prisma ou transaction
+   */
+  static async softDelete(client, postId, { deletedBy, reason = null }) {
+    const now = new Date();
+
+    const result = await client.post.updateMany({
+      where: { id_post: postId, active: true },
+      data: {
+        active: false,
+        deleted_at: now,
+        deleted_by: deletedBy,
+        deletion_reason: reason ? reason.substring(0, 255) : null,
+        updated_at: now
+      }
+    });
+
+    if (result.count === 0) {
+      return null;
+    }
+
+    // Plus aucune notification ne doit pointer vers un contenu supprimé
+    await client.like.updateMany({
+      where: { id_post: postId, notif_view: false },
+      data: { notif_view: true }
+    });
+
+    await client.mention.updateMany({
+      where: { id_post: postId, notif_view: false },
+      data: { notif_view: true }
+    });
+
+    await HomeTimelineService.removePost(client, postId);
+
+    return { id_post: postId, deleted_at: now, deleted_by: deletedBy };
+  }
+
+  /**
+   * Supprime un post dans sa propre transaction
+   */
+  static async deletePost(postId, options) {
+    const deleted = await prisma.$transaction(tx => this.softDelete(tx, postId, options));
+
+    if (deleted) {
+      logger.info(`Post ${postId} deleted by user ${options.deletedBy}${options.reason ? ` (reason: ${options.reason})` : ''}`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Représentation d'un post supprimé conservé dans un fil de conversation
+   */
+  static toTombstone(post) {
+    return {
+      id_post: post.id_post,
+      post_parent: post.post_parent,
+      created_at: post.created_at,
+      deleted_at: post.deleted_at,
+      deleted: true,
+      content: null,
+      author: null
+    };
+  }
+}
+
+module.exports = PostDeletionService;
@@ -0,0 +1,393 @@
+// src/services/postSearchService.js - Recherche plein texte des posts (tsvector PostgreSQL, langue de l'auteur, sans accents)
+const { Prisma } = require('@prisma/client');
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+
+// Configurations de recherche créées dans le schéma cercle : <langue>_unaccent (racinisation + accents ignorés)
+const SEARCH_LANGUAGES = {
+  french: 'french_stem',
+  english: 'english_stem',
+  simple: 'simple'
+};
+
+// Langue des posts dont l'auteur n'a pas de préférence (langue par défaut de la plateforme)
+const DEFAULT_LANGUAGE = 'french';
+
+// Posts réindexés par lot lors du rattrapage
+const REINDEX_BATCH_SIZE = 1000;
+
+// Délimiteurs des termes trouvés dans les extraits (retirés du contenu, remplacés par <mark> une fois le texte échappé)
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+const HEADLINE_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_END}", MaxWords=35, MinWords=15, ShortWord=3, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Trigger créé seulement s'il n'existe pas encore (un DROP/CREATE verrouillerait la table à chaque démarrage)
+const createTriggerIfMissing = (name, table, statement) => `
+  DO $$
+  BEGIN
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_trigger WHERE tgname = '${name}' AND tgrelid = '${table}'::regclass
+    ) THEN
+      ${statement};
+    END IF;
+  END $$`;
+
+/**
+ * Index maintenu par la base :
+ * - post.search_language : configuration déduite de la langue (Langue) de l'auteur, figée à l'écriture
+ * - post.search_vector : tsvector recalculé par trigger à chaque création ou modification du contenu,
+ *   et pour tous les posts d'un auteur quand il change de langue
+ * - index GIN post_search_vector_idx
+ * Les migrations n'étant pas versionnées, ensureSearchIndex() installe ces objets (idempotent) au démarrage.
+ */
+const SETUP_STATEMENTS = [
+  'CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA public',
+
+  ...Object.entries(SEARCH_LANGUAGES).map(([language, dictionary]) => `
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_ts_config c JOIN pg_namespace n ON n.oid = c.cfgnamespace
+        WHERE n.nspname = 'cercle' AND c.cfgname = '${language}_unaccent'
+      ) THEN
+        CREATE TEXT SEARCH CONFIGURATION cercle.${language}_unaccent (COPY = pg_catalog.${language});
+        ALTER TEXT SEARCH CONFIGURATION cercle.${language}_unaccent
+          ALTER MAPPING FOR hword, hword_part, word WITH public.unaccent, ${dictionary};
+      END IF;
+    END $$`),
+
+  'ALTER TABLE cercle.post ADD COLUMN IF NOT EXISTS search_language VARCHAR(20)',
+  'ALTER TABLE cercle.post ADD COLUMN IF NOT EXISTS search_vector tsvector',
+  'CREATE INDEX IF NOT EXISTS post_search_vector_idx ON cercle.post USING GIN (search_vector)',
+
+  `CREATE OR REPLACE FUNCTION cercle.post_search_language(author_id INTEGER) RETURNS TEXT
+    LANGUAGE sql STABLE AS $$
+      SELECT COALESCE((
+        SELECT CASE
+          WHEN lower(public.unaccent(l.langue)) IN ('francais', 'french', 'fr') THEN 'french'
+          WHEN lower(public.unaccent(l.langue)) IN ('anglais', 'english', 'en') THEN 'english'
+          ELSE 'simple'
+        END
+        FROM cercle.user_preferences up
+        JOIN cercle.langues l ON l.id_langue = up.id_langue
+        WHERE up.id_user = author_id
+      ), '${DEFAULT_LANGUAGE}')
+    $$`,
+
+  `CREATE OR REPLACE FUNCTION cercle.post_search_vector(search_language TEXT, content TEXT) RETURNS tsvector
+    LANGUAGE sql STABLE AS $$
+      SELECT to_tsvector(('cercle.' || search_language || '_unaccent')::regconfig, COALESCE(content, ''))
+    $$`,
+
+  `CREATE OR REPLACE FUNCTION cercle.post_search_update() RETURNS trigger
+    LANGUAGE plpgsql AS $$
+    BEGIN
+      NEW.search_language := cercle.post_search_language(NEW.id_user);
+      NEW.search_vector := cercle.post_search_vector(NEW.search_language, NEW.content);
+      RETURN NEW;
+    END $$`,
+  createTriggerIfMissing('post_search_update', 'cercle.post', `
+    CREATE TRIGGER post_search_update BEFORE INSERT OR UPDATE OF content ON cercle.post
+      FOR EACH ROW EXECUTE FUNCTION cercle.post_search_update()`),
+
+  `CREATE OR REPLACE FUNCTION cercle.post_search_language_changed() RETURNS trigger
+    LANGUAGE plpgsql AS $$
+    DECLARE
+      language TEXT := cercle.post_search_language(NEW.id_user);
+    BEGIN
+      UPDATE cercle.post
+      SET search_language = language,
+          search_vector = cercle.post_search_vector(language, content)
+      WHERE id_user = NEW.id_user AND search_language IS DISTINCT FROM language;
+      RETURN NEW;
+    END $$`,
+  createTriggerIfMissing('post_search_language_changed', 'cercle.user_preferences', `
+    CREATE TRIGGER post_search_language_changed AFTER INSERT OR UPDATE OF id_langue ON cercle.user_preferences
+      FOR EACH ROW EXECUTE FUNCTION cercle.post_search_language_changed()`)
+];
+
+// Passe à true une fois les objets installés ; avant (ou en cas d'échec), la recherche plein texte répond 503
+let searchIndexReady = false;
+
+const createSearchUnavailableError = () => {
+  const error = new Error('Full-text search is not available yet');
+  error.name = 'SearchUnavailableError';
+  error.status = 503;
+  return error;
+};
+
+class PostSearchService {
+  /**
+   * Installe (ou met à jour) les objets de recherche, puis indexe les posts qui ne le sont pas encore
+   */
+  static async ensureSearchIndex() {
+    for (const statement of SETUP_STATEMENTS) {
+      await prisma.$executeRawUnsafe(statement);
+    }
+    searchIndexReady = true;
+
+    const indexed = await this.reindex({ missingOnly: true });
+    logger.info(`Post search index ready${indexed > 0 ? ` (${indexed} post(s) indexed)` : ''}`);
+    return indexed;
+  }
+
+  /**
+   * Recalcule les vecteurs par lots (missingOnly : seulement les posts jamais indexés)
+   */
+  static async reindex({ missingOnly = false } = {}) {
+    let total = 0;
+    let lastId = 0;
+
+    for (;;) {
+      const batch = await prisma.$queryRaw`
+        SELECT id_post FROM cercle.post
+        WHERE id_post > ${lastId}
+          AND (${!missingOnly} OR search_vector IS NULL)
+        ORDER BY id_post
+        LIMIT ${REINDEX_BATCH_SIZE}
+      `;
+      if (batch.length === 0) break;
+
+      const ids = batch.map(row => row.id_post);
+      total += await prisma.$executeRaw`
+        UPDATE cercle.post
+        SET search_language = cercle.post_search_language(id_user),
+            search_vector = cercle.post_search_vector(cercle.post_search_language(id_user), content)
+        WHERE id_post = ANY(${ids})
+      `;
+      lastId = ids[ids.length - 1];
+    }
+
+    return total;
+  }
+
+  /**
+   * Extrait HTML sûr : contenu échappé, termes trouvés entourés de <mark>
+   */
+  static toSnippet(headline) {
+    if (!headline) return null;
+    return headline
+      .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+      .split(MARK_START).join('<mark>')
+      .split(MARK_END).join('</mark>');
+  }
+
+  /**
+   * Condition de visibilité : posts actifs d'auteurs actifs, comptes privés visibles par leurs abonnés acceptés
+   */
+  static visibilityCondition(viewerId) {
+    if (!viewerId) {
+      return Prisma.sql`u.private = false`;
+    }
+
+    return Prisma.sql`(
+      u.private = false
+      OR p.id_user = ${viewerId}
+      OR EXISTS (
+        SELECT 1 FROM cercle.follow f
+        WHERE f.follower = ${viewerId} AND f.account = p.id_user AND f.active = true AND f.pending = false
+      )
+    )`;
+  }
+
+  /**
+   * Opérateurs de recherche (voir utils/searchQuery) traduits en conditions SQL sur p (post)
+   */
+  static filterConditions(filters) {
+    const conditions = [];
+
+    if (filters.from.length > 0) {
+      conditions.push(Prisma.sql`lower(u.username) IN (${Prisma.join(filters.from.map(name => name.toLowerCase()))})`);
+    }
+    for (const name of filters.to) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM cercle.mentions m
+        JOIN cercle.users mu ON mu.id_user = m.id_user
+        WHERE m.id_post = p.id_post AND lower(mu.username) = ${name.toLowerCase()}
+      )`);
+    }
+    for (const tag of filters.tags) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM cercle.post_tags pt
+        JOIN cercle.tags t ON t.id_tag = pt.id_tag
+        WHERE pt.id_post = p.id_post AND lower(t.tag) = ${tag.toLowerCase()}
+      )`);
+    }
+    for (const kind of filters.has) {
+      conditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM cercle.img_vid_post ivp
+        JOIN cercle.type_media tm ON tm.id_media = ivp.id_media
+        WHERE ivp.id_post = p.id_post
+          AND (ivp.processing_status IS NULL OR ivp.processing_status <> 'rejected')
+          ${kind === 'media' ? Prisma.empty : Prisma.sql`AND tm.media = ${kind}`}
+      )`);
+    }
+    if (filters.since) {
+      conditions.push(Prisma.sql`p.created_at >= ${filters.since}`);
+    }
+    if (filters.until) {
+      conditions.push(Prisma.sql`p.created_at < ${filters.until}`);
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Mêmes opérateurs en filtre Prisma (recherche sans texte libre)
+   */
+  static filterWhere(filters) {
+    const where = [];
+    const insensitive = value => ({ equals: value, mode: 'insensitive' });
+
+    if (filters.from.length > 0) {
+      where.push({ user: { username: { in: filters.from, mode: 'insensitive' } } });
+    }
+    for (const name of filters.to) {
+      where.push({ mentions: { some: { user: { username: insensitive(name) } } } });
+    }
+    for (const tag of filters.tags) {
+      where.push({ post_tags: { some: { tag: { tag: insensitive(tag) } } } });
+    }
+    for (const kind of filters.has) {
+      where.push({
+        img_vid_post: {
+          some: {
+            OR: [
+              { processing_status: null },
+              { processing_status: { not: 'rejected' } }
+            ],
+            ...(kind !== 'media' && { type_media: { media: kind } })
+          }
+        }
+      });
+    }
+    if (filters.since || filters.until) {
+      where.push({
+        created_at: {
+          ...(filters.since && { gte: filters.since }),
+          ...(filters.until && { lt: filters.until })
+        }
+      });
+    }
+
+    return where;
+  }
+
+  /**
+   * Conditions communes : posts racines actifs d'auteurs actifs, visibles par le lecteur, opérateurs
+   */
+  static baseConditions(viewerId, filters) {
+    return Prisma.join([
+      Prisma.sql`p.active = true`,
+      Prisma.sql`p.post_parent IS NULL`,
+      Prisma.sql`u.is_active = true`,
+      this.visibilityCondition(viewerId),
+      ...this.filterConditions(filters)
+    ], ' AND ');
+  }
+
+  /**
+   * Recherche classée : syntaxe web (mots, "expression exacte", OR, -exclusion), insensible à la casse et aux accents,
+   * racinisation selon la langue de chaque post
+   * @param {Object} options.filters - opérateurs analysés par parseSearchQuery
+   * @returns {Promise<{ results: Array<{ id_post: number, rank: number, snippet: string }>, total: number }>}
+   * @throws SearchUnavailableError (status 503) tant que ensureSearchIndex() n'a pas abouti
+   */
+  static async search(query, { viewerId = null, filters, page = 1, limit = 20, sortBy = 'relevance', order = 'desc' }) {
+    if (!searchIndexReady) {
+      throw createSearchUnavailableError();
+    }
+
+    const direction = Prisma.raw(order === 'asc' ? 'ASC' : 'DESC');
+    const orderBy = {
+      relevance: Prisma.sql`rank DESC, created_at DESC, id_post DESC`,
+      created_at: Prisma.sql`created_at ${direction}, id_post ${direction}`,
+      likes_count: Prisma.sql`like_count ${direction}, rank DESC, id_post DESC`
+    }[sortBy];
+
+    const languageMatches = Object.keys(SEARCH_LANGUAGES).map(language =>
+      Prisma.sql`(p.search_language = ${language} AND p.search_vector @@ q.${Prisma.raw(language)})`
+    );
+
+    const rows = await prisma.$queryRaw`
+      WITH q AS (
+        SELECT
+          websearch_to_tsquery('cercle.french_unaccent', ${query}) AS french,
+          websearch_to_tsquery('cercle.english_unaccent', ${query}) AS english,
+          websearch_to_tsquery('cercle.simple_unaccent', ${query}) AS simple
+      ),
+      matches AS (
+        SELECT
+          p.id_post,
+          p.created_at,
+          p.content,
+          p.search_language,
+          CASE p.search_language WHEN 'english' THEN q.english WHEN 'simple' THEN q.simple ELSE q.french END AS tsquery,
+          ts_rank_cd(
+            p.search_vector,
+            CASE p.search_language WHEN 'english' THEN q.english WHEN 'simple' THEN q.simple ELSE q.french END,
+            32
+          ) AS rank,
+          ${sortBy === 'likes_count'
+            ? Prisma.sql`(SELECT COUNT(*) FROM cercle.likes l WHERE l.id_post = p.id_post AND l.active = true)`
+            : Prisma.sql`0`} AS like_count
+        FROM cercle.post p
+        JOIN cercle.users u ON u.id_user = p.id_user
+        CROSS JOIN q
+        WHERE ${this.baseConditions(viewerId, filters)}
+          AND (${Prisma.join(languageMatches, ' OR ')})
+      ),
+      page AS (
+        SELECT *, COUNT(*) OVER () AS total
+        FROM matches
+        ORDER BY ${orderBy}
+        LIMIT ${limit} OFFSET ${(page - 1) * limit}
+      )
+      SELECT
+        id_post,
+        rank::float8 AS rank,
+        total,
+        ts_headline(
+          ('cercle.' || search_language || '_unaccent')::regconfig,
+          translate(content, ${MARK_START + MARK_END}, ''),
+          tsquery,
+          ${HEADLINE_OPTIONS}
+        ) AS headline
+      FROM page
+      ORDER BY ${orderBy}
+    `;
+
+    return {
+      results: rows.map(row => ({
+        id_post: row.id_post,
+        rank: Math.round(row.rank * 1e6) / 1e6,
+        snippet: this.toSnippet(row.headline)
+      })),
+      total: rows.length > 0 ? Number(rows[0].total) : await this.count(query, { viewerId, filters, page })
+    };
+  }
+
+  /**
+   * Total pour une page au-delà des résultats (la fenêtre COUNT(*) OVER n'a alors aucune ligne)
+   */
+  static async count(query, { viewerId, filters, page }) {
+    if (page === 1) return 0;
+
+    const languageMatches = Object.keys(SEARCH_LANGUAGES).map(language =>
+      Prisma.sql`(p.search_language = ${language} AND p.search_vector @@ websearch_to_tsquery(${`cercle.${language}_unaccent`}::regconfig, ${query}))`
+    );
+
+    const [{ total }] = await prisma.$queryRaw`
+      SELECT COUNT(*) AS total
+      FROM cercle.post p
+      JOIN cercle.users u ON u.id_user = p.id_user
+      WHERE ${this.baseConditions(viewerId, filters)}
+        AND (${Prisma.join(languageMatches, ' OR ')})
+    `;
+    return Number(total);
+  }
+}
+
+module.exports = PostSearchService;
@@ -0,0 +1,273 @@
+// src/services/storageQuotaService.js - Comptabilité des fichiers stockés par utilisateur et quotas
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+
+const MB = 1024 * 1024;
+
+// Fichiers attribués à leur uploadeur : images/<id_user>_..., videos/<id_user>_... (dérivés compris)
+const OWNED_KEY_PATTERN = /^(?:images|videos)\/(\d+)_\d+_[a-z0-9]+/;
+
+// Quotas par défaut en Mo (0 = illimité), surchargés par STORAGE_QUOTA_<PALIER>_MB
+const DEFAULT_QUOTAS_MB = {
+  USER: 1024,
+  CERTIFIED: 5120,
+  MODERATOR: 5120,
+  ADMIN: 0
+};
+
+// Sessions d'upload fractionné dont la taille annoncée est réservée
+const RESERVING_SESSION_STATUSES = ['pending', 'processing'];
+
+class StorageQuotaService {
+  /**
+   * Erreur typée pour un upload dépassant le quota
+   */
+  static createQuotaError(usage, requestedBytes) {
+    const error = new Error(
+      `Storage quota exceeded: ${this.formatBytes(usage.used_bytes + usage.reserved_bytes)} used of ${this.formatBytes(usage.quota_bytes)}, ` +
+      `${this.formatBytes(requestedBytes)} requested`
+    );
+    error.name = 'StorageQuotaError';
+    error.code = 'QUOTA_EXCEEDED';
+    error.status = 413;
+    error.usage = usage;
+    error.requestedBytes = requestedBytes;
+    return error;
+  }
+
+  /**
+   * Réponse 413 standard
+   */
+  static toPayload(error) {
+    return {
+      error: 'Storage quota exceeded',
+      code: error.code,
+      message: error.message,
+      quota: {
+        quota_bytes: error.usage.quota_bytes,
+        used_bytes: error.usage.used_bytes,
+        reserved_bytes: error.usage.reserved_bytes,
+        requested_bytes: error.requestedBytes
+      }
+    };
+  }
+
+  static formatBytes(bytes) {
+    return `${Math.round((bytes / MB) * 10) / 10}MB`;
+  }
+
+  /**
+   * Uploadeur d'une clé de stockage (null : quarantaine, morceaux, fichiers système)
+   */
+  static getOwnerId(key) {
+    const match = OWNED_KEY_PATTERN.exec(key);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Quotas par palier en Mo (0 : illimité)
+   */
+  static getTierQuotas() {
+    const quotas = {};
+    for (const [tier, defaultMb] of Object.entries(DEFAULT_QUOTAS_MB)) {
+      const configured = parseInt(process.env[`STORAGE_QUOTA_${tier}_MB`]);
+      quotas[tier] = isNaN(configured) || configured < 0 ? defaultMb : configured;
+    }
+    return quotas;
+  }
+
+  /**
+   * Palier d'un utilisateur : rôle ADMIN/MODERATOR, puis compte certifié, sinon USER
+   */
+  static getTier(user) {
+    const role = user.role ? user.role.role : null;
+    if (role === 'ADMIN' || role === 'MODERATOR') return role;
+    return user.certified ? 'CERTIFIED' : 'USER';
+  }
+
+  /**
+   * Quota effectif en octets (null : illimité), quota fixé par un administrateur prioritaire
+   */
+  static async getQuota(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id_user: userId },
+      select: {
+        certified: true,
+        role: { select: { role: true } },
+        storage_quota: {
+          select: { quota_mb: true, reason: true, set_by: true, updated_at: true }
+        }
+      }
+    });
+
+    const tier = user ? this.getTier(user) : 'USER';
+    const override = user ? user.storage_quota : null;
+
+    if (override) {
+      return {
+        tier,
+        quota_bytes: override.quota_mb === null ? null : override.quota_mb * MB,
+        override
+      };
+    }
+
+    const tierMb = this.getTierQuotas()[tier];
+    return { tier, quota_bytes: tierMb > 0 ? tierMb * MB : null, override: null };
+  }
+
+  /**
+   * Octets stockés et réservés (uploads fractionnés en cours)
+   */
+  static async getUsage(userId, { excludeSessionId = null } = {}) {
+    const [stored, reserved] = await Promise.all([
+      prisma.storedFile.aggregate({
+        where: { id_user: userId },
+        _sum: { size: true },
+        _count: { _all: true }
+      }),
+      prisma.uploadSession.aggregate({
+        where: {
+          id_user: userId,
+          status: { in: RESERVING_SESSION_STATUSES },
+          ...(excludeSessionId && { id_upload_session: { not: excludeSessionId } })
+        },
+        _sum: { file_size: true }
+      })
+    ]);
+
+    return {
+      used_bytes: Number(stored._sum.size || 0),
+      reserved_bytes: reserved._sum.file_size || 0,
+      files: stored._count._all
+    };
+  }
+
+  /**
+   * Résumé exposé à l'utilisateur et aux administrateurs
+   */
+  static async describe(userId) {
+    const [quota, usage] = await Promise.all([
+      this.getQuota(userId),
+      this.getUsage(userId)
+    ]);
+
+    const consumed = usage.used_bytes + usage.reserved_bytes;
+    let usagePercent = null;
+    if (quota.quota_bytes !== null) {
+      usagePercent = quota.quota_bytes === 0 ? 100 : Math.min(100, Math.round((consumed / quota.quota_bytes) * 1000) / 10);
+    }
+
+    return {
+      tier: quota.tier,
+      quota_bytes: quota.quota_bytes,
+      used_bytes: usage.used_bytes,
+      reserved_bytes: usage.reserved_bytes,
+      remaining_bytes: quota.quota_bytes === null ? null : Math.max(0, quota.quota_bytes - consumed),
+      usage_percent: usagePercent,
+      files: usage.files,
+      override: quota.override
+    };
+  }
+
+  /**
+   * Refuse un upload qui ferait dépasser le quota
+   * @throws StorageQuotaError (code: QUOTA_EXCEEDED, status 413)
+   */
+  static async assertCanStore(userId, bytes, options = {}) {
+    const [quota, usage] = await Promise.all([
+      this.getQuota(userId),
+      this.getUsage(userId, options)
+    ]);
+
+    if (quota.quota_bytes === null) return;
+
+    if (usage.used_bytes + usage.reserved_bytes + bytes > quota.quota_bytes) {
+      throw this.createQuotaError({ ...usage, quota_bytes: quota.quota_bytes }, bytes);
+    }
+  }
+
+  /**
+   * Enregistre un fichier écrit dans le stockage (appelé par StorageService.put).
+   * Une erreur de comptabilité n'empêche pas l'upload : recalculate() la corrige.
+   */
+  static async recordStored(key, size) {
+    const userId = this.getOwnerId(key);
+    if (!userId) return;
+
+    try {
+      await prisma.storedFile.upsert({
+        where: { storage_key: key },
+        create: { storage_key: key, id_user: userId, size: BigInt(size), created_at: new Date() },
+        update: { size: BigInt(size) }
+      });
+    } catch (error) {
+      logger.error(`Failed to record stored file ${key} for user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Retire des fichiers supprimés de la comptabilité (appelé par StorageService.delete)
+   */
+  static async recordDeleted(keys) {
+    const owned = keys.filter(key => this.getOwnerId(key));
+    if (owned.length === 0) return;
+
+    try {
+      await prisma.storedFile.deleteMany({ where: { storage_key: { in: owned } } });
+    } catch (error) {
+      logger.error(`Failed to remove ${owned.length} stored file(s) from accounting:`, error);
+    }
+  }
+
+  /**
+   * Recalcule la comptabilité d'un utilisateur à partir du stockage
+   * (fichiers connus en base + fichiers déjà comptabilisés)
+   */
+  static async recalculate(userId) {
+    // Chargés à l'appel : storageService dépend de ce service
+    const StorageService = require('./storageService');
+    const ImageProcessingService = require('./imageProcessingService');
+
+    const [postMedia, messageMedia, ledger] = await Promise.all([
+      prisma.imgVidPost.findMany({
+        where: { post: { id_user: userId } },
+        select: { lien_media: true, thumbnail: true, variants: true }
+      }),
+      prisma.imgVidMsg.findMany({
+        where: { message: { sender: userId } },
+        select: { lien_media: true, thumbnail: true, variants: true }
+      }),
+      prisma.storedFile.findMany({
+        where: { id_user: userId },
+        select: { storage_key: true }
+      })
+    ]);
+
+    const keys = new Set([
+      ...[...postMedia, ...messageMedia].flatMap(media => ImageProcessingService.listFiles(media)),
+      ...ledger.map(file => file.storage_key)
+    ]);
+
+    let recorded = 0;
+    const missing = [];
+
+    for (const key of keys) {
+      if (this.getOwnerId(key) !== userId) continue;
+
+      const stats = await StorageService.stat(key).catch(() => null);
+      if (stats) {
+        await this.recordStored(key, stats.size);
+        recorded++;
+      } else {
+        missing.push(key);
+      }
+    }
+
+    await this.recordDeleted(missing);
+    logger.info(`Storage usage recalculated for user ${userId}: ${recorded} file(s), ${missing.length} missing entry(ies) removed`);
+
+    return { recorded, removed: missing.length };
+  }
+}
+
+module.exports = StorageQuotaService;
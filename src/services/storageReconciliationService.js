@@ -0,0 +1,466 @@
+// src/services/storageReconciliationService.js - Rapprochement stockage / base (fichiers orphelins, médias sans fichier)
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+const StorageService = require('./storageService');
+const StorageQuotaService = require('./storageQuotaService');
+const MediaAccessService = require('./mediaAccessService');
+const ImageProcessingService = require('./imageProcessingService');
+
+// Préfixes parcourus (la quarantaine est conservée pour la modération)
+const SCANNED_PREFIXES = ['images', 'videos', 'chunks'];
+
+// Morceau d'upload fractionné : chunks/<id_upload_session>/<index>
+const CHUNK_KEY_PATTERN = /^chunks\/(\d+)\//;
+
+// Sessions dont les morceaux sont encore attendus
+const ACTIVE_SESSION_STATUSES = ['pending', 'processing'];
+
+// Entrées conservées dans un rapport (les totaux portent sur tout le stockage)
+const MAX_REPORT_ENTRIES = 5000;
+
+const BATCH_SIZE = 1000;
+const FIRST_RUN_DELAY_MS = 10 * 60 * 1000;
+
+// Tables de médias : toute clé référencée ici est conservée
+const MEDIA_SOURCES = [
+  { table: 'img_vid_post', model: 'imgVidPost', id: 'id_img_vid_post', select: { processing_status: true } },
+  { table: 'img_vid_msg', model: 'imgVidMsg', id: 'id_img_vid_msg', select: {} }
+];
+
+// Verrou consultatif PostgreSQL : un seul parcours à la fois, toutes instances confondues
+const SCAN_LOCK_NAME = 'cercle.storage_reconciliation_scan';
+// Durée maximale d'un parcours (la transaction qui porte le verrou est annulée au-delà)
+const SCAN_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+let schedulerTimer = null;
+
+class StorageReconciliationService {
+  // Colonnes d'un résumé (le rapport détaillé peut contenir des milliers d'entrées)
+  static SUMMARY_SELECT = {
+    id_reconciliation: true,
+    status: true,
+    trigger: true,
+    grace_hours: true,
+    scanned_files: true,
+    scanned_bytes: true,
+    orphaned_files: true,
+    orphaned_bytes: true,
+    missing_files: true,
+    truncated: true,
+    duration_ms: true,
+    deleted_files: true,
+    deleted_bytes: true,
+    skipped_files: true,
+    repaired_rows: true,
+    started_by: true,
+    applied_by: true,
+    created_at: true,
+    applied_at: true
+  };
+
+  /**
+   * Âge minimum d'un fichier non référencé avant suppression (STORAGE_RECONCILE_GRACE_HOURS, 24h par défaut).
+   * Laisse le temps d'attacher un upload à un post ou à un message.
+   */
+  static getGraceHours() {
+    const hours = parseInt(process.env.STORAGE_RECONCILE_GRACE_HOURS);
+    return isNaN(hours) || hours < 1 ? 24 : hours;
+  }
+
+  /**
+   * Intervalle du rapprochement planifié (STORAGE_RECONCILE_INTERVAL_HOURS, 0 = désactivé)
+   */
+  static getIntervalHours() {
+    const hours = parseInt(process.env.STORAGE_RECONCILE_INTERVAL_HOURS);
+    return isNaN(hours) || hours < 0 ? 24 : hours;
+  }
+
+  /**
+   * Erreur typée pour les rapprochements
+   */
+  static createReconciliationError(code, message, status) {
+    const error = new Error(message);
+    error.name = 'ReconciliationError';
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Clés de stockage d'un média avec le champ qui les référence
+   */
+  static listReferences(media) {
+    const references = [{ field: 'lien_media', key: media.lien_media }];
+    if (media.thumbnail) references.push({ field: 'thumbnail', key: media.thumbnail });
+    for (const [name, variant] of Object.entries(media.variants || {})) {
+      if (variant && variant.path) references.push({ field: `variants.${name}`, key: variant.path });
+    }
+    return references;
+  }
+
+  static isScannedKey(key) {
+    return typeof key === 'string' && SCANNED_PREFIXES.some(prefix => key.startsWith(`${prefix}/`));
+  }
+
+  /**
+   * Parcourt une table de médias par lots
+   */
+  static async forEachMedia(source, callback) {
+    let cursor = null;
+
+    for (;;) {
+      const batch = await prisma[source.model].findMany({
+        select: { [source.id]: true, lien_media: true, thumbnail: true, variants: true, ...source.select },
+        orderBy: { [source.id]: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor && { cursor: { [source.id]: cursor }, skip: 1 })
+      });
+
+      batch.forEach(callback);
+      if (batch.length < BATCH_SIZE) return;
+      cursor = batch[batch.length - 1][source.id];
+    }
+  }
+
+  static async getActiveSessionIds() {
+    const sessions = await prisma.uploadSession.findMany({
+      where: { status: { in: ACTIVE_SESSION_STATUSES } },
+      select: { id_upload_session: true }
+    });
+    return new Set(sessions.map(session => session.id_upload_session));
+  }
+
+  /**
+   * Raison de la suppression d'un fichier, null s'il doit être conservé
+   */
+  static getOrphanReason(key, referencedKeys, activeSessionIds) {
+    const chunk = CHUNK_KEY_PATTERN.exec(key);
+    if (chunk) {
+      return activeSessionIds.has(parseInt(chunk[1])) ? null : 'stale_chunk';
+    }
+    return referencedKeys.has(key) ? null : 'unreferenced';
+  }
+
+  /**
+   * Parcourt le stockage et enregistre un rapport sans rien supprimer (dry-run)
+   */
+  static async scan({ trigger = 'manual', startedBy = null } = {}) {
+    // Verrou de transaction : libéré au commit, ou par PostgreSQL si l'instance s'arrête en cours de parcours
+    return prisma.$transaction(async (tx) => {
+      const [{ locked }] = await tx.$queryRaw`SELECT pg_try_advisory_xact_lock(hashtext(${SCAN_LOCK_NAME})) AS locked`;
+      if (!locked) {
+        throw this.createReconciliationError('RECONCILIATION_IN_PROGRESS', 'A storage reconciliation is already running', 409);
+      }
+
+      return this.runScan({ trigger, startedBy });
+    }, { timeout: SCAN_TIMEOUT_MS });
+  }
+
+  static async runScan({ trigger, startedBy }) {
+    const startedAt = Date.now();
+    const graceHours = this.getGraceHours();
+    const cutoff = new Date(startedAt - graceHours * 60 * 60 * 1000);
+
+    // 1. Contenu du stockage (avant la base : un média créé pendant le parcours n'est pas signalé à tort)
+    const files = new Map();
+    for (const prefix of SCANNED_PREFIXES) {
+      for await (const file of StorageService.list(prefix)) {
+        files.set(file.key, file);
+      }
+    }
+
+    // 2. Clés référencées et médias dont un fichier manque
+    const referencedKeys = new Set();
+    const candidates = [];
+
+    for (const source of MEDIA_SOURCES) {
+      await this.forEachMedia(source, (media) => {
+        for (const { field, key } of this.listReferences(media)) {
+          referencedKeys.add(key);
+          if (!this.isScannedKey(key) || files.has(key)) continue;
+          // Vidéo refusée : fichier d'origine supprimé volontairement
+          if (field === 'lien_media' && media.processing_status === 'rejected') continue;
+          candidates.push({ table: source.table, id: media[source.id], field, key });
+        }
+      });
+    }
+
+    // Fichier écrit pendant le parcours : vérifié individuellement
+    const missing = [];
+    for (const entry of candidates) {
+      if (!(await StorageService.stat(entry.key).catch(() => null))) {
+        missing.push(entry);
+      }
+    }
+
+    // 3. Fichiers orphelins plus anciens que le délai de grâce
+    const activeSessionIds = await this.getActiveSessionIds();
+    const orphans = [];
+    let scannedBytes = 0;
+    let orphanedBytes = 0;
+
+    for (const file of files.values()) {
+      scannedBytes += file.size;
+      if (file.lastModified > cutoff) continue;
+
+      const reason = this.getOrphanReason(file.key, referencedKeys, activeSessionIds);
+      if (!reason) continue;
+
+      orphanedBytes += file.size;
+      orphans.push({
+        key: file.key,
+        size: file.size,
+        last_modified: file.lastModified,
+        owner: StorageQuotaService.getOwnerId(file.key),
+        reason
+      });
+    }
+
+    orphans.sort((a, b) => a.last_modified - b.last_modified);
+
+    const run = await prisma.storageReconciliation.create({
+      data: {
+        status: 'reported',
+        trigger,
+        grace_hours: graceHours,
+        scanned_files: files.size,
+        scanned_bytes: BigInt(scannedBytes),
+        orphaned_files: orphans.length,
+        orphaned_bytes: BigInt(orphanedBytes),
+        missing_files: missing.length,
+        truncated: orphans.length > MAX_REPORT_ENTRIES || missing.length > MAX_REPORT_ENTRIES,
+        report: {
+          orphans: orphans.slice(0, MAX_REPORT_ENTRIES),
+          missing: missing.slice(0, MAX_REPORT_ENTRIES)
+        },
+        duration_ms: Date.now() - startedAt,
+        started_by: startedBy,
+        created_at: new Date()
+      }
+    });
+
+    logger.info(
+      `Storage reconciliation #${run.id_reconciliation} (${trigger}): ${files.size} file(s) scanned, ` +
+      `${orphans.length} orphaned (${StorageQuotaService.formatBytes(orphanedBytes)}), ${missing.length} missing`
+    );
+
+    return run;
+  }
+
+  /**
+   * Un fichier du rapport est-il toujours orphelin ? (attaché ou session reprise depuis le rapport)
+   */
+  static async isStillOrphaned(orphan) {
+    const chunk = CHUNK_KEY_PATTERN.exec(orphan.key);
+    if (chunk) {
+      const session = await prisma.uploadSession.findUnique({
+        where: { id_upload_session: parseInt(chunk[1]) },
+        select: { status: true }
+      });
+      return !session || !ACTIVE_SESSION_STATUSES.includes(session.status);
+    }
+
+    const mediaKey = MediaAccessService.getMediaKeyFilter(orphan.key);
+    const [postReferences, messageReferences] = await Promise.all([
+      prisma.imgVidPost.count({ where: { lien_media: mediaKey } }),
+      prisma.imgVidMsg.count({ where: { lien_media: mediaKey } })
+    ]);
+
+    return postReferences === 0 && messageReferences === 0;
+  }
+
+  /**
+   * Corrige un média dont un fichier manque : média supprimé si l'original manque,
+   * sinon la miniature ou la variante absente est retirée
+   */
+  static async repairMissing(entry) {
+    if (await StorageService.stat(entry.key).catch(() => null)) return false;
+
+    const source = MEDIA_SOURCES.find(candidate => candidate.table === entry.table);
+    const where = { [source.id]: entry.id };
+    const media = await prisma[source.model].findUnique({
+      where,
+      select: { lien_media: true, thumbnail: true, variants: true }
+    });
+
+    if (!media) return false;
+
+    if (entry.field === 'lien_media') {
+      if (media.lien_media !== entry.key) return false;
+      await prisma[source.model].delete({ where });
+      await ImageProcessingService.removeFiles(ImageProcessingService.listFiles(media).filter(key => key !== entry.key));
+      return true;
+    }
+
+    if (entry.field === 'thumbnail') {
+      if (media.thumbnail !== entry.key) return false;
+      await prisma[source.model].update({ where, data: { thumbnail: null } });
+      return true;
+    }
+
+    const name = entry.field.replace(/^variants\./, '');
+    if (!media.variants || !media.variants[name] || media.variants[name].path !== entry.key) return false;
+
+    const { [name]: removed, ...variants } = media.variants;
+    await prisma[source.model].update({
+      where,
+      data: { variants: Object.keys(variants).length > 0 ? variants : null }
+    });
+    return true;
+  }
+
+  /**
+   * Supprime les fichiers d'un rapport, chacun étant revérifié au préalable
+   */
+  static async apply(reconciliationId, { appliedBy = null, repairMissing = false } = {}) {
+    const run = await prisma.storageReconciliation.findUnique({
+      where: { id_reconciliation: reconciliationId }
+    });
+
+    if (!run) {
+      throw this.createReconciliationError('RECONCILIATION_NOT_FOUND', 'Reconciliation report not found', 404);
+    }
+
+    // Un seul appel à la fois, un rapport n'est appliqué qu'une fois
+    const { count } = await prisma.storageReconciliation.updateMany({
+      where: { id_reconciliation: reconciliationId, status: 'reported' },
+      data: { status: 'applying' }
+    });
+
+    if (count === 0) {
+      throw this.createReconciliationError(
+        'RECONCILIATION_CLOSED',
+        `Reconciliation report is ${run.status === 'reported' ? 'applying' : run.status}`,
+        409
+      );
+    }
+
+    let deletedFiles = 0;
+    let deletedBytes = 0;
+    let skippedFiles = 0;
+    let repairedRows = 0;
+
+    try {
+      for (const orphan of run.report.orphans) {
+        if (!(await this.isStillOrphaned(orphan))) {
+          skippedFiles++;
+          continue;
+        }
+
+        await StorageService.delete(orphan.key);
+        deletedFiles++;
+        deletedBytes += orphan.size;
+      }
+
+      if (repairMissing) {
+        for (const entry of run.report.missing) {
+          if (await this.repairMissing(entry)) repairedRows++;
+        }
+      }
+    } catch (error) {
+      // Rapport de nouveau applicable : les fichiers déjà supprimés seront ignorés
+      await prisma.storageReconciliation.update({
+        where: { id_reconciliation: reconciliationId },
+        data: { status: 'reported' }
+      });
+      throw error;
+    }
+
+    const applied = await prisma.storageReconciliation.update({
+      where: { id_reconciliation: reconciliationId },
+      data: {
+        status: 'applied',
+        deleted_files: deletedFiles,
+        deleted_bytes: BigInt(deletedBytes),
+        skipped_files: skippedFiles,
+        repaired_rows: repairMissing ? repairedRows : null,
+        applied_by: appliedBy,
+        applied_at: new Date()
+      }
+    });
+
+    logger.info(
+      `Storage reconciliation #${reconciliationId} applied: ${deletedFiles} file(s) deleted ` +
+      `(${StorageQuotaService.formatBytes(deletedBytes)}), ${skippedFiles} skipped, ${repairedRows} media repaired`
+    );
+
+    return applied;
+  }
+
+  /**
+   * Résumé d'un rapprochement (sans le détail des fichiers)
+   */
+  static toSummary(run) {
+    return {
+      id: run.id_reconciliation,
+      status: run.status,
+      trigger: run.trigger,
+      grace_hours: run.grace_hours,
+      scanned_files: run.scanned_files,
+      scanned_bytes: Number(run.scanned_bytes),
+      orphaned_files: run.orphaned_files,
+      orphaned_bytes: Number(run.orphaned_bytes),
+      missing_files: run.missing_files,
+      truncated: run.truncated,
+      duration_ms: run.duration_ms,
+      deleted_files: run.deleted_files,
+      deleted_bytes: run.deleted_bytes === null ? null : Number(run.deleted_bytes),
+      skipped_files: run.skipped_files,
+      repaired_rows: run.repaired_rows,
+      started_by: run.started_by,
+      applied_by: run.applied_by,
+      created_at: run.created_at,
+      applied_at: run.applied_at
+    };
+  }
+
+  static toReport(run) {
+    return {
+      ...this.toSummary(run),
+      orphans: run.report.orphans,
+      missing: run.report.missing
+    };
+  }
+
+  /**
+   * Passage planifié : rapport seul, suppression automatique avec STORAGE_RECONCILE_AUTO_APPLY=true
+   */
+  static async runScheduled() {
+    try {
+      const run = await this.scan({ trigger: 'scheduled' });
+
+      if (process.env.STORAGE_RECONCILE_AUTO_APPLY === 'true' && run.orphaned_files > 0) {
+        await this.apply(run.id_reconciliation);
+      }
+    } catch (error) {
+      if (error.code === 'RECONCILIATION_IN_PROGRESS') return;
+      logger.error('Scheduled storage reconciliation error:', error);
+    }
+  }
+
+  static startScheduler() {
+    const hours = this.getIntervalHours();
+    if (schedulerTimer || hours === 0) return;
+
+    // Premier passage différé : pas de parcours complet du stockage à chaque démarrage
+    schedulerTimer = setTimeout(() => {
+      schedulerTimer = setInterval(() => this.runScheduled(), hours * 60 * 60 * 1000);
+      schedulerTimer.unref();
+      this.runScheduled();
+    }, FIRST_RUN_DELAY_MS);
+    schedulerTimer.unref();
+
+    const mode = process.env.STORAGE_RECONCILE_AUTO_APPLY === 'true' ? 'auto-apply' : 'dry run';
+    logger.info(`🧹 Storage reconciliation scheduled every ${hours}h (grace period ${this.getGraceHours()}h, ${mode})`);
+  }
+
+  static stopScheduler() {
+    if (schedulerTimer) {
+      clearTimeout(schedulerTimer);
+      clearInterval(schedulerTimer);
+      schedulerTimer = null;
+    }
+  }
+}
+
+module.exports = StorageReconciliationService;
@@ -0,0 +1,506 @@
+// src/services/storageService.js - Stockage des médias avec driver interchangeable (disque local, S3 compatible)
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const logger = require('../utils/logger');
+const StorageQuotaService = require('./storageQuotaService');
+
+/**
+ * Interface d'un driver (clés = chemins relatifs, ex: images/12_1717_abc.webp) :
+ * - put(key, source, { contentType }) : source = Buffer ou chemin d'un fichier local
+ * - get(key)                          : flux lisible (erreur STORAGE_NOT_FOUND si absent)
+ * - delete(key)                       : sans erreur si la clé n'existe pas
+ * - stat(key)                         : { size, contentType, lastModified } ou null
+ * - getSignedUrl(key, { expiresIn })  : URL de lecture temporaire
+ * - list(prefix)                      : facultatif, itérateur async de { key, size, lastModified }
+ *                                       pour toutes les clés sous prefix/ (rapprochement stockage / base)
+ */
+const REQUIRED_METHODS = ['put', 'get', 'delete', 'stat', 'getSignedUrl'];
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.avi': 'video/x-msvideo',
+  '.json': 'application/json'
+};
+
+const guessContentType = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const createStorageError = (code, message) => {
+  const error = new Error(message);
+  error.name = 'StorageError';
+  error.code = code;
+  return error;
+};
+
+// ===============================
+// DISQUE LOCAL
+// ===============================
+
+const localDriver = {
+  getRoot() {
+    return path.resolve(process.env.UPLOAD_PATH || './uploads');
+  },
+
+  // Refuse toute clé sortant du dossier d'upload (../)
+  resolve(key) {
+    const root = this.getRoot();
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw createStorageError('STORAGE_INVALID_KEY', `Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  },
+
+  async put(key, source) {
+    const fullPath = this.resolve(key);
+    await fsp.mkdir(path.dirname(fullPath), { recursive: true });
+
+    if (Buffer.isBuffer(source)) {
+      await fsp.writeFile(fullPath, source);
+    } else {
+      await fsp.copyFile(source, fullPath);
+    }
+  },
+
+  async get(key) {
+    const fullPath = this.resolve(key);
+    if (!(await this.stat(key))) {
+      throw createStorageError('STORAGE_NOT_FOUND', `File not found: ${key}`);
+    }
+    return fs.createReadStream(fullPath);
+  },
+
+  async delete(key) {
+    try {
+      await fsp.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+
+  async stat(key) {
+    try {
+      const stats = await fsp.stat(this.resolve(key));
+      if (!stats.isFile()) return null;
+      return { size: stats.size, contentType: guessContentType(key), lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async *list(prefix) {
+    const root = this.getRoot();
+
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(fullPath);
+        } else if (entry.isFile()) {
+          const stats = await fsp.stat(fullPath);
+          yield {
+            key: path.relative(root, fullPath).split(path.sep).join('/'),
+            size: stats.size,
+            lastModified: stats.mtime
+          };
+        }
+      }
+    };
+
+    yield* walk(this.resolve(prefix));
+  },
+
+  // Pas de serveur de fichiers devant le disque : l'API sert elle-même l'URL signée (HMAC)
+  async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = StorageService.signLocalKey(key, expires);
+    const baseUrl = (process.env.API_BASE_URL || '').replace(/\/$/, '');
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${baseUrl}/api/v1/media/files/${encodedKey}?expires=${expires}&signature=${signature}`;
+  }
+};
+
+// ===============================
+// S3 COMPATIBLE (AWS, MinIO...) - signature AWS v4
+// ===============================
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Encodage RFC 3986 exigé par la signature v4
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Réponses XML de l'API S3 (ListObjectsV2)
+const readXmlTag = (xml, tag) => {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? match[1] : null;
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXml = (value) => value && value.replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name]);
+
+const s3Driver = {
+  getConfig() {
+    const region = process.env.S3_REGION || 'us-east-1';
+    const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+
+    return {
+      endpoint,
+      // Endpoint vu par les navigateurs (ex: http://localhost:9000 quand l'API parle à http://minio:9000)
+      publicEndpoint: (process.env.S3_PUBLIC_ENDPOINT || endpoint).replace(/\/$/, ''),
+      region,
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // MinIO n'accepte que les URLs de type http://host/bucket/key
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : !!process.env.S3_ENDPOINT
+    };
+  },
+
+  buildUrl(config, endpoint, key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const url = new URL(endpoint);
+
+    if (config.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${config.bucket}/${encodedKey}`;
+    } else {
+      url.hostname = `${config.bucket}.${url.hostname}`;
+      url.pathname = `/${encodedKey}`;
+    }
+
+    return url;
+  },
+
+  getSigningKey(config, date) {
+    const dateKey = hmac(`AWS4${config.secretAccessKey}`, date);
+    const regionKey = hmac(dateKey, config.region);
+    const serviceKey = hmac(regionKey, 's3');
+    return hmac(serviceKey, 'aws4_request');
+  },
+
+  /**
+   * Signature v4 d'une requête (en-têtes ou paramètres de requête pour les URLs présignées)
+   */
+  sign(config, { method, url, headers = {}, query = {}, payloadHash, now = new Date() }) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.substring(0, 8);
+    const scope = `${date}/${config.region}/s3/aws4_request`;
+
+    const signedHeaders = { ...headers, host: url.host };
+    const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(
+      Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    );
+
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signature = hmac(this.getSigningKey(config, date), stringToSign).toString('hex');
+
+    return { amzDate, scope, signedHeaders: headerNames.join(';'), signature };
+  },
+
+  async request(method, key, { body = null, contentType = null, contentLength = null, query = {} } = {}) {
+    const config = this.getConfig();
+    const url = this.buildUrl(config, config.endpoint, key);
+    url.search = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+    // Corps en flux : hash non calculable à l'avance
+    const payloadHash = body && !Buffer.isBuffer(body) ? 'UNSIGNED-PAYLOAD' : sha256(body || '');
+    const now = new Date();
+
+    const headers = {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': now.toISOString().replace(/[:-]|\.\d{3}/g, '')
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const { scope, signedHeaders, signature } = this.sign(config, { method, url, headers, query, payloadHash, now });
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    const options = { method, headers: { ...headers } };
+    if (contentLength !== null) options.headers['content-length'] = String(contentLength);
+    if (body) {
+      options.body = body;
+      // Flux (fichier local) : envoi sans mise en mémoire complète
+      if (!Buffer.isBuffer(body)) options.duplex = 'half';
+    }
+
+    return fetch(url, options);
+  },
+
+  async put(key, source, { contentType } = {}) {
+    let body = source;
+    let contentLength = source.length;
+
+    if (!Buffer.isBuffer(source)) {
+      // S3 exige la taille exacte pour un PUT en flux
+      contentLength = (await fsp.stat(source)).size;
+      body = Readable.toWeb(fs.createReadStream(source));
+    }
+
+    const response = await this.request('PUT', key, {
+      body,
+      contentType: contentType || guessContentType(key),
+      contentLength
+    });
+
+    if (!response.ok) {
+      throw createStorageError('STORAGE_WRITE_FAILED', `S3 PUT ${key} failed with status ${response.status}: ${await response.text()}`);
+    }
+  },
+
+  async get(key) {
+    const response = await this.request('GET', key);
+
+    if (response.status === 404) {
+      throw createStorageError('STORAGE_NOT_FOUND', `File not found: ${key}`);
+    }
+    if (!response.ok) {
+      throw createStorageError('STORAGE_READ_FAILED', `S3 GET ${key} failed with status ${response.status}`);
+    }
+
+    return Readable.fromWeb(response.body);
+  },
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+
+    if (!response.ok && response.status !== 404) {
+      throw createStorageError('STORAGE_DELETE_FAILED', `S3 DELETE ${key} failed with status ${response.status}`);
+    }
+  },
+
+  async stat(key) {
+    const response = await this.request('HEAD', key);
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw createStorageError('STORAGE_READ_FAILED', `S3 HEAD ${key} failed with status ${response.status}`);
+    }
+
+    return {
+      size: parseInt(response.headers.get('content-length')),
+      contentType: response.headers.get('content-type') || guessContentType(key),
+      lastModified: new Date(response.headers.get('last-modified'))
+    };
+  },
+
+  // ListObjectsV2 paginé (1000 clés par page)
+  async *list(prefix) {
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: `${prefix}/` };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const response = await this.request('GET', '', { query });
+      if (!response.ok) {
+        throw createStorageError('STORAGE_READ_FAILED', `S3 LIST ${prefix}/ failed with status ${response.status}`);
+      }
+
+      const xml = await response.text();
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        yield {
+          key: decodeXml(readXmlTag(contents, 'Key')),
+          size: parseInt(readXmlTag(contents, 'Size')),
+          lastModified: new Date(readXmlTag(contents, 'LastModified'))
+        };
+      }
+
+      continuationToken = readXmlTag(xml, 'IsTruncated') === 'true'
+        ? decodeXml(readXmlTag(xml, 'NextContinuationToken'))
+        : null;
+    } while (continuationToken);
+  },
+
+  // URL présignée servie directement par le stockage
+  async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+    const config = this.getConfig();
+    const url = this.buildUrl(config, config.publicEndpoint, key);
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${config.accessKeyId}/${amzDate.substring(0, 8)}/${config.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(expiresIn, 604800)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+
+    const { signature } = this.sign(config, { method: 'GET', url, query, payloadHash: 'UNSIGNED-PAYLOAD', now });
+
+    const search = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    return `${url.origin}${url.pathname}?${search}&X-Amz-Signature=${signature}`;
+  }
+};
+
+const drivers = {
+  local: localDriver,
+  s3: s3Driver
+};
+
+class StorageService {
+  /**
+   * Enregistre un driver personnalisé (GCS, Azure...)
+   */
+  static registerDriver(name, driver) {
+    const missing = REQUIRED_METHODS.filter(method => !driver || typeof driver[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Storage driver "${name}" must implement ${missing.join(', ')}`);
+    }
+    drivers[name] = driver;
+  }
+
+  /**
+   * Driver actif, choisi par STORAGE_DRIVER (local par défaut)
+   */
+  static getDriver() {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const driver = drivers[name];
+
+    if (!driver) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    return driver;
+  }
+
+  /**
+   * Clé relative sans segment vide, "." ou ".." (une URL S3 normalisée sortirait du bucket)
+   */
+  static assertValidKey(key) {
+    const segments = typeof key === 'string' ? key.split('/') : [];
+    if (segments.length === 0 || key.includes('\\') || segments.some(segment => ['', '.', '..'].includes(segment))) {
+      throw createStorageError('STORAGE_INVALID_KEY', `Invalid storage key: ${key}`);
+    }
+  }
+
+  static async put(key, source, options = {}) {
+    this.assertValidKey(key);
+    await this.getDriver().put(key, source, options);
+
+    // Taille réelle comptabilisée pour le quota de l'uploadeur
+    const size = Buffer.isBuffer(source) ? source.length : (await fsp.stat(source)).size;
+    await StorageQuotaService.recordStored(key, size);
+  }
+
+  static async get(key) {
+    this.assertValidKey(key);
+    return this.getDriver().get(key);
+  }
+
+  /**
+   * Contenu complet en mémoire (images à traiter avec sharp)
+   */
+  static async getBuffer(key) {
+    const stream = await this.get(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  static async stat(key) {
+    this.assertValidKey(key);
+    return this.getDriver().stat(key);
+  }
+
+  static async getSignedUrl(key, options = {}) {
+    this.assertValidKey(key);
+    return this.getDriver().getSignedUrl(key, options);
+  }
+
+  /**
+   * Parcourt les fichiers sous un préfixe (ex: images), driver compatible requis
+   */
+  static list(prefix) {
+    this.assertValidKey(prefix);
+    const driver = this.getDriver();
+
+    if (typeof driver.list !== 'function') {
+      throw createStorageError('STORAGE_LIST_UNSUPPORTED', `Storage driver "${process.env.STORAGE_DRIVER || 'local'}" cannot list files`);
+    }
+
+    return driver.list(prefix);
+  }
+
+  /**
+   * Suppression d'une clé, les erreurs sont journalisées sans être propagées
+   */
+  static async delete(key) {
+    try {
+      this.assertValidKey(key);
+      await this.getDriver().delete(key);
+      await StorageQuotaService.recordDeleted([key]);
+    } catch (error) {
+      logger.error(`Failed to delete stored file ${key}:`, error);
+    }
+  }
+
+  static async deleteMany(keys) {
+    await Promise.all(keys.map(key => this.delete(key)));
+  }
+
+  /**
+   * Signature HMAC des URLs servies par l'API (driver local)
+   */
+  static signLocalKey(key, expires) {
+    const secret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+    return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  static verifyLocalSignature(key, expires, signature) {
+    if (!signature || !/^\d+$/.test(String(expires)) || parseInt(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signLocalKey(key, expires), 'hex');
+    const provided = Buffer.from(String(signature), 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  static guessContentType(key) {
+    return guessContentType(key);
+  }
+}
+
+module.exports = StorageService;
@@ -1,32 +1,52 @@
 // 1. src/services/tokenService.js - Version corrigée avec durées optimales
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
 
 class TokenService {
   /**
    * Génère les tokens d'accès et de rafraîchissement avec durées optimisées
+   * Le refresh token est persisté (hashé) et rattaché à une famille = une session
    */
-  static generateTokens(userId) {
-    const accessToken = jwt.sign(
-      { id_user: userId },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { 
-        expiresIn: process.env.JWT_EXPIRES_IN || '1h', // ✅ CHANGÉ: 1h au lieu de 15m
-        issuer: 'social-network-api',
-        audience: 'social-network-client'
-      }
-    );
-    
+  static async generateTokens(userId, context = {}) {
+    return this.issueTokenPair(prisma, userId, crypto.randomUUID(), context);
+  }
+
+  /**
+   * Émet une paire de tokens pour une famille donnée et enregistre le refresh token
+   */
+  static async issueTokenPair(client, userId, familyId, context = {}) {
+    const accessToken = this.generateAccessToken({
+      id_user: userId,
+      sid: familyId
+    });
+
     const refreshToken = jwt.sign(
-      { id_user: userId },
+      { id_user: userId, fam: familyId },
       process.env.JWT_REFRESH_SECRET || 'your-refresh-secret',
       { 
         expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d', // ✅ CHANGÉ: 30j au lieu de 7j
         issuer: 'social-network-api',
-        audience: 'social-network-client'
+        audience: 'social-network-client',
+        jwtid: crypto.randomUUID()
       }
     );
-    
-    return { accessToken, refreshToken };
+
+    const stored = await client.refreshToken.create({
+      data: {
+        id_user: userId,
+        token_hash: this.hashToken(refreshToken),
+        family_id: familyId,
+        device: context.device || null,
+        ip_address: context.ip_address || null,
+        user_agent: context.user_agent || null,
+        issued_at: new Date(),
+        expires_at: new Date(this.decodeToken(refreshToken).exp * 1000)
+      }
+    });
+
+    return { accessToken, refreshToken, sessionId: familyId, tokenId: stored.id_refresh_token };
   }
 
   /**
@@ -44,6 +64,37 @@ class TokenService {
     );
   }
 
+  /**
+   * Token intermédiaire "MFA en attente" émis après le mot de passe, avant le code TOTP.
+   * Signé avec une clé distincte : il n'est jamais accepté comme token d'accès.
+   */
+  static generateMfaPendingToken(userId) {
+    return jwt.sign(
+      { mfa_user: userId },
+      this.getMfaPendingSecret(),
+      { 
+        expiresIn: process.env.MFA_PENDING_EXPIRES_IN || '5m',
+        issuer: 'social-network-api',
+        audience: 'social-network-mfa'
+      }
+    );
+  }
+
+  /**
+   * Vérifie un token "MFA en attente" et renvoie l'ID utilisateur
+   */
+  static verifyMfaPendingToken(token) {
+    const decoded = jwt.verify(token, this.getMfaPendingSecret(), {
+      issuer: 'social-network-api',
+      audience: 'social-network-mfa'
+    });
+    return decoded.mfa_user;
+  }
+
+  static getMfaPendingSecret() {
+    return `${process.env.JWT_SECRET || 'your-secret-key'}:mfa-pending`;
+  }
+
   /**
    * Vérifie et décode un token de rafraîchissement
    */
@@ -65,14 +116,261 @@ class TokenService {
   }
 
   /**
-   * Génère un nouveau token d'accès à partir d'un refresh token
+   * Rotation d'un refresh token : l'ancien est marqué comme utilisé et un nouveau
+   * est émis dans la même famille. La réutilisation d'un token déjà tourné
+   * révoque toute la famille (vol probable du token).
    */
-  static refreshAccessToken(refreshToken) {
+  static async rotateRefreshToken(refreshToken, context = {}) {
     const decoded = this.verifyRefreshToken(refreshToken);
-    const accessToken = this.generateAccessToken({
-      id_user: decoded.id_user
+
+    const stored = await prisma.refreshToken.findUnique({
+      where: { token_hash: this.hashToken(refreshToken) }
+    });
+
+    if (!stored || stored.id_user !== decoded.id_user) {
+      throw this.createTokenError('REFRESH_TOKEN_UNKNOWN', 'Refresh token is not recognized');
+    }
+
+    if (stored.revoked_at) {
+      throw this.createTokenError('REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+    }
+
+    if (stored.rotated_at) {
+      await this.revokeFamily(stored.family_id);
+      logger.warn(`Refresh token reuse detected for user ${stored.id_user}, session ${stored.family_id} revoked`);
+      throw this.createTokenError('REFRESH_TOKEN_REUSED', 'Refresh token reuse detected, session revoked');
+    }
+
+    const now = new Date();
+    if (stored.expires_at <= now) {
+      throw this.createTokenError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+    }
+
+    const tokens = await prisma.$transaction(async (tx) => {
+      // Condition sur rotated_at/revoked_at : deux refresh concurrents ne peuvent pas tourner le même token
+      const { count } = await tx.refreshToken.updateMany({
+        where: {
+          id_refresh_token: stored.id_refresh_token,
+          rotated_at: null,
+          revoked_at: null
+        },
+        data: { rotated_at: now }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const newTokens = await this.issueTokenPair(tx, stored.id_user, stored.family_id, {
+        device: context.device || stored.device,
+        ip_address: context.ip_address || stored.ip_address,
+        user_agent: context.user_agent || stored.user_agent
+      });
+
+      await tx.refreshToken.update({
+        where: { id_refresh_token: stored.id_refresh_token },
+        data: { replaced_by: newTokens.tokenId }
+      });
+
+      return newTokens;
+    });
+
+    if (!tokens) {
+      await this.revokeFamily(stored.family_id);
+      logger.warn(`Concurrent refresh token reuse for user ${stored.id_user}, session ${stored.family_id} revoked`);
+      throw this.createTokenError('REFRESH_TOKEN_REUSED', 'Refresh token reuse detected, session revoked');
+    }
+
+    return { ...tokens, userId: stored.id_user };
+  }
+
+  /**
+   * Révoque tous les refresh tokens encore valides d'une famille (session)
+   */
+  static async revokeFamily(familyId, client = prisma) {
+    const { count } = await client.refreshToken.updateMany({
+      where: {
+        family_id: familyId,
+        revoked_at: null
+      },
+      data: { revoked_at: new Date() }
+    });
+
+    return count;
+  }
+
+  /**
+   * Révoque la session à laquelle appartient un refresh token (si elle appartient à userId)
+   */
+  static async revokeRefreshToken(refreshToken, userId) {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { token_hash: this.hashToken(refreshToken) },
+      select: { family_id: true, id_user: true }
+    });
+
+    if (!stored || stored.id_user !== userId) {
+      return null;
+    }
+
+    await this.revokeFamily(stored.family_id);
+    return stored;
+  }
+
+  /**
+   * Révoque toutes les sessions d'un utilisateur
+   */
+  static async revokeAllUserTokens(userId, client = prisma) {
+    const { count } = await client.refreshToken.updateMany({
+      where: {
+        id_user: userId,
+        revoked_at: null
+      },
+      data: { revoked_at: new Date() }
+    });
+
+    return count;
+  }
+
+  /**
+   * Vérifie qu'une session (famille) n'a pas été révoquée et met à jour sa dernière activité
+   */
+  static async touchSession(familyId) {
+    const current = await prisma.refreshToken.findFirst({
+      where: {
+        family_id: familyId,
+        revoked_at: null,
+        rotated_at: null,
+        expires_at: { gt: new Date() }
+      },
+      select: { id_refresh_token: true, last_used_at: true }
+    });
+
+    if (!current) {
+      return false;
+    }
+
+    // Limiter les écritures : au plus une mise à jour par minute et par session
+    const now = new Date();
+    if (!current.last_used_at || now - current.last_used_at > 60 * 1000) {
+      await prisma.refreshToken.update({
+        where: { id_refresh_token: current.id_refresh_token },
+        data: { last_used_at: now }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Liste les sessions actives d'un utilisateur (une par famille de refresh tokens)
+   */
+  static async getActiveSessions(userId) {
+    const currentTokens = await prisma.refreshToken.findMany({
+      where: {
+        id_user: userId,
+        revoked_at: null,
+        rotated_at: null,
+        expires_at: { gt: new Date() }
+      },
+      orderBy: { issued_at: 'desc' }
+    });
+
+    if (currentTokens.length === 0) {
+      return [];
+    }
+
+    const firstIssued = await prisma.refreshToken.groupBy({
+      by: ['family_id'],
+      where: { family_id: { in: currentTokens.map(t => t.family_id) } },
+      _min: { issued_at: true }
+    });
+    const createdByFamily = new Map(firstIssued.map(f => [f.family_id, f._min.issued_at]));
+
+    return currentTokens.map(token => ({
+      id: token.family_id,
+      device: token.device,
+      ip_address: token.ip_address,
+      user_agent: token.user_agent,
+      created_at: createdByFamily.get(token.family_id) || token.issued_at,
+      last_seen: token.last_used_at && token.last_used_at > token.issued_at
+        ? token.last_used_at
+        : token.issued_at,
+      expires_at: token.expires_at
+    }));
+  }
+
+  /**
+   * Révoque une session précise d'un utilisateur
+   */
+  static async revokeUserSession(userId, familyId) {
+    const { count } = await prisma.refreshToken.updateMany({
+      where: {
+        id_user: userId,
+        family_id: familyId,
+        revoked_at: null
+      },
+      data: { revoked_at: new Date() }
+    });
+
+    return count;
+  }
+
+  /**
+   * Révoque toutes les sessions d'un utilisateur sauf celle indiquée
+   */
+  static async revokeOtherSessions(userId, currentFamilyId) {
+    const where = {
+      id_user: userId,
+      revoked_at: null
+    };
+
+    if (currentFamilyId) {
+      where.family_id = { not: currentFamilyId };
+    }
+
+    const sessions = await prisma.refreshToken.findMany({
+      where,
+      distinct: ['family_id'],
+      select: { family_id: true }
+    });
+
+    await prisma.refreshToken.updateMany({
+      where,
+      data: { revoked_at: new Date() }
     });
-    return accessToken;
+
+    return sessions.length;
+  }
+
+  /**
+   * Hash SHA-256 d'un token : seul le hash est stocké en base
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Informations sur l'appareil à l'origine de la requête
+   */
+  static getRequestContext(req) {
+    const device = req.get('X-Device-Name');
+    const userAgent = req.get('User-Agent');
+
+    return {
+      device: device ? device.substring(0, 255) : null,
+      ip_address: req.ip ? req.ip.substring(0, 64) : null,
+      user_agent: userAgent ? userAgent.substring(0, 512) : null
+    };
+  }
+
+  /**
+   * Erreur typée pour les refus de refresh token
+   */
+  static createTokenError(code, message) {
+    const error = new Error(message);
+    error.name = 'RefreshTokenError';
+    error.code = code;
+    return error;
   }
 
   /**
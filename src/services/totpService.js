@@ -0,0 +1,205 @@
+// src/services/totpService.js - TOTP (RFC 6238) et codes de récupération pour la 2FA
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+class TotpService {
+  /**
+   * Encode un buffer en base32 (format attendu par les applications d'authentification)
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Décode une chaîne base32 en buffer
+   */
+  static base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Génère un nouveau secret (160 bits, base32)
+   */
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * URI otpauth:// à afficher sous forme de QR code
+   */
+  static buildOtpauthUri(secret, accountName) {
+    const issuer = process.env.MFA_ISSUER || 'Cercle';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Code HOTP pour un compteur donné
+   */
+  static generateCode(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Pas de temps courant
+   */
+  static currentStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+  }
+
+  /**
+   * Vérifie un code avec une tolérance de ±1 pas (décalage d'horloge).
+   * Renvoie le pas correspondant (pour empêcher le rejeu) ou null.
+   */
+  static verifyCode(secret, code, lastUsedStep = null) {
+    if (!/^\d{6}$/.test(code)) {
+      return null;
+    }
+
+    const step = this.currentStep();
+    for (const candidate of [step - 1, step, step + 1]) {
+      if (lastUsedStep !== null && candidate <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = this.generateCode(secret, candidate);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Génère des codes de récupération à usage unique (format xxxx-xxxx)
+   */
+  static generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+  }
+
+  /**
+   * Forme canonique d'un code de récupération : minuscules, tiret inséré s'il a été omis (xxxxx-xxxxx)
+   */
+  static normalizeRecoveryCode(code) {
+    const raw = code.replace(/[\s-]/g, '').toLowerCase();
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  }
+
+  /**
+   * Hash d'un code de récupération (normalisé) : HMAC-SHA256 avec un secret serveur,
+   * une fuite de la table ne suffit pas à retrouver les codes par force brute
+   */
+  static hashRecoveryCode(code) {
+    const secret = process.env.MFA_RECOVERY_CODE_SECRET || process.env.MFA_ENCRYPTION_KEY ||
+      process.env.JWT_SECRET || 'your-secret-key';
+    return crypto.createHmac('sha256', secret).update(this.normalizeRecoveryCode(code)).digest('hex');
+  }
+
+  /**
+   * La 2FA est-elle imposée à cet utilisateur ? (drapeau individuel ou rôle listé
+   * dans MFA_REQUIRED_ROLES, ex: "ADMIN,MODERATOR")
+   */
+  static isRequiredFor(user, roleName) {
+    const requiredRoles = (process.env.MFA_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim().toUpperCase())
+      .filter(Boolean);
+
+    return Boolean(user.mfa_required) || requiredRoles.includes(roleName);
+  }
+
+  /**
+   * Clé de chiffrement des secrets TOTP stockés en base
+   */
+  static getEncryptionKey() {
+    const source = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key';
+    return crypto.createHash('sha256').update(source).digest();
+  }
+
+  /**
+   * Chiffre un secret (AES-256-GCM) : iv.tag.données en base64
+   */
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  /**
+   * Déchiffre un secret stocké
+   */
+  static decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = TotpService;
@@ -0,0 +1,347 @@
+// src/services/uploadSessionService.js - Uploads fractionnés et reprenables (sessions, morceaux, assemblage)
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+const StorageService = require('./storageService');
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const MIN_CHUNK_SIZE = 256 * 1024;          // 256KB (sauf le dernier morceau)
+const MAX_CHUNK_SIZE = 10 * 1024 * 1024;    // 10MB
+const MAX_PENDING_SESSIONS = 5;             // par utilisateur
+
+// Les morceaux transitent par le stockage partagé : n'importe quel conteneur API peut les recevoir
+const CHUNK_PREFIX = 'chunks';
+
+class UploadSessionService {
+  static DEFAULT_CHUNK_SIZE = DEFAULT_CHUNK_SIZE;
+  static MIN_CHUNK_SIZE = MIN_CHUNK_SIZE;
+  static MAX_CHUNK_SIZE = MAX_CHUNK_SIZE;
+
+  /**
+   * Durée de vie d'une session sans activité (UPLOAD_SESSION_TTL_HOURS, 24h par défaut)
+   */
+  static getTtlMs() {
+    const hours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS);
+    return (isNaN(hours) || hours <= 0 ? 24 : hours) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Erreur typée pour les refus liés aux sessions d'upload
+   */
+  static createUploadError(code, message, status = 400) {
+    const error = new Error(message);
+    error.name = 'UploadSessionError';
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  static getChunkKey(sessionId, index) {
+    return `${CHUNK_PREFIX}/${sessionId}/${index}`;
+  }
+
+  static getExpectedChunkSize(session, index) {
+    if (index < session.total_chunks - 1) return session.chunk_size;
+    return session.file_size - session.chunk_size * (session.total_chunks - 1);
+  }
+
+  /**
+   * Ouvre une session (les sessions abandonnées sont purgées au passage)
+   */
+  static async createSession(userId, { fileName, fileSize, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    await this.expireStaleSessions().catch(error => logger.error('Expire upload sessions error:', error));
+
+    const pendingCount = await prisma.uploadSession.count({
+      where: { id_user: userId, status: 'pending' }
+    });
+
+    if (pendingCount >= MAX_PENDING_SESSIONS) {
+      throw this.createUploadError(
+        'TOO_MANY_SESSIONS',
+        `Maximum ${MAX_PENDING_SESSIONS} uploads in progress, complete or abort one first`,
+        429
+      );
+    }
+
+    const now = new Date();
+    return prisma.uploadSession.create({
+      data: {
+        id_user: userId,
+        file_name: fileName,
+        file_size: fileSize,
+        chunk_size: chunkSize,
+        total_chunks: Math.ceil(fileSize / chunkSize),
+        status: 'pending',
+        created_at: now,
+        updated_at: now,
+        expires_at: new Date(now.getTime() + this.getTtlMs())
+      }
+    });
+  }
+
+  /**
+   * Session de l'utilisateur avec ses morceaux reçus (null si inconnue)
+   */
+  static async findOwnedSession(sessionId, userId) {
+    const session = await prisma.uploadSession.findFirst({
+      where: { id_upload_session: sessionId, id_user: userId },
+      include: {
+        chunks: {
+          select: { chunk_index: true, size: true },
+          orderBy: { chunk_index: 'asc' }
+        }
+      }
+    });
+
+    if (session && session.status === 'pending' && session.expires_at < new Date()) {
+      await this.expireSession(session);
+      session.status = 'expired';
+      session.chunks = [];
+    }
+
+    return session;
+  }
+
+  static assertPending(session) {
+    if (session.status !== 'pending') {
+      throw this.createUploadError('SESSION_CLOSED', `Upload session is ${session.status}`, 409);
+    }
+  }
+
+  /**
+   * Enregistre un morceau (ré-envoi autorisé : le morceau précédent est remplacé)
+   */
+  static async saveChunk(session, index, data, expectedChecksum = null) {
+    this.assertPending(session);
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+      throw this.createUploadError('INVALID_CHUNK_INDEX', `Chunk index must be between 0 and ${session.total_chunks - 1}`);
+    }
+
+    const expectedSize = this.getExpectedChunkSize(session, index);
+    if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+      throw this.createUploadError(
+        'INVALID_CHUNK_SIZE',
+        `Chunk ${index} must be exactly ${expectedSize} bytes (received ${Buffer.isBuffer(data) ? data.length : 0})`
+      );
+    }
+
+    const checksum = crypto.createHash('sha256').update(data).digest('hex');
+    if (expectedChecksum && expectedChecksum.toLowerCase() !== checksum) {
+      throw this.createUploadError('CHUNK_CHECKSUM_MISMATCH', `Chunk ${index} checksum does not match`);
+    }
+
+    await StorageService.put(this.getChunkKey(session.id_upload_session, index), data, {
+      contentType: 'application/octet-stream'
+    });
+
+    const now = new Date();
+    await prisma.$transaction([
+      prisma.uploadChunk.upsert({
+        where: {
+          id_upload_session_chunk_index: {
+            id_upload_session: session.id_upload_session,
+            chunk_index: index
+          }
+        },
+        create: {
+          id_upload_session: session.id_upload_session,
+          chunk_index: index,
+          size: data.length,
+          checksum,
+          received_at: now
+        },
+        update: { size: data.length, checksum, received_at: now }
+      }),
+      // Expiration glissante : une session active n'expire pas
+      prisma.uploadSession.update({
+        where: { id_upload_session: session.id_upload_session },
+        data: { updated_at: now, expires_at: new Date(now.getTime() + this.getTtlMs()) }
+      })
+    ]);
+
+    return { index, size: data.length, checksum };
+  }
+
+  /**
+   * État de la session : morceaux reçus, plages d'octets reçues, morceaux manquants
+   */
+  static describe(session) {
+    const received = new Set(session.chunks.map(chunk => chunk.chunk_index));
+    const missing = [];
+    const ranges = [];
+
+    for (let index = 0; index < session.total_chunks; index++) {
+      if (!received.has(index)) {
+        missing.push(index);
+        continue;
+      }
+
+      const start = index * session.chunk_size;
+      const end = start + this.getExpectedChunkSize(session, index);
+      const last = ranges[ranges.length - 1];
+      if (last && last.end === start) {
+        last.end = end;
+      } else {
+        ranges.push({ start, end });
+      }
+    }
+
+    return {
+      upload_id: session.id_upload_session,
+      file_name: session.file_name,
+      file_size: session.file_size,
+      chunk_size: session.chunk_size,
+      total_chunks: session.total_chunks,
+      status: session.status,
+      received_chunks: [...received].sort((a, b) => a - b),
+      missing_chunks: missing,
+      // Plages [start, end[ déjà reçues
+      received_ranges: ranges,
+      received_bytes: session.chunks.reduce((total, chunk) => total + chunk.size, 0),
+      result_path: session.result_path,
+      expires_at: session.expires_at
+    };
+  }
+
+  /**
+   * Réserve la session pour l'assemblage (un seul appel de finalisation à la fois)
+   */
+  static async claimSession(session) {
+    const { count } = await prisma.uploadSession.updateMany({
+      where: { id_upload_session: session.id_upload_session, status: 'pending' },
+      data: { status: 'processing', updated_at: new Date() }
+    });
+
+    if (count === 0) {
+      throw this.createUploadError('SESSION_CLOSED', `Upload session is ${session.status === 'pending' ? 'processing' : session.status}`, 409);
+    }
+    session.status = 'processing';
+  }
+
+  /**
+   * Remet la session en attente après un échec récupérable (morceau corrompu, stockage indisponible)
+   */
+  static async releaseSession(session) {
+    await prisma.uploadSession.update({
+      where: { id_upload_session: session.id_upload_session },
+      data: { status: 'pending', updated_at: new Date() }
+    });
+    session.status = 'pending';
+  }
+
+  /**
+   * Reconstitue le fichier dans un dossier temporaire local et vérifie son SHA-256
+   * @returns {Promise<string>} chemin du fichier assemblé (à supprimer par l'appelant)
+   */
+  static async assemble(session, checksum, tmpDir) {
+    const { missing_chunks: missing } = this.describe(session);
+    if (missing.length > 0) {
+      throw this.createUploadError(
+        'INCOMPLETE_UPLOAD',
+        `Missing chunks: ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? '...' : ''}`,
+        409
+      );
+    }
+
+    await fsp.mkdir(tmpDir, { recursive: true });
+    const assembledPath = path.join(tmpDir, `session_${session.id_upload_session}_${crypto.randomBytes(6).toString('hex')}`);
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(assembledPath);
+
+    try {
+      for (let index = 0; index < session.total_chunks; index++) {
+        const chunk = await StorageService.get(this.getChunkKey(session.id_upload_session, index));
+        for await (const data of chunk) {
+          hash.update(data);
+          if (!output.write(data)) await once(output, 'drain');
+        }
+      }
+      output.end();
+      await once(output, 'finish');
+    } catch (error) {
+      output.destroy();
+      await fsp.unlink(assembledPath).catch(() => {});
+      throw error;
+    }
+
+    const digest = hash.digest('hex');
+    if (digest !== checksum.toLowerCase()) {
+      await fsp.unlink(assembledPath).catch(() => {});
+      throw this.createUploadError('CHECKSUM_MISMATCH', 'File checksum does not match the uploaded chunks');
+    }
+
+    return assembledPath;
+  }
+
+  static async purgeChunks(session) {
+    await StorageService.deleteMany(
+      Array.from({ length: session.total_chunks }, (_, index) => this.getChunkKey(session.id_upload_session, index))
+    );
+    await prisma.uploadChunk.deleteMany({
+      where: { id_upload_session: session.id_upload_session }
+    });
+  }
+
+  static async closeSession(session, status, data = {}) {
+    await this.purgeChunks(session);
+    const now = new Date();
+    return prisma.uploadSession.update({
+      where: { id_upload_session: session.id_upload_session },
+      data: {
+        status,
+        updated_at: now,
+        ...(status === 'completed' && { completed_at: now }),
+        ...data
+      }
+    });
+  }
+
+  static async completeSession(session, resultPath) {
+    return this.closeSession(session, 'completed', { result_path: resultPath });
+  }
+
+  static async abortSession(session) {
+    this.assertPending(session);
+    return this.closeSession(session, 'aborted');
+  }
+
+  static async rejectSession(session) {
+    return this.closeSession(session, 'rejected');
+  }
+
+  static async expireSession(session) {
+    return this.closeSession(session, 'expired');
+  }
+
+  /**
+   * Expire les sessions abandonnées et libère leurs morceaux
+   */
+  static async expireStaleSessions(limit = 100) {
+    const stale = await prisma.uploadSession.findMany({
+      where: {
+        // Une finalisation interrompue (crash) reste en processing : expirée elle aussi
+        status: { in: ['pending', 'processing'] },
+        expires_at: { lt: new Date() }
+      },
+      select: { id_upload_session: true, total_chunks: true },
+      take: limit
+    });
+
+    for (const session of stale) {
+      await this.expireSession(session);
+    }
+
+    if (stale.length > 0) {
+      logger.info(`Expired ${stale.length} abandoned upload session(s)`);
+    }
+
+    return stale.length;
+  }
+}
+
+module.exports = UploadSessionService;
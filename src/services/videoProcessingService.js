@@ -0,0 +1,467 @@
+// src/services/videoProcessingService.js - Traitement des vidéos en arrière-plan (analyse, poster, rendu MP4/H.264)
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const prisma = require('../utils/database');
+const logger = require('../utils/logger');
+const StorageService = require('./storageService');
+const ImageProcessingService = require('./imageProcessingService');
+
+const MAX_ATTEMPTS = 3;
+// Un traitement sans nouvelles depuis 30 min (conteneur arrêté) est repris
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+// Délai avant un nouvel essai après une erreur passagère
+const RETRY_DELAY_MS = 60 * 1000;
+// Petit côté du rendu web (jamais agrandi)
+const RENDITION_SHORT_SIDE = 720;
+const POSTER_QUALITY = 80;
+const PROBE_TIMEOUT_MS = 30 * 1000;
+const TRANSCODE_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Lance un binaire et renvoie sa sortie standard (stderr résumé en cas d'échec)
+ */
+const runCommand = (command, args, timeoutMs) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stdout = '';
+  let stderr = '';
+
+  const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+  child.stdout.on('data', data => { stdout += data; });
+  child.stderr.on('data', data => { stderr = (stderr + data).slice(-4000); });
+
+  child.on('error', error => {
+    clearTimeout(timer);
+    const failure = new Error(`${path.basename(command)} could not be started: ${error.message}`);
+    failure.name = 'TranscoderError';
+    failure.code = 'TRANSCODER_UNAVAILABLE';
+    reject(failure);
+  });
+
+  child.on('close', (code, signal) => {
+    clearTimeout(timer);
+    if (code === 0) return resolve(stdout);
+
+    const lastLine = stderr.trim().split('\n').pop() || 'no output';
+    const failure = new Error(`${path.basename(command)} exited with ${signal || code}: ${lastLine}`);
+    failure.name = 'TranscoderError';
+    failure.code = 'TRANSCODER_FAILED';
+    reject(failure);
+  });
+});
+
+/**
+ * Transcodeurs disponibles. Un transcodeur expose :
+ * - probe(inputPath) -> { duration, width, height, videoCodec, audioCodec }
+ * - extractPoster(inputPath, outputPath, { at }) : une image PNG
+ * - transcode(inputPath, outputPath, { width, height }) : MP4/H.264 + AAC lisible par les navigateurs
+ * Une erreur de code TRANSCODER_UNAVAILABLE (binaire absent) n'est jamais imputée au fichier.
+ */
+const transcoders = {
+  ffmpeg: {
+    async probe(inputPath) {
+      const output = await runCommand(process.env.FFPROBE_PATH || 'ffprobe', [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        inputPath
+      ], PROBE_TIMEOUT_MS);
+
+      const { format = {}, streams = [] } = JSON.parse(output);
+      const video = streams.find(stream => stream.codec_type === 'video');
+      const audio = streams.find(stream => stream.codec_type === 'audio');
+
+      let width = video ? video.width : null;
+      let height = video ? video.height : null;
+
+      // Vidéos de téléphone : dimensions affichées après rotation (ffmpeg applique la rotation)
+      const displayMatrix = video && (video.side_data_list || []).find(data => data.rotation !== undefined);
+      const rotation = Math.abs(parseInt(displayMatrix ? displayMatrix.rotation : video?.tags?.rotate) || 0);
+      if (rotation === 90 || rotation === 270) {
+        [width, height] = [height, width];
+      }
+
+      return {
+        duration: parseFloat(format.duration) || parseFloat(video?.duration) || null,
+        width,
+        height,
+        videoCodec: video ? video.codec_name : null,
+        audioCodec: audio ? audio.codec_name : null
+      };
+    },
+
+    async extractPoster(inputPath, outputPath, { at = 0 } = {}) {
+      await runCommand(process.env.FFMPEG_PATH || 'ffmpeg', [
+        '-v', 'error',
+        '-y',
+        '-ss', String(at),
+        '-i', inputPath,
+        '-frames:v', '1',
+        '-f', 'image2',
+        '-c:v', 'png',
+        outputPath
+      ], PROBE_TIMEOUT_MS);
+    },
+
+    async transcode(inputPath, outputPath, { width, height }) {
+      await runCommand(process.env.FFMPEG_PATH || 'ffmpeg', [
+        '-v', 'error',
+        '-y',
+        '-i', inputPath,
+        '-map', '0:v:0',
+        '-map', '0:a:0?',
+        '-vf', `scale=${width}:${height}`,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-crf', '23',
+        '-profile:v', 'high',
+        '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac',
+        '-b:a', '128k',
+        '-ac', '2',
+        // moov en tête : lecture possible avant la fin du téléchargement
+        '-movflags', '+faststart',
+        '-map_metadata', '-1',
+        outputPath
+      ], TRANSCODE_TIMEOUT_MS);
+    }
+  }
+};
+
+let workerTimer = null;
+let workerRunning = false;
+
+class VideoProcessingService {
+  static MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+  /**
+   * Enregistre un transcodeur personnalisé (service externe, ffmpeg distant...)
+   */
+  static registerTranscoder(name, transcoder) {
+    const missing = ['probe', 'extractPoster', 'transcode']
+      .filter(method => !transcoder || typeof transcoder[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Video transcoder "${name}" must implement ${missing.join(', ')}`);
+    }
+    transcoders[name] = transcoder;
+  }
+
+  /**
+   * Transcodeur actif, choisi par VIDEO_TRANSCODER (ffmpeg par défaut)
+   */
+  static getTranscoder() {
+    const name = process.env.VIDEO_TRANSCODER || 'ffmpeg';
+    const transcoder = transcoders[name];
+
+    if (!transcoder) {
+      const error = new Error(`Unknown video transcoder: ${name}`);
+      error.name = 'TranscoderError';
+      error.code = 'TRANSCODER_UNAVAILABLE';
+      throw error;
+    }
+
+    return transcoder;
+  }
+
+  /**
+   * Durée maximale acceptée (VIDEO_MAX_DURATION_SECONDS, 180s par défaut)
+   */
+  static getMaxDuration() {
+    const seconds = parseInt(process.env.VIDEO_MAX_DURATION_SECONDS);
+    return isNaN(seconds) || seconds <= 0 ? 180 : seconds;
+  }
+
+  /**
+   * Erreur typée : `permanent` pour un fichier refusé (inutile de réessayer)
+   */
+  static createProcessingError(code, message, permanent = false) {
+    const error = new Error(message);
+    error.name = 'VideoProcessingError';
+    error.code = code;
+    error.permanent = permanent;
+    return error;
+  }
+
+  /**
+   * Vidéo issue de /upload et appartenant à son uploadeur : videos/<id_user>_<timestamp>_<aléa>.<ext>
+   */
+  static isOwnUploadedVideo(relativePath, userId) {
+    const match = /^videos\/(\d+)_\d+_[a-z0-9]+\.(?:mp4|mov|avi|webm)$/.exec(relativePath);
+    return !!match && parseInt(match[1]) === parseInt(userId);
+  }
+
+  /**
+   * Fichiers dérivés : videos/<base>_poster.webp, videos/<base>_h264.mp4
+   */
+  static getDerivedPath(relativePath, suffix, extension) {
+    const dir = path.posix.dirname(relativePath);
+    const base = path.posix.basename(relativePath, path.posix.extname(relativePath));
+    return `${dir}/${base}_${suffix}.${extension}`;
+  }
+
+  /**
+   * Dimensions du rendu web : petit côté limité, dimensions paires (exigées par H.264 4:2:0)
+   */
+  static getRenditionSize(width, height) {
+    const scale = Math.min(1, RENDITION_SHORT_SIDE / Math.min(width, height));
+    const even = value => Math.max(2, Math.round((value * scale) / 2) * 2);
+    return { width: even(width), height: even(height) };
+  }
+
+  static getTmpDir() {
+    return path.join(process.env.UPLOAD_PATH || './uploads', 'tmp');
+  }
+
+  /**
+   * Réserve la prochaine vidéo à traiter (plusieurs conteneurs API peuvent faire tourner le worker)
+   */
+  static async claimNext() {
+    const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+    const retryBefore = new Date(Date.now() - RETRY_DELAY_MS);
+
+    // Traitements interrompus trop souvent : abandonnés
+    await prisma.imgVidPost.updateMany({
+      where: {
+        processing_status: 'processing',
+        processing_started_at: { lt: staleBefore },
+        processing_attempts: { gte: MAX_ATTEMPTS }
+      },
+      data: { processing_status: 'failed', processing_error: 'Processing timed out' }
+    });
+
+    for (;;) {
+      const candidate = await prisma.imgVidPost.findFirst({
+        where: {
+          processing_attempts: { lt: MAX_ATTEMPTS },
+          OR: [
+            { processing_status: 'pending', processing_attempts: 0 },
+            { processing_status: 'pending', processing_started_at: { lt: retryBefore } },
+            { processing_status: 'processing', processing_started_at: { lt: staleBefore } }
+          ]
+        },
+        orderBy: { id_img_vid_post: 'asc' },
+        select: { id_img_vid_post: true, processing_status: true, processing_attempts: true }
+      });
+
+      if (!candidate) return null;
+
+      const { count } = await prisma.imgVidPost.updateMany({
+        where: {
+          id_img_vid_post: candidate.id_img_vid_post,
+          processing_status: candidate.processing_status,
+          processing_attempts: candidate.processing_attempts
+        },
+        data: {
+          processing_status: 'processing',
+          processing_started_at: new Date(),
+          processing_attempts: { increment: 1 }
+        }
+      });
+
+      // Réservée entre-temps par un autre worker : candidat suivant
+      if (count === 0) continue;
+
+      return prisma.imgVidPost.findUnique({
+        where: { id_img_vid_post: candidate.id_img_vid_post },
+        select: { id_img_vid_post: true, id_post: true, lien_media: true, processing_attempts: true }
+      });
+    }
+  }
+
+  /**
+   * Analyse, poster et rendu web d'une vidéo stockée
+   * @returns {Promise<object>} champs à enregistrer sur le média
+   * @throws VideoProcessingError (code: UNREADABLE_VIDEO, NO_VIDEO_STREAM, VIDEO_TOO_LONG)
+   */
+  static async processVideo(media) {
+    const transcoder = this.getTranscoder();
+    const tmpDir = this.getTmpDir();
+    await fsp.mkdir(tmpDir, { recursive: true });
+
+    const workBase = path.join(tmpDir, `video_${media.id_img_vid_post}_${crypto.randomBytes(6).toString('hex')}`);
+    const inputPath = `${workBase}_source${path.extname(media.lien_media)}`;
+    const posterPath = `${workBase}_poster.png`;
+    const outputPath = `${workBase}_h264.mp4`;
+    const uploaded = [];
+
+    try {
+      await pipeline(await StorageService.get(media.lien_media), fs.createWriteStream(inputPath));
+
+      let info;
+      try {
+        info = await transcoder.probe(inputPath);
+      } catch (error) {
+        if (error.code === 'TRANSCODER_UNAVAILABLE') throw error;
+        throw this.createProcessingError('UNREADABLE_VIDEO', 'Video could not be read', true);
+      }
+
+      if (!info.width || !info.height) {
+        throw this.createProcessingError('NO_VIDEO_STREAM', 'File contains no video stream', true);
+      }
+
+      const maxDuration = this.getMaxDuration();
+      if (!info.duration) {
+        throw this.createProcessingError('UNREADABLE_VIDEO', 'Video duration could not be determined', true);
+      }
+      if (info.duration > maxDuration) {
+        throw this.createProcessingError(
+          'VIDEO_TOO_LONG',
+          `Video is too long (${Math.round(info.duration)}s, maximum ${maxDuration}s)`,
+          true
+        );
+      }
+
+      const size = this.getRenditionSize(info.width, info.height);
+
+      // Poster : première seconde (ou milieu des vidéos très courtes), aux dimensions du rendu
+      await transcoder.extractPoster(inputPath, posterPath, { at: Math.min(1, info.duration / 2) });
+      const posterKey = this.getDerivedPath(media.lien_media, 'poster', 'webp');
+      uploaded.push(posterKey);
+      await ImageProcessingService.writeWebp(
+        ImageProcessingService.pipeline(posterPath).resize(size.width, size.height, { fit: 'inside' }),
+        posterKey,
+        POSTER_QUALITY
+      );
+
+      await transcoder.transcode(inputPath, outputPath, size);
+      const renditionKey = this.getDerivedPath(media.lien_media, 'h264', 'mp4');
+      uploaded.push(renditionKey);
+      await StorageService.put(renditionKey, outputPath, { contentType: 'video/mp4' });
+
+      return {
+        duration: Math.round(info.duration * 1000) / 1000,
+        width: info.width,
+        height: info.height,
+        thumbnail: posterKey,
+        variants: {
+          mp4: { path: renditionKey, width: size.width, height: size.height }
+        }
+      };
+    } catch (error) {
+      await StorageService.deleteMany(uploaded);
+      throw error;
+    } finally {
+      await Promise.all([inputPath, posterPath, outputPath].map(file => fsp.unlink(file).catch(() => {})));
+    }
+  }
+
+  /**
+   * Traite une vidéo en attente
+   * @returns {Promise<boolean>} false s'il n'y avait rien à traiter ou si le transcodeur est indisponible
+   */
+  static async processNext() {
+    const media = await this.claimNext();
+    if (!media) return false;
+
+    const where = { id_img_vid_post: media.id_img_vid_post, processing_status: 'processing' };
+
+    try {
+      const result = await this.processVideo(media);
+      const { count } = await prisma.imgVidPost.updateMany({
+        where,
+        data: {
+          ...result,
+          processing_status: 'ready',
+          processing_error: null,
+          processed_at: new Date()
+        }
+      });
+
+      // Média retiré du post pendant le traitement
+      if (count === 0) {
+        await StorageService.deleteMany([result.thumbnail, result.variants.mp4.path]);
+        return true;
+      }
+
+      logger.info(`Video ${media.id_img_vid_post} processed (${result.duration}s, ${result.variants.mp4.width}x${result.variants.mp4.height})`);
+    } catch (error) {
+      if (error.permanent) {
+        // Fichier refusé : plus servi, l'auteur voit la raison sur le média
+        await prisma.imgVidPost.updateMany({
+          where,
+          data: { processing_status: 'rejected', processing_error: error.message, processed_at: new Date() }
+        });
+        await StorageService.delete(media.lien_media);
+        logger.warn(`Video ${media.id_img_vid_post} rejected (${error.code}): ${media.lien_media}`);
+        return true;
+      }
+
+      // Transcodeur absent : la vidéo retourne en attente sans consommer d'essai, passage interrompu
+      if (error.code === 'TRANSCODER_UNAVAILABLE') {
+        await prisma.imgVidPost.updateMany({
+          where,
+          data: {
+            processing_status: 'pending',
+            processing_error: error.message.substring(0, 255),
+            processing_attempts: { decrement: 1 }
+          }
+        });
+        logger.error(`Video processing paused, transcoder unavailable: ${error.message}`);
+        return false;
+      }
+
+      // Erreur passagère : nouvel essai au prochain passage, la vidéo d'origine reste servie
+      const exhausted = media.processing_attempts >= MAX_ATTEMPTS;
+      await prisma.imgVidPost.updateMany({
+        where,
+        data: {
+          processing_status: exhausted ? 'failed' : 'pending',
+          processing_error: error.message.substring(0, 255),
+          ...(exhausted && { processed_at: new Date() })
+        }
+      });
+      logger.error(`Video ${media.id_img_vid_post} processing error (attempt ${media.processing_attempts}/${MAX_ATTEMPTS}):`, error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Traite toutes les vidéos en attente
+   */
+  static async runPending() {
+    let processed = 0;
+    while (await this.processNext()) {
+      processed++;
+    }
+    return processed;
+  }
+
+  /**
+   * Déclenche un passage immédiat (un seul traitement à la fois par processus)
+   */
+  static wake() {
+    if (workerRunning || process.env.VIDEO_WORKER_ENABLED === 'false') return;
+
+    workerRunning = true;
+    this.runPending()
+      .catch(error => logger.error('Video processing worker error:', error))
+      .finally(() => { workerRunning = false; });
+  }
+
+  /**
+   * Worker périodique (VIDEO_WORKER_ENABLED=false pour le réserver à d'autres conteneurs)
+   */
+  static startWorker() {
+    if (workerTimer || process.env.VIDEO_WORKER_ENABLED === 'false') return;
+
+    const interval = parseInt(process.env.VIDEO_WORKER_POLL_MS) || 15000;
+    workerTimer = setInterval(() => this.wake(), interval);
+    workerTimer.unref();
+    logger.info(`🎬 Video processing worker started (${process.env.VIDEO_TRANSCODER || 'ffmpeg'}, every ${interval}ms)`);
+    this.wake();
+  }
+
+  static stopWorker() {
+    if (workerTimer) {
+      clearInterval(workerTimer);
+      workerTimer = null;
+    }
+  }
+}
+
+module.exports = VideoProcessingService;
@@ -0,0 +1,18 @@
+// src/utils/bindController.js - Méthodes de contrôleur liées pour les routes Express
+
+/**
+ * Les contrôleurs dont les méthodes statiques utilisent `this` (appels entre méthodes)
+ * perdent leur contexte une fois passés à Express : on les lie au contrôleur.
+ * @example
+ * const action = bindController(TagController);
+ * router.get('/popular', action('getPopularTags'));
+ * @returns {(name: string) => Function}
+ */
+const bindController = (Controller) => (name) => {
+  if (typeof Controller[name] !== 'function') {
+    throw new Error(`${Controller.name}.${name} is not a controller method`);
+  }
+  return Controller[name].bind(Controller);
+};
+
+module.exports = bindController;
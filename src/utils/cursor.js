@@ -0,0 +1,148 @@
+// src/utils/cursor.js - Pagination par curseur (created_at + identifiant), stable quand de nouveaux éléments arrivent
+const Joi = require('joi');
+
+// Curseur opaque : JSON { t: date ISO, id, d: next|prev } encodé en base64url
+const cursorField = Joi.string()
+  .max(200)
+  .pattern(/^[A-Za-z0-9_-]+$/)
+  .messages({
+    'string.pattern.base': 'Invalid cursor',
+    'string.max': 'Invalid cursor'
+  });
+
+const createCursorError = () => {
+  const error = new Error('Invalid cursor');
+  error.name = 'CursorError';
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Ancien mode par numéro de page : ?page= fourni sans curseur
+ */
+const usesPageMode = (query) => query.page !== undefined && !query.cursor;
+
+/**
+ * Curseur pointant sur un élément : "next" = éléments plus anciens, "prev" = plus récents
+ */
+const encodeCursor = (createdAt, id, direction) => Buffer
+  .from(JSON.stringify({ t: new Date(createdAt).toISOString(), id, d: direction }))
+  .toString('base64url');
+
+/**
+ * @returns {{ createdAt: Date, id: number|string, direction: 'next'|'prev' }|null}
+ * @throws CursorError (status 400)
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createCursorError();
+  }
+
+  const createdAt = new Date(payload && payload.t);
+  const validId = Number.isInteger(payload && payload.id) || typeof (payload && payload.id) === 'string';
+  if (isNaN(createdAt.getTime()) || !validId || !['next', 'prev'].includes(payload.d)) {
+    throw createCursorError();
+  }
+
+  return { createdAt, id: payload.id, direction: payload.d };
+};
+
+/**
+ * Filtre et tri Prisma pour la page suivant (ou précédant) un curseur, du plus récent au plus ancien
+ */
+const buildCursorQuery = (cursor, { dateField = 'created_at', idField }) => {
+  const position = decodeCursor(cursor);
+  // Clés de tables : identifiants numériques uniquement
+  if (position && !Number.isInteger(position.id)) throw createCursorError();
+  const newer = position && position.direction === 'prev';
+  const operator = newer ? 'gt' : 'lt';
+  const order = newer ? 'asc' : 'desc';
+
+  return {
+    position,
+    where: position ? {
+      OR: [
+        { [dateField]: { [operator]: position.createdAt } },
+        { [dateField]: position.createdAt, [idField]: { [operator]: position.id } }
+      ]
+    } : null,
+    orderBy: [{ [dateField]: order }, { [idField]: order }]
+  };
+};
+
+/**
+ * Met en forme une page lue avec limit + 1 éléments (l'élément en trop signale une suite).
+ * prev_cursor est toujours fourni pour récupérer plus tard les éléments plus récents.
+ */
+const buildCursorPage = (rows, { position, limit, getDate, getId }) => {
+  const newer = position && position.direction === 'prev';
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (newer) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Page vide en remontant : le même curseur resservira au prochain rafraîchissement
+  let prevCursor = null;
+  if (first) {
+    prevCursor = encodeCursor(getDate(first), getId(first), 'prev');
+  } else if (newer) {
+    prevCursor = encodeCursor(position.createdAt, position.id, 'prev');
+  }
+
+  return {
+    items,
+    pagination: {
+      limit,
+      has_more: newer ? !!last : hasMore,
+      next_cursor: last && (newer || hasMore) ? encodeCursor(getDate(last), getId(last), 'next') : null,
+      prev_cursor: prevCursor
+    }
+  };
+};
+
+/**
+ * Ordre décroissant (date puis identifiant) pour les listes assemblées en mémoire
+ */
+const compareDesc = (a, b) => {
+  const dateDiff = new Date(b.createdAt) - new Date(a.createdAt);
+  if (dateDiff !== 0) return dateDiff;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+};
+
+/**
+ * Même pagination sur une liste déjà chargée et triée du plus récent au plus ancien
+ */
+const paginateInMemory = (sortedItems, { cursor, limit, getDate, getId }) => {
+  const position = decodeCursor(cursor);
+  let rows = sortedItems;
+
+  if (position) {
+    const key = { createdAt: position.createdAt, id: position.id };
+    const keyOf = (item) => ({ createdAt: getDate(item), id: getId(item) });
+    rows = position.direction === 'prev'
+      ? sortedItems.filter(item => compareDesc(keyOf(item), key) < 0).reverse()
+      : sortedItems.filter(item => compareDesc(keyOf(item), key) > 0);
+  }
+
+  return buildCursorPage(rows.slice(0, limit + 1), { position, limit, getDate, getId });
+};
+
+module.exports = {
+  cursorField,
+  createCursorError,
+  usesPageMode,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  buildCursorPage,
+  compareDesc,
+  paginateInMemory
+};
@@ -0,0 +1,158 @@
+// src/utils/feedScoring.js - Score du fil « Pour vous », déterministe : ni base ni horloge, tout est passé en paramètre
+
+// Poids par défaut des signaux (surchargables par l'appelant)
+const DEFAULT_WEIGHTS = {
+  followedAuthor: 1,
+  // Par tag suivi présent dans le post, au plus maxFollowedTags
+  followedTag: 0.6,
+  maxFollowedTags: 3,
+  // Multiplié par log2(1 + nombre de comptes suivis ayant aimé le post)
+  likedByFollowing: 0.5,
+  // Multiplié par ln(1 + interactions pondérées avec l'auteur)
+  affinity: 0.4,
+  // Multiplié par ln(1 + likes + 2 × réponses)
+  engagement: 0.15,
+  // Demi-vie de la décroissance liée à l'âge du post
+  halfLifeHours: 18,
+  // Facteur 1 / (1 + reportPenalty × signalements distincts du post)
+  reportPenalty: 0.5,
+  // Facteur appliqué quand le lecteur a déjà signalé un post de l'auteur
+  reportedAuthorFactor: 0.25
+};
+
+// Interactions du lecteur avec l'auteur (likes, réponses, mentions) et de l'auteur vers le lecteur (received)
+const INTERACTION_WEIGHTS = {
+  likes: 1,
+  replies: 3,
+  mentions: 2,
+  received: 0.5
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Scores arrondis : une même entrée donne exactement le même classement d'un appel à l'autre
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Interactions pondérées entre le lecteur et l'auteur
+ */
+const affinityOf = (affinity = {}) => Object.entries(INTERACTION_WEIGHTS)
+  .reduce((sum, [signal, weight]) => sum + (affinity[signal] || 0) * weight, 0);
+
+/**
+ * Facteur de fraîcheur : 1 à la publication, 0.5 après une demi-vie
+ */
+const recencyDecay = (createdAt, now, halfLifeHours) => {
+  const ageHours = Math.max(0, (new Date(now) - new Date(createdAt)) / HOUR_MS);
+  return Math.pow(0.5, ageHours / halfLifeHours);
+};
+
+const describeLikers = (likedBy) => {
+  const [first, ...others] = likedBy;
+  if (others.length === 0) return `Liked by @${first}, whom you follow`;
+  return `Liked by @${first} and ${others.length} other${others.length > 1 ? 's' : ''} you follow`;
+};
+
+/**
+ * Score d'un post candidat
+ * @param {Object} candidate - { id, createdAt, authorUsername, followsAuthor, followedTags: string[],
+ *   likedBy: string[] (comptes suivis ayant aimé), likeCount, replyCount, reportCount,
+ *   affinity: { likes, replies, mentions, received }, authorReportedByViewer }
+ * @param {Object} options - { now (obligatoire), weights }
+ * @returns {{ score: number, components: Object, reasons: Array<{ type: string, text: string, weight: number }> }}
+ */
+const scoreCandidate = (candidate, { now, weights = {} }) => {
+  const w = { ...DEFAULT_WEIGHTS, ...weights };
+  const followedTags = (candidate.followedTags || []).slice().sort().slice(0, w.maxFollowedTags);
+  const likedBy = candidate.likedBy || [];
+  const interactions = affinityOf(candidate.affinity);
+
+  const components = {
+    followed_author: candidate.followsAuthor ? w.followedAuthor : 0,
+    followed_tags: followedTags.length * w.followedTag,
+    liked_by_following: likedBy.length > 0 ? w.likedByFollowing * Math.log2(1 + likedBy.length) : 0,
+    affinity: w.affinity * Math.log(1 + interactions),
+    engagement: w.engagement * Math.log(1 + (candidate.likeCount || 0) + 2 * (candidate.replyCount || 0))
+  };
+
+  const relevance = Object.values(components).reduce((sum, value) => sum + value, 0);
+  const decay = recencyDecay(candidate.createdAt, now, w.halfLifeHours);
+  const penalty = (1 / (1 + w.reportPenalty * (candidate.reportCount || 0))) *
+    (candidate.authorReportedByViewer ? w.reportedAuthorFactor : 1);
+
+  // Raisons affichables, de la plus à la moins déterminante (ordre stable à égalité)
+  const reasons = [];
+  if (components.followed_author > 0) {
+    reasons.push({
+      type: 'followed_account',
+      username: candidate.authorUsername,
+      weight: components.followed_author,
+      text: `Because you follow @${candidate.authorUsername}`
+    });
+  }
+  for (const tag of followedTags) {
+    reasons.push({ type: 'followed_tag', tag, weight: w.followedTag, text: `Because you follow #${tag}` });
+  }
+  if (components.liked_by_following > 0) {
+    reasons.push({
+      type: 'liked_by_following',
+      usernames: likedBy.slice(0, 3),
+      weight: components.liked_by_following,
+      text: describeLikers(likedBy)
+    });
+  }
+  if (components.affinity > 0 && !candidate.followsAuthor) {
+    reasons.push({
+      type: 'affinity',
+      username: candidate.authorUsername,
+      weight: components.affinity,
+      text: `Because you interact with @${candidate.authorUsername}`
+    });
+  }
+  if (reasons.length === 0) {
+    reasons.push({ type: 'popular', weight: components.engagement, text: 'Popular right now' });
+  }
+
+  const ordered = reasons
+    .map((reason, index) => ({ reason, index }))
+    .sort((a, b) => (b.reason.weight - a.reason.weight) || (a.index - b.index))
+    .map(({ reason }) => ({ ...reason, weight: round(reason.weight) }));
+
+  return {
+    score: round(relevance * decay * penalty),
+    components: {
+      ...Object.fromEntries(Object.entries(components).map(([key, value]) => [key, round(value)])),
+      recency: round(decay),
+      penalty: round(penalty)
+    },
+    reasons: ordered
+  };
+};
+
+/**
+ * Ordre du fil : score décroissant, puis post le plus récent, puis identifiant décroissant
+ */
+const compareRanked = (a, b) => {
+  if (a.score !== b.score) return b.score - a.score;
+  const dateDiff = new Date(b.createdAt) - new Date(a.createdAt);
+  if (dateDiff !== 0) return dateDiff;
+  return b.id - a.id;
+};
+
+/**
+ * Classe des candidats (les posts à score nul sont écartés)
+ * @returns {Array<{ id, createdAt, score, components, reasons }>}
+ */
+const rankCandidates = (candidates, options) => candidates
+  .map(candidate => ({ id: candidate.id, createdAt: candidate.createdAt, ...scoreCandidate(candidate, options) }))
+  .filter(ranked => ranked.score > 0)
+  .sort(compareRanked);
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  INTERACTION_WEIGHTS,
+  recencyDecay,
+  scoreCandidate,
+  compareRanked,
+  rankCandidates
+};
@@ -0,0 +1,177 @@
+// src/utils/searchQuery.js - Opérateurs de recherche (from:, to:, #tag, has:, since:, until:) séparés du texte libre
+
+const OPERATORS = ['from', 'to', 'has', 'since', 'until'];
+const HAS_VALUES = ['media', 'image', 'video'];
+
+// Mêmes caractères que les mentions et tags extraits des posts
+const NAME_PATTERN = /^[A-Za-z0-9_]{1,50}$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createSearchQueryError = (message, code) => {
+  const error = new Error(message);
+  error.name = 'SearchQueryError';
+  error.code = code;
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Date AAAA-MM-JJ (UTC), refusée si elle n'existe pas au calendrier
+ */
+const parseDay = (operator, value) => {
+  const match = DATE_PATTERN.exec(value);
+  const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+
+  if (!date || date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) {
+    throw createSearchQueryError(`Invalid date for "${operator}:": expected YYYY-MM-DD, got "${value}"`, 'INVALID_DATE');
+  }
+  return date;
+};
+
+const parseName = (operator, value) => {
+  const name = value.startsWith('@') ? value.slice(1) : value;
+  if (!NAME_PATTERN.test(name)) {
+    throw createSearchQueryError(
+      `Invalid username for "${operator}:": "${value}" (letters, digits and underscores only)`,
+      'INVALID_USERNAME'
+    );
+  }
+  return name;
+};
+
+/**
+ * Découpe la saisie en mots, les expressions entre guillemets restant d'un seul tenant
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of input) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && /\s/.test(char)) {
+      if (current) tokens.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quoted) {
+    throw createSearchQueryError('Unterminated quote: close the phrase with "', 'UNTERMINATED_QUOTE');
+  }
+  if (current) tokens.push(current);
+  return tokens;
+};
+
+/**
+ * Analyse une recherche du type : from:alice #release has:media since:2026-01-01 "notes de version"
+ * - from:alice (ou from:@alice) : posts de ce compte ; plusieurs from: = l'un de ces comptes
+ * - to:bob : posts mentionnant ce compte ; plusieurs to: = tous mentionnés
+ * - #tag : posts portant ce tag ; plusieurs tags = tous présents
+ * - has:media | has:image | has:video : posts avec au moins un média de ce type
+ * - since:AAAA-MM-JJ / until:AAAA-MM-JJ : bornes incluses, journées UTC
+ * Le reste (mots, "expressions", OR, -exclusions) est transmis tel quel à la recherche plein texte.
+ * Noms d'opérateurs insensibles à la casse ; un mot "xxx:yyy" dont le préfixe n'est pas un opérateur reste du texte.
+ * @returns {{ text: string|null, filters: { from: string[], to: string[], tags: string[], has: string[],
+ *   since: Date|null, until: Date|null } }} until : borne exclue (lendemain de la date saisie)
+ * @throws SearchQueryError (status 400)
+ */
+const parseSearchQuery = (input = '') => {
+  const filters = { from: [], to: [], tags: [], has: [], since: null, until: null };
+  const words = [];
+  let lastDay = null;
+
+  for (const token of tokenize(input)) {
+    const negated = token.startsWith('-');
+    const body = negated ? token.slice(1) : token;
+    const operatorMatch = /^([A-Za-z]+):(.*)$/s.exec(body);
+    const operator = operatorMatch && operatorMatch[1].toLowerCase();
+    const isOperator = operatorMatch && OPERATORS.includes(operator);
+    const isTag = body.startsWith('#');
+
+    if (!isOperator && !isTag) {
+      words.push(token);
+      continue;
+    }
+
+    if (negated) {
+      throw createSearchQueryError(
+        `Operators cannot be negated: "${token}" (only words and phrases can be excluded with -)`,
+        'NEGATED_OPERATOR'
+      );
+    }
+
+    if (isTag) {
+      const tag = body.slice(1);
+      if (!NAME_PATTERN.test(tag)) {
+        throw createSearchQueryError(`Invalid tag: "${token}" (letters, digits and underscores only)`, 'INVALID_TAG');
+      }
+      if (!filters.tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+        filters.tags.push(tag);
+      }
+      continue;
+    }
+
+    const value = operatorMatch[2];
+    if (!value) {
+      throw createSearchQueryError(`Missing value for "${operator}:"`, 'MISSING_VALUE');
+    }
+
+    switch (operator) {
+      case 'from':
+      case 'to': {
+        const name = parseName(operator, value);
+        if (!filters[operator].some(existing => existing.toLowerCase() === name.toLowerCase())) {
+          filters[operator].push(name);
+        }
+        break;
+      }
+      case 'has': {
+        const kind = value.toLowerCase();
+        if (!HAS_VALUES.includes(kind)) {
+          throw createSearchQueryError(
+            `Unknown value for "has:": "${value}" (expected ${HAS_VALUES.join(', ')})`,
+            'INVALID_HAS'
+          );
+        }
+        if (!filters.has.includes(kind)) filters.has.push(kind);
+        break;
+      }
+      case 'since':
+      case 'until': {
+        if (filters[operator]) {
+          throw createSearchQueryError(`"${operator}:" can only be used once`, 'DUPLICATE_OPERATOR');
+        }
+        const day = parseDay(operator, value);
+        filters[operator] = operator === 'until' ? new Date(day.getTime() + DAY_MS) : day;
+        if (operator === 'until') lastDay = day;
+        break;
+      }
+    }
+  }
+
+  if (filters.since && lastDay && filters.since > lastDay) {
+    throw createSearchQueryError('"since:" must not be after "until:"', 'INVALID_DATE_RANGE');
+  }
+
+  return { text: words.length > 0 ? words.join(' ') : null, filters };
+};
+
+/**
+ * Au moins un opérateur utilisé
+ */
+const hasFilters = (filters) => Boolean(
+  filters.from.length || filters.to.length || filters.tags.length || filters.has.length ||
+  filters.since || filters.until
+);
+
+module.exports = {
+  OPERATORS,
+  HAS_VALUES,
+  createSearchQueryError,
+  parseSearchQuery,
+  hasFilters
+};
@@ -109,9 +109,129 @@ const changePasswordSchema = Joi.object({
     })
 });
 
+// Schéma de validation pour la demande de réinitialisation du mot de passe
+const forgotPasswordSchema = Joi.object({
+  mail: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+});
+
+// Schéma de validation pour la réinitialisation du mot de passe
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .length(64)
+    .required()
+    .messages({
+      'string.hex': 'Reset token is invalid',
+      'string.length': 'Reset token is invalid',
+      'any.required': 'Reset token is required'
+    }),
+    
+  newPassword: Joi.string()
+    .min(4)
+    .max(128)
+    .pattern(/^(?=.*[a-zA-Z])(?=.*\d)/)
+    .required()
+    .messages({
+      'string.min': 'New password must be at least 4 characters long',
+      'string.max': 'New password must not exceed 128 characters',
+      'string.pattern.base': 'New password must contain at least one letter and one number',
+      'any.required': 'New password is required'
+    })
+});
+
+// Schéma de validation pour la vérification d'email
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .length(64)
+    .required()
+    .messages({
+      'string.hex': 'Verification token is invalid',
+      'string.length': 'Verification token is invalid',
+      'any.required': 'Verification token is required'
+    })
+});
+
+// Code TOTP à 6 chiffres
+const totpCode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.pattern.base': 'Verification code must contain 6 digits'
+  });
+
+// Code de récupération (format xxxxx-xxxxx)
+const recoveryCode = Joi.string()
+  .pattern(/^[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}$/)
+  .messages({
+    'string.pattern.base': 'Recovery code format is invalid'
+  });
+
+// Schéma de validation pour la seconde étape de connexion (2FA)
+const mfaLoginSchema = Joi.object({
+  mfaToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'MFA token is required'
+    }),
+  code: totpCode,
+  recovery_code: recoveryCode
+})
+  .xor('code', 'recovery_code')
+  .messages({
+    'object.missing': 'A verification code or a recovery code is required',
+    'object.xor': 'Provide either a verification code or a recovery code'
+  });
+
+// Schéma de validation pour la confirmation d'un code TOTP
+const mfaCodeSchema = Joi.object({
+  code: totpCode.required().messages({
+    'any.required': 'Verification code is required'
+  })
+});
+
+// Schéma de validation pour la désactivation de la 2FA
+const mfaDisableSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    }),
+  code: totpCode,
+  recovery_code: recoveryCode
+})
+  .xor('code', 'recovery_code')
+  .messages({
+    'object.missing': 'A verification code or a recovery code is required',
+    'object.xor': 'Provide either a verification code or a recovery code'
+  });
+
+// Schéma de validation pour l'identifiant d'une session
+const sessionParamsSchema = Joi.object({
+  id: Joi.string()
+    .guid()
+    .required()
+    .messages({
+      'string.guid': 'Session ID must be a valid identifier',
+      'any.required': 'Session ID is required'
+    })
+});
+
 module.exports = { 
   registerSchema, 
   loginSchema, 
   refreshSchema, 
-  changePasswordSchema 
+  changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  sessionParamsSchema,
+  mfaLoginSchema,
+  mfaCodeSchema,
+  mfaDisableSchema
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+
+// Texte alternatif lu par les lecteurs d'écran (chaîne vide = suppression)
+const altTextField = Joi.string()
+  .trim()
+  .max(1000)
+  .allow('', null)
+  .messages({
+    'string.max': 'Alt text must not exceed 1000 characters'
+  });
+
+// Légende affichée sous le média
+const captionField = Joi.string()
+  .trim()
+  .max(280)
+  .allow('', null)
+  .messages({
+    'string.max': 'Caption must not exceed 280 characters'
+  });
+
+// Schéma de validation pour la modification de la description d'un média
+const mediaDescriptionSchema = Joi.object({
+  alt_text: altTextField,
+  caption: captionField
+}).or('alt_text', 'caption').messages({
+  'object.missing': 'Alt text or caption is required'
+});
+
+// Politique de l'utilisateur pour les médias sans texte alternatif
+const ALT_TEXT_POLICIES = ['off', 'remind', 'require'];
+
+module.exports = {
+  altTextField,
+  captionField,
+  mediaDescriptionSchema,
+  ALT_TEXT_POLICIES
+};
@@ -1,5 +1,6 @@
 // backend/src/validators/notificationValidator.js
 const Joi = require('joi');
+const { cursorField } = require('../utils/cursor');
 
 // Schéma pour la pagination
 const paginationSchema = Joi.object({
@@ -7,6 +8,11 @@ const paginationSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20)
 });
 
+// Schéma pour la liste des notifications (curseur, ou numéro de page si page est fourni)
+const notificationListSchema = paginationSchema.keys({
+  cursor: cursorField
+});
+
 // Schéma pour les paramètres de notification
 const notificationParamsSchema = Joi.object({
   notificationId: Joi.string().required()
@@ -24,6 +30,7 @@ const messageParamsSchema = Joi.object({
 
 module.exports = {
   paginationSchema,
+  notificationListSchema,
   notificationParamsSchema,
   likeNotificationParamsSchema,
   messageParamsSchema
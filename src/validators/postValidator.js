@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { cursorField } = require('../utils/cursor');
 
 // Schéma de validation pour la création d'un post
 const createPostSchema = Joi.object({
@@ -49,6 +50,16 @@ const updatePostSchema = Joi.object({
     })
 });
 
+// Schéma de validation pour la suppression d'un post (raison réservée à la modération)
+const deletePostSchema = Joi.object({
+  reason: Joi.string()
+    .max(255)
+    .allow('')
+    .messages({
+      'string.max': 'Deletion reason must not exceed 255 characters'
+    })
+});
+
 // Schéma de validation pour récupérer les posts (pagination)
 const getPostsSchema = Joi.object({
   page: Joi.number()
@@ -74,6 +85,17 @@ const getPostsSchema = Joi.object({
     })
 });
 
+// Schéma de validation pour les timelines (curseur, ou numéro de page si page est fourni)
+const timelineSchema = getPostsSchema.keys({
+  cursor: cursorField
+});
+
+// Schéma de validation pour le fil « Pour vous » (curseur uniquement : le classement n'a pas de numéro de page)
+const forYouFeedSchema = Joi.object({
+  limit: getPostsSchema.extract('limit'),
+  cursor: cursorField
+});
+
 // Schéma de validation pour les paramètres de post
 const postParamsSchema = Joi.object({
   id: Joi.alternatives()
@@ -107,10 +129,12 @@ const userPostsParamsSchema = Joi.object({
 // Schéma de validation pour les posts avec recherche
 const searchPostsSchema = Joi.object({
   search: Joi.string()
+    .trim()
     .min(1)
     .max(100)
     .optional()
     .messages({
+      'string.empty': 'Search term must be at least 1 character long',
       'string.min': 'Search term must be at least 1 character long',
       'string.max': 'Search term must not exceed 100 characters'
     }),
@@ -137,11 +161,12 @@ const searchPostsSchema = Joi.object({
       'number.max': 'Limit must not exceed 50'
     }),
     
+  // Par défaut : pertinence avec un terme de recherche, date sinon
   sortBy: Joi.string()
-    .valid('created_at', 'likes_count')
-    .default('created_at')
+    .valid('relevance', 'created_at', 'likes_count')
+    .optional()
     .messages({
-      'any.only': 'Sort by must be either "created_at" or "likes_count"'
+      'any.only': 'Sort by must be one of "relevance", "created_at" or "likes_count"'
     }),
     
   order: Joi.string()
@@ -155,7 +180,10 @@ const searchPostsSchema = Joi.object({
 module.exports = { 
   createPostSchema, 
   updatePostSchema, 
+  deletePostSchema,
   getPostsSchema,
+  timelineSchema,
+  forYouFeedSchema,
   postParamsSchema,
   userPostsParamsSchema,
   searchPostsSchema
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { ALT_TEXT_POLICIES } = require('./mediaValidator');
+const { cursorField } = require('../utils/cursor');
 
 // Schéma de validation pour la mise à jour du profil
 const updateProfileSchema = Joi.object({
@@ -48,6 +50,15 @@ const updateProfileSchema = Joi.object({
     .optional()
     .messages({
       'boolean.base': 'Private setting must be true or false'
+    }),
+    
+  mail: Joi.string()
+    .email()
+    .max(50)
+    .optional()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'string.max': 'Email must not exceed 50 characters'
     })
 });
 
@@ -120,9 +131,27 @@ const paginationSchema = Joi.object({
     })
 });
 
+// Schéma de validation pour les listes paginées par curseur (numéro de page si page est fourni)
+const cursorPaginationSchema = paginationSchema.keys({
+  cursor: cursorField
+});
+
+// Schéma de validation pour les préférences de l'utilisateur
+const updatePreferencesSchema = Joi.object({
+  alt_text_policy: Joi.string()
+    .valid(...ALT_TEXT_POLICIES)
+    .required()
+    .messages({
+      'any.only': `Alt text policy must be one of: ${ALT_TEXT_POLICIES.join(', ')}`,
+      'any.required': 'Alt text policy is required'
+    })
+});
+
 module.exports = { 
   updateProfileSchema, 
   searchSchema, 
   userParamsSchema,
-  paginationSchema 
+  paginationSchema,
+  cursorPaginationSchema,
+  updatePreferencesSchema
 };
\ No newline at end of file
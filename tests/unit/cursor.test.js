@@ -0,0 +1,197 @@
+// tests/unit/cursor.test.js - Pagination par curseur (created_at + identifiant)
+const {
+  cursorField,
+  usesPageMode,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  buildCursorPage,
+  compareDesc,
+  paginateInMemory
+} = require('../../src/utils/cursor');
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+const encodeRaw = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Du plus récent au plus ancien, deux éléments à la même date pour vérifier le départage par identifiant
+const items = [
+  { id: 6, created_at: at(50) },
+  { id: 5, created_at: at(40) },
+  { id: 4, created_at: at(30) },
+  { id: 3, created_at: at(30) },
+  { id: 2, created_at: at(20) },
+  { id: 1, created_at: at(10) }
+];
+const pageOptions = { getDate: item => item.created_at, getId: item => item.id };
+
+describe('encodeCursor / decodeCursor', () => {
+  it('restitue la date, l\'identifiant et le sens', () => {
+    const cursor = encodeCursor(at(30), 42, 'next');
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ createdAt: at(30), id: 42, direction: 'next' });
+  });
+
+  it('accepte les identifiants textuels', () => {
+    expect(decodeCursor(encodeCursor(at(0), 'abc', 'prev')).id).toBe('abc');
+  });
+
+  it('renvoie null sans curseur', () => {
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(decodeCursor('')).toBeNull();
+  });
+
+  it.each([
+    ['du texte qui n\'est pas du JSON', 'not-a-cursor'],
+    ['null', encodeRaw(null)],
+    ['une date invalide', encodeRaw({ t: 'hier', id: 1, d: 'next' })],
+    ['un identifiant manquant', encodeRaw({ t: at(0).toISOString(), d: 'next' })],
+    ['un sens inconnu', encodeRaw({ t: at(0).toISOString(), id: 1, d: 'up' })]
+  ])('refuse %s avec une CursorError 400', (label, cursor) => {
+    expect(() => decodeCursor(cursor)).toThrow(expect.objectContaining({
+      name: 'CursorError',
+      status: 400,
+      message: 'Invalid cursor'
+    }));
+  });
+});
+
+describe('cursorField', () => {
+  it('accepte un curseur base64url et refuse les autres caractères', () => {
+    expect(cursorField.validate(encodeCursor(at(0), 1, 'next')).error).toBeUndefined();
+    expect(cursorField.validate('abc+/=').error.message).toBe('Invalid cursor');
+    expect(cursorField.validate('a'.repeat(201)).error.message).toBe('Invalid cursor');
+  });
+});
+
+describe('usesPageMode', () => {
+  it('ne garde le mode par page que si ?page= est fourni sans curseur', () => {
+    expect(usesPageMode({ page: 2 })).toBe(true);
+    expect(usesPageMode({ page: 2, cursor: 'abc' })).toBe(false);
+    expect(usesPageMode({})).toBe(false);
+  });
+});
+
+describe('buildCursorQuery', () => {
+  it('trie du plus récent au plus ancien sans curseur', () => {
+    expect(buildCursorQuery(undefined, { idField: 'id_post' })).toEqual({
+      position: null,
+      where: null,
+      orderBy: [{ created_at: 'desc' }, { id_post: 'desc' }]
+    });
+  });
+
+  it('filtre les éléments plus anciens que le curseur "next"', () => {
+    const { where, orderBy } = buildCursorQuery(encodeCursor(at(30), 4, 'next'), { idField: 'id_post' });
+
+    expect(where).toEqual({
+      OR: [
+        { created_at: { lt: at(30) } },
+        { created_at: at(30), id_post: { lt: 4 } }
+      ]
+    });
+    expect(orderBy).toEqual([{ created_at: 'desc' }, { id_post: 'desc' }]);
+  });
+
+  it('remonte vers les éléments plus récents avec un curseur "prev"', () => {
+    const { where, orderBy } = buildCursorQuery(
+      encodeCursor(at(30), 4, 'prev'),
+      { dateField: 'updated_at', idField: 'id' }
+    );
+
+    expect(where).toEqual({
+      OR: [
+        { updated_at: { gt: at(30) } },
+        { updated_at: at(30), id: { gt: 4 } }
+      ]
+    });
+    expect(orderBy).toEqual([{ updated_at: 'asc' }, { id: 'asc' }]);
+  });
+
+  it('refuse un identifiant non numérique', () => {
+    expect(() => buildCursorQuery(encodeCursor(at(0), 'abc', 'next'), { idField: 'id_post' }))
+      .toThrow(expect.objectContaining({ name: 'CursorError' }));
+  });
+});
+
+describe('buildCursorPage', () => {
+  it('signale une suite grâce à l\'élément en trop', () => {
+    const { items: page, pagination } = buildCursorPage(items.slice(0, 3), {
+      position: null,
+      limit: 2,
+      ...pageOptions
+    });
+
+    expect(page.map(item => item.id)).toEqual([6, 5]);
+    expect(pagination.has_more).toBe(true);
+    expect(decodeCursor(pagination.next_cursor)).toEqual({ createdAt: at(40), id: 5, direction: 'next' });
+    expect(decodeCursor(pagination.prev_cursor)).toEqual({ createdAt: at(50), id: 6, direction: 'prev' });
+  });
+
+  it('n\'a pas de curseur suivant sur la dernière page', () => {
+    const { pagination } = buildCursorPage(items.slice(4), { position: null, limit: 2, ...pageOptions });
+
+    expect(pagination.has_more).toBe(false);
+    expect(pagination.next_cursor).toBeNull();
+    expect(pagination.prev_cursor).not.toBeNull();
+  });
+
+  it('remet dans l\'ordre une page lue en remontant', () => {
+    const position = decodeCursor(encodeCursor(at(30), 3, 'prev'));
+    // Lu en ordre croissant à partir du curseur
+    const rows = [items[2], items[1]];
+    const { items: page, pagination } = buildCursorPage(rows, { position, limit: 2, ...pageOptions });
+
+    expect(page.map(item => item.id)).toEqual([5, 4]);
+    expect(pagination.has_more).toBe(true);
+    expect(decodeCursor(pagination.next_cursor).id).toBe(4);
+  });
+
+  it('conserve le curseur "prev" sur une page vide en remontant', () => {
+    const cursor = encodeCursor(at(50), 6, 'prev');
+    const { items: page, pagination } = buildCursorPage([], {
+      position: decodeCursor(cursor),
+      limit: 2,
+      ...pageOptions
+    });
+
+    expect(page).toEqual([]);
+    expect(pagination.has_more).toBe(false);
+    expect(pagination.next_cursor).toBeNull();
+    expect(pagination.prev_cursor).toBe(cursor);
+  });
+});
+
+describe('compareDesc', () => {
+  it('trie par date décroissante puis identifiant décroissant', () => {
+    const shuffled = [items[3], items[5], items[0], items[2], items[4], items[1]]
+      .map(item => ({ createdAt: item.created_at, id: item.id }));
+
+    expect(shuffled.sort(compareDesc).map(item => item.id)).toEqual([6, 5, 4, 3, 2, 1]);
+  });
+});
+
+describe('paginateInMemory', () => {
+  it('parcourt toute la liste sans doublon ni élément sauté', () => {
+    const seen = [];
+    let cursor;
+
+    do {
+      const { items: page, pagination } = paginateInMemory(items, { cursor, limit: 4, ...pageOptions });
+      seen.push(...page.map(item => item.id));
+      cursor = pagination.next_cursor;
+    } while (cursor);
+
+    expect(seen).toEqual([6, 5, 4, 3, 2, 1]);
+  });
+
+  it('ne renvoie que les éléments plus récents avec un curseur "prev"', () => {
+    const { items: page } = paginateInMemory(items, {
+      cursor: encodeCursor(at(30), 3, 'prev'),
+      limit: 2,
+      ...pageOptions
+    });
+
+    expect(page.map(item => item.id)).toEqual([5, 4]);
+  });
+});
@@ -0,0 +1,161 @@
+// tests/unit/feedScoring.test.js - Score du fil « Pour vous »
+const {
+  DEFAULT_WEIGHTS,
+  recencyDecay,
+  scoreCandidate,
+  compareRanked,
+  rankCandidates
+} = require('../../src/utils/feedScoring');
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * HOUR_MS);
+
+const candidate = (overrides = {}) => ({
+  id: 1,
+  createdAt: NOW,
+  authorUsername: 'alice',
+  followsAuthor: false,
+  followedTags: [],
+  likedBy: [],
+  likeCount: 0,
+  replyCount: 0,
+  reportCount: 0,
+  affinity: { likes: 0, replies: 0, mentions: 0, received: 0 },
+  authorReportedByViewer: false,
+  ...overrides
+});
+
+describe('recencyDecay', () => {
+  it('vaut 1 à la publication et 0.5 après une demi-vie', () => {
+    expect(recencyDecay(NOW, NOW, 18)).toBe(1);
+    expect(recencyDecay(hoursAgo(18), NOW, 18)).toBeCloseTo(0.5, 10);
+    expect(recencyDecay(hoursAgo(36), NOW, 18)).toBeCloseTo(0.25, 10);
+  });
+
+  it('ne dépasse pas 1 pour un post daté dans le futur', () => {
+    expect(recencyDecay(new Date(NOW.getTime() + HOUR_MS), NOW, 18)).toBe(1);
+  });
+});
+
+describe('scoreCandidate', () => {
+  it('divise le score par deux après une demi-vie', () => {
+    const fresh = scoreCandidate(candidate({ followsAuthor: true }), { now: NOW });
+    const old = scoreCandidate(
+      candidate({ followsAuthor: true, createdAt: hoursAgo(DEFAULT_WEIGHTS.halfLifeHours) }),
+      { now: NOW }
+    );
+
+    expect(fresh.score).toBe(1);
+    expect(old.score).toBe(0.5);
+    expect(old.components.recency).toBe(0.5);
+  });
+
+  it('pénalise les posts signalés et les auteurs déjà signalés par le lecteur', () => {
+    const reported = scoreCandidate(candidate({ followsAuthor: true, reportCount: 2 }), { now: NOW });
+    expect(reported.components.penalty).toBe(0.5);
+    expect(reported.score).toBe(0.5);
+
+    const reportedAuthor = scoreCandidate(
+      candidate({ followsAuthor: true, reportCount: 2, authorReportedByViewer: true }),
+      { now: NOW }
+    );
+    expect(reportedAuthor.components.penalty).toBe(0.125);
+    expect(reportedAuthor.score).toBe(0.125);
+  });
+
+  it('ordonne les raisons par poids décroissant, dans l\'ordre de déclaration à égalité', () => {
+    const { reasons } = scoreCandidate(candidate({
+      followsAuthor: true,
+      followedTags: ['release', 'api'],
+      likedBy: ['bob', 'carol', 'dave']
+    }), { now: NOW });
+
+    expect(reasons.map(reason => reason.type)).toEqual([
+      'followed_account',
+      'liked_by_following',
+      'followed_tag',
+      'followed_tag'
+    ]);
+    expect(reasons.map(reason => reason.text)).toEqual([
+      'Because you follow @alice',
+      'Liked by @bob and 2 others you follow',
+      'Because you follow #api',
+      'Because you follow #release'
+    ]);
+  });
+
+  it('limite le nombre de tags suivis pris en compte', () => {
+    const { components, reasons } = scoreCandidate(
+      candidate({ followedTags: ['d', 'c', 'b', 'a'] }),
+      { now: NOW }
+    );
+
+    expect(components.followed_tags).toBeCloseTo(DEFAULT_WEIGHTS.maxFollowedTags * DEFAULT_WEIGHTS.followedTag, 6);
+    expect(reasons.map(reason => reason.tag)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('propose la raison "popular" sans autre signal', () => {
+    const { reasons, score } = scoreCandidate(candidate({ likeCount: 10 }), { now: NOW });
+
+    expect(score).toBeGreaterThan(0);
+    expect(reasons).toEqual([
+      expect.objectContaining({ type: 'popular', text: 'Popular right now' })
+    ]);
+  });
+
+  it('renvoie exactement le même résultat pour la même entrée', () => {
+    const input = candidate({
+      followedTags: ['api'],
+      likedBy: ['bob'],
+      likeCount: 7,
+      replyCount: 2,
+      affinity: { likes: 3, replies: 1, mentions: 0, received: 2 },
+      createdAt: hoursAgo(5)
+    });
+
+    expect(scoreCandidate(input, { now: NOW })).toEqual(scoreCandidate({ ...input }, { now: NOW }));
+  });
+});
+
+describe('compareRanked', () => {
+  it('trie par score, puis date la plus récente, puis identifiant décroissant', () => {
+    const items = [
+      { id: 1, score: 0.5, createdAt: hoursAgo(2) },
+      { id: 2, score: 0.5, createdAt: hoursAgo(1) },
+      { id: 3, score: 0.5, createdAt: hoursAgo(1) },
+      { id: 4, score: 0.9, createdAt: hoursAgo(10) }
+    ];
+
+    expect(items.slice().sort(compareRanked).map(item => item.id)).toEqual([4, 3, 2, 1]);
+  });
+});
+
+describe('rankCandidates', () => {
+  it('écarte les posts à score nul et classe les autres', () => {
+    const ranked = rankCandidates([
+      candidate({ id: 1 }),
+      candidate({ id: 2, followsAuthor: true, createdAt: hoursAgo(1) }),
+      candidate({ id: 3, followsAuthor: true, createdAt: hoursAgo(1) }),
+      candidate({ id: 4, followsAuthor: true, followedTags: ['api'], createdAt: hoursAgo(1) })
+    ], { now: NOW });
+
+    expect(ranked.map(item => item.id)).toEqual([4, 3, 2]);
+    expect(ranked[0]).toEqual(expect.objectContaining({
+      id: 4,
+      createdAt: hoursAgo(1),
+      score: expect.any(Number),
+      components: expect.any(Object),
+      reasons: expect.any(Array)
+    }));
+  });
+
+  it('applique les poids fournis par l\'appelant', () => {
+    const [item] = rankCandidates(
+      [candidate({ followsAuthor: true })],
+      { now: NOW, weights: { followedAuthor: 2 } }
+    );
+
+    expect(item.score).toBe(2);
+  });
+});
@@ -0,0 +1,96 @@
+// tests/unit/searchQuery.test.js - Opérateurs de recherche des posts
+const { parseSearchQuery, hasFilters } = require('../../src/utils/searchQuery');
+
+const noFilters = { from: [], to: [], tags: [], has: [], since: null, until: null };
+
+describe('parseSearchQuery', () => {
+  it('sépare les opérateurs du texte libre', () => {
+    expect(parseSearchQuery('from:alice #release has:media since:2026-01-01 notes')).toEqual({
+      text: 'notes',
+      filters: {
+        ...noFilters,
+        from: ['alice'],
+        tags: ['release'],
+        has: ['media'],
+        since: new Date('2026-01-01T00:00:00.000Z')
+      }
+    });
+  });
+
+  it('renvoie un texte nul pour une saisie vide ou sans texte libre', () => {
+    expect(parseSearchQuery()).toEqual({ text: null, filters: noFilters });
+    expect(parseSearchQuery('   ')).toEqual({ text: null, filters: noFilters });
+    expect(parseSearchQuery('to:bob').text).toBeNull();
+  });
+
+  it('transmet tels quels expressions, OR et exclusions', () => {
+    expect(parseSearchQuery('"bonne journée" chat OR chien -pluie').text)
+      .toBe('"bonne journée" chat OR chien -pluie');
+  });
+
+  it('n\'interprète pas les opérateurs entre guillemets', () => {
+    const { text, filters } = parseSearchQuery('"notes from:alice" to:bob');
+
+    expect(text).toBe('"notes from:alice"');
+    expect(filters.from).toEqual([]);
+    expect(filters.to).toEqual(['bob']);
+  });
+
+  it('laisse en texte les mots "xxx:yyy" dont le préfixe n\'est pas un opérateur', () => {
+    expect(parseSearchQuery('12:30 http://cercle.fr re:bonjour')).toEqual({
+      text: '12:30 http://cercle.fr re:bonjour',
+      filters: noFilters
+    });
+  });
+
+  it('ignore la casse des opérateurs et le @ des comptes, sans doublon', () => {
+    const { filters } = parseSearchQuery('FROM:@Alice from:alice To:Bob HAS:Image #API #api');
+
+    expect(filters.from).toEqual(['Alice']);
+    expect(filters.to).toEqual(['Bob']);
+    expect(filters.has).toEqual(['image']);
+    expect(filters.tags).toEqual(['API']);
+  });
+
+  it('inclut la journée de until: (borne exclue au lendemain, UTC)', () => {
+    const { filters } = parseSearchQuery('since:2026-02-01 until:2026-02-28');
+
+    expect(filters.since).toEqual(new Date('2026-02-01T00:00:00.000Z'));
+    expect(filters.until).toEqual(new Date('2026-03-01T00:00:00.000Z'));
+  });
+
+  it('accepte since: et until: sur la même journée', () => {
+    expect(() => parseSearchQuery('since:2026-02-01 until:2026-02-01')).not.toThrow();
+  });
+
+  it.each([
+    ['from:', 'MISSING_VALUE', 'Missing value for "from:"'],
+    ['to:al-ice', 'INVALID_USERNAME', 'Invalid username for "to:": "al-ice" (letters, digits and underscores only)'],
+    ['from:"alice bob"', 'INVALID_USERNAME', 'Invalid username for "from:": ""alice bob"" (letters, digits and underscores only)'],
+    ['#', 'INVALID_TAG', 'Invalid tag: "#" (letters, digits and underscores only)'],
+    ['#c++', 'INVALID_TAG', 'Invalid tag: "#c++" (letters, digits and underscores only)'],
+    ['has:gif', 'INVALID_HAS', 'Unknown value for "has:": "gif" (expected media, image, video)'],
+    ['since:2026-02-30', 'INVALID_DATE', 'Invalid date for "since:": expected YYYY-MM-DD, got "2026-02-30"'],
+    ['until:01/02/2026', 'INVALID_DATE', 'Invalid date for "until:": expected YYYY-MM-DD, got "01/02/2026"'],
+    ['since:2026-03-01 until:2026-02-01', 'INVALID_DATE_RANGE', '"since:" must not be after "until:"'],
+    ['since:2026-01-01 since:2026-01-02', 'DUPLICATE_OPERATOR', '"since:" can only be used once'],
+    ['-from:alice', 'NEGATED_OPERATOR', 'Operators cannot be negated: "-from:alice" (only words and phrases can be excluded with -)'],
+    ['-#release', 'NEGATED_OPERATOR', 'Operators cannot be negated: "-#release" (only words and phrases can be excluded with -)'],
+    ['"oops', 'UNTERMINATED_QUOTE', 'Unterminated quote: close the phrase with "']
+  ])('refuse %s (%s)', (input, code, message) => {
+    expect(() => parseSearchQuery(input)).toThrow(expect.objectContaining({
+      name: 'SearchQueryError',
+      status: 400,
+      code,
+      message
+    }));
+  });
+});
+
+describe('hasFilters', () => {
+  it('indique si au moins un opérateur est utilisé', () => {
+    expect(hasFilters(parseSearchQuery('simple texte').filters)).toBe(false);
+    expect(hasFilters(parseSearchQuery('texte #tag').filters)).toBe(true);
+    expect(hasFilters(parseSearchQuery('until:2026-01-01').filters)).toBe(true);
+  });
+});
@@ -0,0 +1,171 @@
+// tests/unit/totpService.test.js - TOTP (RFC 6238), codes de récupération et chiffrement des secrets
+const TotpService = require('../../src/services/totpService');
+
+// Secret de référence de la RFC 6238 ("12345678901234567890" en ASCII)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+describe('base32', () => {
+  it('encode et décode sans perte', () => {
+    const buffer = Buffer.from('12345678901234567890');
+
+    expect(TotpService.base32Encode(buffer)).toBe(RFC_SECRET);
+    expect(TotpService.base32Decode(RFC_SECRET)).toEqual(buffer);
+  });
+
+  it('ignore la casse, les espaces et le remplissage', () => {
+    expect(TotpService.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq===='))
+      .toEqual(Buffer.from('12345678901234567890'));
+  });
+
+  it('refuse un caractère hors alphabet', () => {
+    expect(() => TotpService.base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+
+  it('génère des secrets de 160 bits', () => {
+    const secret = TotpService.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(TotpService.base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+describe('generateCode', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('reproduit le vecteur de la RFC 6238 à T=%i', (seconds, code) => {
+    expect(TotpService.generateCode(RFC_SECRET, TotpService.currentStep(seconds * 1000))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1234567890 * 1000;
+  const step = TotpService.currentStep(now);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepte le code courant et ceux des pas voisins', () => {
+    expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step))).toBe(step);
+    expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+  });
+
+  it('refuse un code trop ancien ou mal formé', () => {
+    expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(TotpService.verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(TotpService.verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+
+  it('refuse le rejeu d\'un pas déjà utilisé', () => {
+    const code = TotpService.generateCode(RFC_SECRET, step);
+
+    expect(TotpService.verifyCode(RFC_SECRET, code, step)).toBeNull();
+    expect(TotpService.verifyCode(RFC_SECRET, code, step - 1)).toBe(step);
+  });
+
+  it('calcule le pas à partir de l\'horloge', () => {
+    expect(TotpService.currentStep()).toBe(Math.floor(now / STEP_MS));
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('décrit le compte et les paramètres attendus par les applications', () => {
+    const uri = new URL(TotpService.buildOtpauthUri(RFC_SECRET, 'alice@example.com'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Cercle:alice@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'Cercle',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
+
+describe('codes de récupération', () => {
+  it('génère des codes distincts au format xxxxx-xxxxx', () => {
+    const codes = TotpService.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+    expect(new Set(codes).size).toBe(10);
+  });
+
+  it('hache un code indépendamment de la casse, des espaces et du tiret', () => {
+    const hash = TotpService.hashRecoveryCode('abcde-12345');
+
+    expect(hash).toMatch(/^[a-f0-9]{64}$/);
+    expect(TotpService.hashRecoveryCode(' ABCDE-12345 ')).toBe(hash);
+    expect(TotpService.hashRecoveryCode('abcde12345')).toBe(hash);
+    expect(TotpService.hashRecoveryCode('abcde 12345')).toBe(hash);
+    expect(TotpService.hashRecoveryCode('abcde-12346')).not.toBe(hash);
+  });
+
+  it('dépend du secret serveur', () => {
+    const originalSecret = process.env.MFA_RECOVERY_CODE_SECRET;
+
+    try {
+      process.env.MFA_RECOVERY_CODE_SECRET = 'premier-secret';
+      const first = TotpService.hashRecoveryCode('abcde-12345');
+      process.env.MFA_RECOVERY_CODE_SECRET = 'second-secret';
+
+      expect(TotpService.hashRecoveryCode('abcde-12345')).not.toBe(first);
+    } finally {
+      if (originalSecret === undefined) {
+        delete process.env.MFA_RECOVERY_CODE_SECRET;
+      } else {
+        process.env.MFA_RECOVERY_CODE_SECRET = originalSecret;
+      }
+    }
+  });
+});
+
+describe('isRequiredFor', () => {
+  const originalRoles = process.env.MFA_REQUIRED_ROLES;
+
+  afterEach(() => {
+    if (originalRoles === undefined) {
+      delete process.env.MFA_REQUIRED_ROLES;
+    } else {
+      process.env.MFA_REQUIRED_ROLES = originalRoles;
+    }
+  });
+
+  it('impose la 2FA aux comptes marqués et aux rôles listés', () => {
+    process.env.MFA_REQUIRED_ROLES = ' admin , MODERATOR';
+
+    expect(TotpService.isRequiredFor({ mfa_required: true }, 'USER')).toBe(true);
+    expect(TotpService.isRequiredFor({ mfa_required: false }, 'ADMIN')).toBe(true);
+    expect(TotpService.isRequiredFor({ mfa_required: false }, 'USER')).toBe(false);
+  });
+});
+
+describe('chiffrement des secrets', () => {
+  it('déchiffre ce qu\'il a chiffré, avec un IV différent à chaque fois', () => {
+    const first = TotpService.encryptSecret(RFC_SECRET);
+    const second = TotpService.encryptSecret(RFC_SECRET);
+
+    expect(first).not.toBe(second);
+    expect(TotpService.decryptSecret(first)).toBe(RFC_SECRET);
+  });
+
+  it('refuse un secret altéré', () => {
+    const [iv, tag, data] = TotpService.encryptSecret(RFC_SECRET).split('.');
+    const tampered = Buffer.from(data, 'base64');
+    tampered[0] ^= 1;
+
+    expect(() => TotpService.decryptSecret([iv, tag, tampered.toString('base64')].join('.'))).toThrow();
+  });
+});